@@ -99,6 +99,27 @@ function escapeXml(str) {
         .replace(/"/g, '&quot;');
 }
 
+/**
+ * トラックの点列を区間ごとに分割（segmentStarts がなければ 1 区間）
+ * @param {Array} points
+ * @param {Array<number>} [segmentStarts] - 各区間の開始インデックス
+ * @returns {Array<Array>}
+ */
+function splitSegments(points, segmentStarts) {
+    if (points.length === 0) return [];
+    const starts = (segmentStarts || []).filter(i => i > 0 && i < points.length).sort((a, b) => a - b);
+    const segments = [];
+    let from = 0;
+    for (const start of starts) {
+        if (start > from) {
+            segments.push(points.slice(from, start));
+            from = start;
+        }
+    }
+    segments.push(points.slice(from));
+    return segments;
+}
+
 // ─── Google Drive ユーティリティ ───────────────────────────────────────────────
 
 /**
@@ -268,19 +289,30 @@ function buildKml(projectName, trackData, photoFilenames, thumbnailSize = 160, p
     // トラック Placemark
     let trackPlacemarks = '';
     tracks.forEach((track, ti) => {
-        const points = (track.points || []).filter(p => p.lat && p.lng);
-        if (points.length === 0) return;
-        const coords = points.map(p => `${p.lng},${p.lat},${p.alt || 0}`).join('\n          ');
-        trackPlacemarks += `
-    <Placemark>
-      <name>Track ${ti + 1}</name>
-      <styleUrl>#trackStyle</styleUrl>
+        // 一時停止で分かれた区間は別の LineString にする（区間の間を直線で結ばない）
+        const lineStrings = splitSegments(track.points || [], track.segmentStarts)
+            .map(segment => segment.filter(p => p.lat && p.lng))
+            .filter(segment => segment.length > 0)
+            .map(segment => {
+                const coords = segment.map(p => `${p.lng},${p.lat},${p.alt || 0}`).join('\n          ');
+                return `
       <LineString>
         <tessellate>1</tessellate>
         <coordinates>
           ${coords}
         </coordinates>
-      </LineString>
+      </LineString>`;
+            });
+        if (lineStrings.length === 0) return;
+        const geometry = lineStrings.length > 1
+            ? `
+      <MultiGeometry>${lineStrings.join('')}
+      </MultiGeometry>`
+            : lineStrings[0];
+        trackPlacemarks += `
+    <Placemark>
+      <name>Track ${ti + 1}</name>
+      <styleUrl>#trackStyle</styleUrl>${geometry}
     </Placemark>`;
     });
 
@@ -335,10 +367,42 @@ function buildKml(projectName, trackData, photoFilenames, thumbnailSize = 160, p
     </Placemark>`;
     });
 
+    // ウェイポイント Placemark
+    const waypointLabels = { junction: '分岐', water: '水場', hazard: '危険箇所', viewpoint: '展望', toilet: 'トイレ' };
+    let waypointPlacemarks = '';
+    (trackData.waypoints || []).forEach(waypoint => {
+        if (!waypoint.location || waypoint.location.lat == null || waypoint.location.lng == null) return;
+        const label = waypointLabels[waypoint.category] || waypoint.category || '';
+        const note = waypoint.note ? `<br>${escapeXml(waypoint.note)}` : '';
+        waypointPlacemarks += `
+    <Placemark>
+      <name>${escapeXml(waypoint.name || '')}</name>
+      <description><![CDATA[${escapeXml(label)}${note}]]></description>
+      <ExtendedData>
+        <Data name="type"><value>waypoint</value></Data>
+        <Data name="category"><value>${escapeXml(waypoint.category || '')}</value></Data>
+        <Data name="note"><value>${escapeXml(waypoint.note || '')}</value></Data>
+      </ExtendedData>
+      <Point>
+        <coordinates>${waypoint.location.lng},${waypoint.location.lat},0</coordinates>
+      </Point>
+    </Placemark>`;
+    });
+
+    // 移動統計（クライアントが保存時に計算した値）
+    let statsDescription = '';
+    const stats = trackData.stats;
+    if (stats) {
+        const km = (stats.distanceM / 1000).toFixed(2);
+        const hm = sec => `${Math.floor(sec / 3600)}:${String(Math.floor((sec % 3600) / 60)).padStart(2, '0')}`;
+        statsDescription = `
+  <description><![CDATA[距離: ${km} km<br>経過時間: ${hm(stats.elapsedTimeSec)}<br>移動時間: ${hm(stats.movingTimeSec)}<br>累積標高: +${stats.ascentM} m / -${stats.descentM} m]]></description>`;
+    }
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <kml xmlns="http://www.opengis.net/kml/2.2">
 <Document>
-  <name>${escapeXml(projectName)}</name>
+  <name>${escapeXml(projectName)}</name>${statsDescription}
   <Style id="trackStyle">
     <LineStyle>
       <color>ff0000ff</color>
@@ -353,6 +417,10 @@ function buildKml(projectName, trackData, photoFilenames, thumbnailSize = 160, p
     <name>Photos</name>
     ${photoPlacemarks}
   </Folder>
+  <Folder>
+    <name>Waypoints</name>
+    ${waypointPlacemarks}
+  </Folder>
 </Document>
 </kml>`;
 }
@@ -1,17 +1,28 @@
 // RouteLogger - メイン初期化
 
 import * as state from './state.js';
+import { TRASH_RETENTION_DAYS } from './config.js';
 import { initIndexedDB } from './db.js';
-import { initMap, displayPhotoMarkers } from './map.js';
-import { startTracking, stopTracking, handleVisibilityChange, handleDeviceOrientation } from './tracking.js';
-import { takePhoto, closeCameraDialog, capturePhoto, savePhotoWithDirection, handleTextButton, retakePhoto } from './camera.js';
+import { initMap } from './map.js';
+import { startTracking, stopTracking, pauseTracking, resumeTracking, recoverTracking, handleVisibilityChange, handleDeviceOrientation } from './tracking.js';
+import { takePhoto, closeCameraDialog, capturePhoto, savePhotoWithDirection, handleTextButton, retakePhoto, backfillPhotoThumbnails } from './camera.js';
+import { markWaypoint } from './waypoint.js';
+import { backfillPhotoTrackPositions } from './photo-track.js';
+import { loadReferenceRoute } from './route-guide.js';
+import { openLastRoute, openRoute, importRoute, showRouteLibrary } from './route-library.js';
 import { saveToFirebase } from './firebase-ops.js';
-import { updateStatus, showPhotoList, closePhotoList, closePhotoViewer, showDataSize, closeStatsDialog, closeDocumentListDialog, showPhotoFromMarker, initPhotoViewerControls, initClock, initSettings, showSettingsDialog, showDocNameDialog, setUiBusy } from './ui.js';
-import { getAllExternalData, getAllTracks, getAllPhotos, clearIndexedDBSilent, clearRouteLogData, restoreTrack, savePhoto } from './db.js';
-import { displayExternalGeoJSON, displayAllTracks, clearMapData, displayEmergencyPoints, clearEmergencyPoints, addStartMarker, addEndMarker } from './map.js';
-import { calculateHeading } from './utils.js';
+import { updateStatus, showPhotoList, closePhotoList, closePhotoViewer, showDataSize, closeStatsDialog, closeDocumentListDialog, closeRouteLibraryDialog, closeTrashDialog, closeExternalLayersDialog, closeOfflineMapsDialog, initPhotoViewerControls, initClock, initSettings, showSettingsDialog, showDocNameDialog, showRestoreBackupDialog, setUiBusy } from './ui.js';
+import { getAllExternalData, getRoute, getRouteTracks, getRoutePhotos, getRouteWaypoints, getTrackingSession, clearTrackingSession, getTrack, compactAllTrackChunks } from './db.js';
+import { displayExternalGeoJSON, displayEmergencyPoints, clearEmergencyPoints } from './map.js';
 import { exportToKmz } from './kmz-handler.js';
+import { downloadBackup, readBackupArchive, restoreBackupArchive } from './backup.js';
+import { requestPersistentStorage } from './storage-quota.js';
+import { clearAllData, showTrash, emptyTrash, purgeExpiredTrashEntries } from './trash.js';
 import { initAuthUI, checkAndUpdateUserStatus } from './ui-auth.js';
+import { initEncryptionUI, unlockStoredData } from './ui-encryption.js';
+import { showOfflineMaps } from './offline-tiles.js';
+import { showElevationProfile, closeElevationProfile } from './elevation-profile.js';
+import { displayExternalData, showExternalLayers } from './external-layers.js';
 import { signInAnonymously } from './auth.js';
 
 /**
@@ -41,10 +52,25 @@ async function initApp() {
     } catch (error) {
         console.error('IndexedDB初期化エラー:', error);
         updateStatus('データベース初期化エラー');
-        alert('データベースの初期化に失敗しました。ページを再読み込みしてください。');
+        if (error && error.name === 'MigrationError') {
+            // 移行は中止され、データは移行前の状態のまま残っている
+            alert(`${error.message}\n\nデータは更新前の状態のまま残っています。`);
+        } else {
+            alert('データベースの初期化に失敗しました。ページを再読み込みしてください。');
+        }
         return;
     }
 
+    // データを暗号化している場合は、パスフレーズで解錠するまで読み込まない
+    await unlockStoredData();
+    initEncryptionUI();
+
+    // 写真が消されないよう永続ストレージを要求（結果を待たずに続行）
+    requestPersistentStorage();
+
+    // 保存期間を過ぎたごみ箱の中身を完全に削除
+    await purgeExpiredTrashEntries();
+
     // 地図初期化
     await initMap();
 
@@ -53,36 +79,19 @@ async function initApp() {
         await displayEmergencyPoints();
     }
 
-    // ロード済みデータフラグ確認（KMZインポート後のリロード時はマゼンタ表示）
-    const isLoadedData = localStorage.getItem('routeLogger_loadedData') === 'true';
-    const loadedColor = isLoadedData ? '#000080' : null;
-
-    // トラックデータ表示
+    // 前回開いていたルートを表示（トラック・写真・ウェイポイント）
     try {
-        const allTracks = await getAllTracks();
-        if (allTracks && allTracks.length > 0) {
-            displayAllTracks(allTracks, loadedColor);
-            // ロード済みデータの場合は開始/終了マーカーも作成
-            if (loadedColor) {
-                const allPoints = [];
-                allTracks.forEach(track => {
-                    if (track.points) track.points.forEach(p => allPoints.push(p));
-                });
-                if (allPoints.length > 0) {
-                    const startPt = allPoints[0];
-                    const endPt = allPoints[allPoints.length - 1];
-                    addStartMarker(startPt.lat, startPt.lng, loadedColor);
-                    const heading = calculateHeading(endPt, allPoints);
-                    addEndMarker(endPt.lat, endPt.lng, heading, loadedColor);
-                }
-            }
-        }
+        await openLastRoute();
     } catch (e) {
-        console.error('トラックデータ表示エラー:', e);
+        console.error('ルート表示エラー:', e);
     }
 
-    // 写真マーカー表示
-    await displayPhotoMarkers(showPhotoFromMarker, loadedColor);
+    // 旧形式から変換した写真のサムネイルを作成（表示を待たずにバックグラウンドで）
+    // 続けてトラック上の位置が未設定の写真（旧データ・読み込んだ写真）に位置を設定（同じ写真を同時に書き換えないよう順に実行）
+    backfillPhotoThumbnails()
+        .catch(e => console.warn('サムネイル作成エラー:', e))
+        .then(() => backfillPhotoTrackPositions())
+        .catch(e => console.warn('写真のトラック位置の設定エラー:', e));
 
     // イベントリスナー設定
     setupEventListeners();
@@ -92,13 +101,12 @@ async function initApp() {
         const externalDataList = await getAllExternalData();
         if (externalDataList && externalDataList.length > 0) {
             console.log(`外部データ ${externalDataList.length}件を復元中...`);
-            externalDataList.forEach(item => {
-                if (item.type === 'geojson') {
-                    displayExternalGeoJSON(item.data);
-                }
-            });
+            externalDataList.forEach(item => displayExternalData(item));
             updateStatus(`外部データ ${externalDataList.length}件を復元しました`);
         }
+
+        // 参照ルートの指定を復元
+        await loadReferenceRoute();
     } catch (e) {
         console.error('外部データ復元エラー:', e);
     }
@@ -116,6 +124,53 @@ async function initApp() {
         } catch (e) { /* 取得失敗時は無視 */ }
     }
     updateStatus('初期化完了' + cacheName);
+
+    // 終了していない記録セッションの復旧
+    await checkUnfinishedSession();
+
+    // 再開しなかった記録の追記分をトラックにまとめる
+    try {
+        await compactAllTrackChunks(state.isTracking ? state.currentTrackId : null);
+    } catch (e) {
+        console.error('トラックのまとめエラー:', e);
+    }
+}
+
+/**
+ * 前回の記録が停止されずに終わっていれば、同じトラックへの記録再開を提案
+ * 再開しない場合はトラックを記録済みのルートとして残す
+ */
+async function checkUnfinishedSession() {
+    try {
+        const session = await getTrackingSession();
+        if (!session) return;
+
+        const track = await getTrack(session.trackId);
+        if (!track) {
+            await clearTrackingSession();
+            return;
+        }
+
+        const pointCount = track.points ? track.points.length : 0;
+        const message =
+            `前回のGPS記録が終了していません。\n` +
+            `開始: ${session.startTime || track.timestamp}\n` +
+            `記録点数: ${pointCount}点\n\n` +
+            `同じルートに記録を再開しますか？`;
+
+        if (confirm(message)) {
+            const routeId = track.routeId ?? null;
+            if (routeId !== state.currentRouteId) {
+                await openRoute(routeId, { fit: false });
+            }
+            const routeTracks = await getRouteTracks(routeId);
+            await recoverTracking(session, track, routeTracks);
+        } else {
+            await clearTrackingSession();
+        }
+    } catch (e) {
+        console.error('記録セッション復旧エラー:', e);
+    }
 }
 
 /**
@@ -145,23 +200,29 @@ async function ensureFirebaseAuth() {
 function setupEventListeners() {
     // メインコントロール
     document.getElementById('clearBtn').addEventListener('click', async () => {
-        if (confirm('表示中のルートとマーカーを消去し、データを初期化しますか？')) {
-            clearMapData();
+        if (confirm(`全てのルート（トラック・写真・ウェイポイント）と外部データをごみ箱に移し、データを初期化しますか？\n（ごみ箱から${TRASH_RETENTION_DAYS}日間は復元できます）`)) {
             try {
-                await clearIndexedDBSilent();
+                await clearAllData();
             } catch (e) {
-                console.error('IndexedDB初期化エラー:', e);
-                if (!state.db) {
-                    await initIndexedDB();
-                }
+                console.error('データ初期化エラー:', e);
+                alert('データの初期化に失敗しました: ' + e.message);
             }
-            updateStatus('データを初期化しました');
         }
         returnToMainControl();
     });
-    document.getElementById('startBtn').addEventListener('click', startTracking);
+    // Startボタン: 記録中は一時停止/再開を切り替え
+    document.getElementById('startBtn').addEventListener('click', () => {
+        if (!state.isTracking) {
+            startTracking();
+        } else if (state.isPaused) {
+            resumeTracking();
+        } else {
+            pauseTracking();
+        }
+    });
     document.getElementById('stopBtn').addEventListener('click', stopTracking);
     document.getElementById('photoBtn').addEventListener('click', takePhoto);
+    document.getElementById('waypointBtn').addEventListener('click', markWaypoint);
 
     // カメラUI
     document.getElementById('cameraCloseBtn').addEventListener('click', closeCameraDialog);
@@ -325,6 +386,17 @@ function setupEventListeners() {
         returnToMainControl();
     });
 
+    document.getElementById('routeLibraryBtn').addEventListener('click', async () => {
+        await showRouteLibrary();
+        returnToMainControl();
+    });
+
+    document.getElementById('elevationProfileBtn').addEventListener('click', async () => {
+        returnToMainControl();
+        await showElevationProfile();
+    });
+    document.getElementById('closeElevationProfileBtn').addEventListener('click', closeElevationProfile);
+
     // ファイルピッカーを開いてKMZ/KML/GeoJSONを読み込む共通処理
     function openFileImport() {
         let fileInput = document.getElementById('kmzFileInput');
@@ -354,25 +426,22 @@ function setupEventListeners() {
                         }
 
                         if (result.type === 'RouteLogger') {
-                            if (confirm('現在の記録データをクリアして、このファイルを読み込みますか？')) {
-                                updateStatus('データをリセット中...');
-                                await clearRouteLogData();
-                                clearMapData({ keepExternal: true });
-                                updateStatus('トラックデータを復元中...');
-                                for (const track of result.tracks) {
-                                    await restoreTrack(track);
-                                }
-                                updateStatus('写真データを復元中...');
-                                for (const photo of result.photos) {
-                                    delete photo.id;
-                                    await savePhoto(photo);
-                                }
-                                localStorage.setItem('routeLogger_loadedData', 'true');
-                                alert(`読み込み完了: ${file.name}\nページをリロードします。`);
-                                location.reload();
+                            // 読み込んだデータは新しいルートとしてライブラリに追加（既存のルートは残す）
+                            updateStatus('ルートを読み込み中...');
+                            const routeName = file.name.replace(/\.(kmz\.zip|kmz|kml|zip)$/i, '');
+                            const routeId = await importRoute(routeName, result);
+                            await backfillPhotoThumbnails();
+                            await backfillPhotoTrackPositions();
+                            if (state.isTracking) {
+                                updateStatus('ルートを読み込みました');
+                                alert(`読み込み完了: ${file.name}\nGPS記録中のため、記録停止後にRoutesから開いてください。`);
+                            } else {
+                                await openRoute(routeId);
+                                updateStatus(`ルートを開きました: ${routeName}`);
+                                alert(`読み込み完了: ${file.name}`);
                             }
                         } else {
-                            displayExternalGeoJSON(result.geojson);
+                            displayExternalGeoJSON(result.geojson, { externalId: result.externalId });
                             updateStatus('外部データを表示しました');
                             alert(`読み込み完了: ${file.name}`);
                         }
@@ -399,18 +468,62 @@ function setupEventListeners() {
         });
     }
 
+    // バックアップ（設定ダイアログ）: 全データをzipに保存・zipから復元
+    const backupExportBtn = document.getElementById('backupExportBtn');
+    if (backupExportBtn) {
+        backupExportBtn.addEventListener('click', async () => {
+            setUiBusy(true);
+            try {
+                updateStatus('バックアップを作成中...');
+                const counts = await downloadBackup();
+                updateStatus(`バックアップを保存しました（ルート${counts.routes}件・写真${counts.photos}件）`);
+            } catch (e) {
+                console.error('バックアップエラー:', e);
+                alert('バックアップの作成に失敗しました: ' + e.message);
+            } finally {
+                setUiBusy(false);
+            }
+        });
+    }
+
+    const backupRestoreBtn = document.getElementById('backupRestoreBtn');
+    if (backupRestoreBtn) {
+        backupRestoreBtn.addEventListener('click', () => {
+            if (state.isTracking) {
+                alert('GPS記録中は復元できません。記録を停止してから実行してください。');
+                return;
+            }
+            let fileInput = document.getElementById('backupFileInput');
+            if (!fileInput) {
+                fileInput = document.createElement('input');
+                fileInput.type = 'file';
+                fileInput.id = 'backupFileInput';
+                fileInput.accept = '.zip,application/zip';
+                fileInput.style.display = 'none';
+                document.body.appendChild(fileInput);
+                fileInput.addEventListener('change', async (event) => {
+                    const file = event.target.files[0];
+                    fileInput.value = '';
+                    if (file) await restoreBackupFromFile(file);
+                });
+            }
+            fileInput.click();
+        });
+    }
+
     // Save Button: Firebase on → Firebaseに保存 / off → KMZファイルに保存
     const dataSaveBtn = document.getElementById('dataSaveBtn');
     if (dataSaveBtn) {
         dataSaveBtn.addEventListener('click', async () => {
-            const tracks = await getAllTracks();
+            const tracks = await getRouteTracks(state.currentRouteId);
             if (!tracks || tracks.length === 0) {
                 updateStatus('保存するルートログがありません');
                 returnToMainControl();
                 return;
             }
+            const route = await getRoute(state.currentRouteId);
             const jstDate = new Date(Date.now() + 9 * 60 * 60 * 1000);
-            const defaultName = `RLog-${jstDate.toISOString().slice(0, 10).replace(/-/g, '')}`;
+            const defaultName = route ? route.name : `RLog-${jstDate.toISOString().slice(0, 10).replace(/-/g, '')}`;
             if (state.isFirebaseEnabled) {
                 const authed = await ensureFirebaseAuth();
                 if (!authed) return;
@@ -429,10 +542,11 @@ function setupEventListeners() {
                 if (docName) {
                     setUiBusy(true);
                     try {
-                        const tracks = await getAllTracks();
-                        const photos = await getAllPhotos();
+                        const tracks = await getRouteTracks(state.currentRouteId);
+                        const photos = await getRoutePhotos(state.currentRouteId);
+                        const waypoints = await getRouteWaypoints(state.currentRouteId);
                         updateStatus(`ファイルに保存中: "${docName}.kmz"...`);
-                        await exportToKmz(tracks, photos, docName);
+                        await exportToKmz(tracks, photos, docName, waypoints);
                     } catch (e) {
                         console.error('エクスポートエラー:', e);
                         alert('エクスポートに失敗しました: ' + e.message);
@@ -452,6 +566,14 @@ function setupEventListeners() {
     document.getElementById('closeViewerBtn').addEventListener('click', closePhotoViewer);
     document.getElementById('statsOkBtn').addEventListener('click', closeStatsDialog);
     document.getElementById('closeDocListBtn').addEventListener('click', closeDocumentListDialog);
+    document.getElementById('closeRouteLibraryBtn').addEventListener('click', closeRouteLibraryDialog);
+    document.getElementById('openTrashBtn').addEventListener('click', showTrash);
+    document.getElementById('emptyTrashBtn').addEventListener('click', emptyTrash);
+    document.getElementById('closeTrashBtn').addEventListener('click', closeTrashDialog);
+    document.getElementById('openExternalLayersBtn').addEventListener('click', showExternalLayers);
+    document.getElementById('closeExternalLayersBtn').addEventListener('click', closeExternalLayersDialog);
+    document.getElementById('openOfflineMapsBtn').addEventListener('click', showOfflineMaps);
+    document.getElementById('closeOfflineMapsBtn').addEventListener('click', closeOfflineMapsDialog);
 
     // ページ可視性変化
     document.addEventListener('visibilitychange', handleVisibilityChange);
@@ -485,6 +607,56 @@ function toggleDataPanel() {
     }
 }
 
+/**
+ * バックアップのzipを検証し、復元方法を選んで復元する
+ * @param {File} file
+ */
+async function restoreBackupFromFile(file) {
+    let archive;
+    try {
+        archive = await readBackupArchive(file);
+    } catch (e) {
+        console.error('バックアップ読み込みエラー:', e);
+        alert('バックアップを読み込めません: ' + e.message);
+        return;
+    }
+
+    const { manifest } = archive;
+    const counts = manifest.counts || {};
+    const message = `作成日時: ${new Date(manifest.createdAt).toLocaleString('ja-JP')}\n` +
+        `ルート ${counts.routes || 0}件 / トラック ${counts.tracks || 0}件 / 写真 ${counts.photos || 0}枚\n` +
+        `ウェイポイント ${counts.waypoints || 0}件 / 外部データ ${counts.externals || 0}件\n\n` +
+        'Merge: 今のデータを残して追加します\n' +
+        'Replace All: 今のデータと設定をすべて削除して置き換えます';
+    const mode = await showRestoreBackupDialog(message);
+    if (mode === 'cancel') return;
+    if (mode === 'replace' && !confirm('端末内のすべてのルート・写真・外部データと設定を削除して、バックアップの内容に置き換えます。ごみ箱とオフライン地図も削除します。よろしいですか？')) {
+        return;
+    }
+
+    setUiBusy(true);
+    try {
+        updateStatus('バックアップを復元中...');
+        const restored = await restoreBackupArchive(archive, mode);
+        if (mode === 'replace') {
+            // 設定も置き換えたので読み込み直す
+            alert(`復元しました（ルート${restored.routes}件・写真${restored.photos}枚）。アプリを再読み込みします。`);
+            location.reload();
+            return;
+        }
+        if (state.currentRouteId === null) {
+            await openLastRoute();
+        }
+        updateStatus('バックアップを復元しました');
+        alert(`復元しました（ルート${restored.routes}件・写真${restored.photos}枚を追加）。Routesから開けます。`);
+    } catch (e) {
+        console.error('復元エラー:', e);
+        alert('復元に失敗しました（データは変更されていません）: ' + e.message);
+    } finally {
+        setUiBusy(false);
+    }
+}
+
 /**
  * メインコントロールに戻る
  */
@@ -0,0 +1,140 @@
+// RouteLogger - 自動一時停止（停止の検出と移動再開の判定）
+// フィルタを通過した測位値から、速度と位置のばらつきで停止を判定する
+
+import {
+    AUTO_PAUSE_WINDOW_SEC, AUTO_PAUSE_SPEED_MPS, AUTO_PAUSE_RADIUS_M,
+    AUTO_RESUME_DISTANCE_M, AUTO_RESUME_SPEED_MPS, AUTO_RESUME_FIX_COUNT
+} from './config.js';
+import * as state from './state.js';
+import { calculateDistance } from './utils.js';
+
+// 判定用の直近の測位 {lat, lng, accuracy, speed, time}
+let recentFixes = [];
+// 判定を開始した時刻（ウィンドウ長に満たない間は停止と判定しない）
+let observingSince = null;
+// 停止地点 {lat, lng}
+let stopCenter = null;
+// 停止地点から離れた連続測位数
+let movingCount = 0;
+
+/**
+ * 判定状態をリセット（記録開始・再開時）
+ */
+export function resetAutoPause() {
+    recentFixes = [];
+    observingSince = null;
+    stopCenter = null;
+    movingCount = 0;
+}
+
+/**
+ * 測位値を判定に加え、停止・再開の切り替わりを返す
+ * 停止: 直近AUTO_PAUSE_WINDOW_SEC秒の平均速度が小さく、位置のばらつきが半径内に収まる
+ * 再開: 停止地点から離れた測位、または速度の大きい測位が連続した
+ * @param {{lat: number, lng: number, accuracy: number, speed: number|null, time: number}} fix
+ * @returns {{type: 'autoPause'|'autoResume', lat: number, lng: number, time: number}|null} 切り替わりがなければnull
+ */
+export function detectAutoPause(fix) {
+    if (state.isAutoPaused) {
+        return detectResume(fix);
+    }
+
+    if (observingSince === null) observingSince = fix.time;
+    recentFixes.push(fix);
+    recentFixes = recentFixes.filter(f => fix.time - f.time <= AUTO_PAUSE_WINDOW_SEC * 1000);
+
+    if (fix.time - observingSince < AUTO_PAUSE_WINDOW_SEC * 1000 || recentFixes.length < 2) {
+        return null;
+    }
+
+    const first = recentFixes[0];
+    const spanSec = (fix.time - first.time) / 1000;
+    if (spanSec <= 0) return null;
+
+    // 平均速度（端末の報告値があればそれを、なければ窓の始点と終点の変位から求める）
+    const reportedSpeeds = recentFixes.map(f => f.speed).filter(v => v !== null && v !== undefined && !isNaN(v));
+    const avgSpeed = reportedSpeeds.length > 0
+        ? reportedSpeeds.reduce((sum, v) => sum + v, 0) / reportedSpeeds.length
+        : calculateDistance(first.lat, first.lng, fix.lat, fix.lng) / spanSec;
+
+    // 位置のばらつき（重心からの距離の二乗平均平方根）
+    const center = {
+        lat: recentFixes.reduce((sum, f) => sum + f.lat, 0) / recentFixes.length,
+        lng: recentFixes.reduce((sum, f) => sum + f.lng, 0) / recentFixes.length
+    };
+    const spread = Math.sqrt(recentFixes.reduce((sum, f) => {
+        const d = calculateDistance(center.lat, center.lng, f.lat, f.lng);
+        return sum + d * d;
+    }, 0) / recentFixes.length);
+    // 精度が悪いときは揺れも大きいので、許容半径を精度の半分まで広げる
+    const avgAccuracy = recentFixes.reduce((sum, f) => sum + (f.accuracy || 0), 0) / recentFixes.length;
+    const radius = Math.max(AUTO_PAUSE_RADIUS_M, avgAccuracy / 2);
+
+    if (avgSpeed < AUTO_PAUSE_SPEED_MPS && spread <= radius) {
+        stopCenter = center;
+        movingCount = 0;
+        recentFixes = [];
+        observingSince = null;
+        return { type: 'autoPause', lat: center.lat, lng: center.lng, time: fix.time };
+    }
+    return null;
+}
+
+/**
+ * 停止中の測位から移動再開を判定
+ * @param {Object} fix
+ * @returns {{type: 'autoResume', lat: number, lng: number, time: number}|null}
+ */
+function detectResume(fix) {
+    if (!stopCenter) {
+        stopCenter = { lat: fix.lat, lng: fix.lng };
+        return null;
+    }
+
+    const distance = calculateDistance(stopCenter.lat, stopCenter.lng, fix.lat, fix.lng);
+    const moved = distance > Math.max(AUTO_RESUME_DISTANCE_M, fix.accuracy || 0) ||
+        (fix.speed !== null && fix.speed !== undefined && fix.speed >= AUTO_RESUME_SPEED_MPS);
+
+    movingCount = moved ? movingCount + 1 : 0;
+    if (movingCount < AUTO_RESUME_FIX_COUNT) return null;
+
+    resetAutoPause();
+    return { type: 'autoResume', lat: fix.lat, lng: fix.lng, time: fix.time };
+}
+
+/**
+ * トラックのイベントから停止地点の一覧を作成
+ * 対応するautoResumeがない停止は、トラックの最終点の時刻で終わったものとする
+ * @param {Array} tracks - トラックデータの配列
+ * @returns {Array<{lat: number, lng: number, start: string, end: string, durationSec: number}>}
+ */
+export function summarizeStops(tracks) {
+    const stops = [];
+    (tracks || []).forEach(track => {
+        let open = null;
+        (track.events || []).forEach(event => {
+            if (event.type === 'autoPause') {
+                open = event;
+            } else if (event.type === 'autoResume' && open) {
+                stops.push(makeStop(open, event.timestamp));
+                open = null;
+            }
+        });
+        if (open) {
+            const lastPoint = track.points && track.points[track.points.length - 1];
+            const end = lastPoint && lastPoint.timestamp > open.timestamp ? lastPoint.timestamp : open.timestamp;
+            stops.push(makeStop(open, end));
+        }
+    });
+    return stops;
+}
+
+function makeStop(pauseEvent, endTimestamp) {
+    return {
+        lat: pauseEvent.lat,
+        lng: pauseEvent.lng,
+        start: pauseEvent.timestamp,
+        end: endTimestamp,
+        durationSec: Math.max(0, (new Date(endTimestamp) - new Date(pauseEvent.timestamp)) / 1000)
+    };
+}
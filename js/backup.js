@@ -0,0 +1,379 @@
+// RouteLogger - 端末内データのバックアップと復元
+// IndexedDBの全ストアと設定（localStorage）を1つのzipにまとめる
+// zipの構成: manifest.json（全レコードと設定）+ blobs/（写真などのバイナリ。manifestからパスで参照）
+// 端末内のデータを暗号化している場合も、バックアップは復号して作成する（別の端末・パスフレーズで復元できるように）
+// ごみ箱とオフライン地図（タイルはCache Storageにある）は端末内だけのデータとしてバックアップしない
+
+import { DB_VERSION, STORE_TRACKS, STORE_PHOTOS, STORE_SETTINGS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS, STORE_WAYPOINTS, STORE_ROUTES, STORE_TRACK_CHUNKS, STORE_TRASH, STORE_TRASH_RECORDS, STORE_TILE_AREAS, ENCRYPTED_STORES, OFFLINE_TILE_CACHE_NAME, BACKUP_FORMAT, BACKUP_FORMAT_VERSION } from './config.js';
+import * as state from './state.js';
+import { saveAs } from './kmz-handler.js';
+import { encryptRecord, decryptRecords } from './encryption.js';
+
+// バックアップ対象のストア（復元時もこの順に書き込む）
+const BACKUP_STORES = [STORE_SETTINGS, STORE_ROUTES, STORE_TRACKS, STORE_TRACK_CHUNKS, STORE_PHOTOS, STORE_WAYPOINTS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS];
+// バックアップしないが、replaceの復元では空にするストア（置き換える前のデータのごみ箱・オフライン地図を残さない）
+const REPLACE_CLEARED_STORES = [STORE_TRASH, STORE_TRASH_RECORDS, STORE_TILE_AREAS];
+// バックアップしない設定レコード（記録中の一時データ・暗号化の鍵情報。復元時も端末のものを残す）
+const EXCLUDED_SETTING_KEYS = ['trackingSession', 'encryption'];
+// localStorageのうちバックアップする設定のキー
+const LOCAL_STORAGE_PREFIX = 'routeLogger_';
+
+/**
+ * IDBRequestの完了をPromiseにする
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 全ストアの全レコードを1つのトランザクションで読み込む（途中の書き込みが混ざらないように）
+ * @returns {Promise<Object<string, Array>>}
+ */
+async function readAllStores() {
+    const transaction = state.db.transaction(BACKUP_STORES, 'readonly');
+    const results = await Promise.all(BACKUP_STORES.map(storeName =>
+        requestToPromise(transaction.objectStore(storeName).getAll())
+    ));
+    const records = {};
+    for (let i = 0; i < BACKUP_STORES.length; i++) {
+        records[BACKUP_STORES[i]] = await decryptRecords(results[i]);
+    }
+    records[STORE_SETTINGS] = records[STORE_SETTINGS].filter(r => !EXCLUDED_SETTING_KEYS.includes(r.key));
+    return records;
+}
+
+/**
+ * バックアップのzipを作成
+ * @returns {Promise<{blob: Blob, counts: Object<string, number>}>}
+ */
+export async function createBackupArchive() {
+    if (!state.db) {
+        throw new Error('データベースが初期化されていません');
+    }
+
+    const zip = new JSZip();
+    const records = await readAllStores();
+    const stores = {};
+    const counts = {};
+    let blobIndex = 0;
+
+    // レコード内のBlobはzipのファイルに置き換え、manifestにはパスとMIMEタイプを残す
+    for (const storeName of BACKUP_STORES) {
+        stores[storeName] = records[storeName].map(record => {
+            const entry = {};
+            for (const [field, value] of Object.entries(record)) {
+                if (value instanceof Blob) {
+                    const path = `blobs/${storeName}/${blobIndex++}`;
+                    zip.file(path, value);
+                    entry[field] = { $blob: path, type: value.type };
+                } else {
+                    entry[field] = value;
+                }
+            }
+            return entry;
+        });
+        counts[storeName] = stores[storeName].length;
+    }
+
+    const localSettings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) {
+            localSettings[key] = localStorage.getItem(key);
+        }
+    }
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_FORMAT_VERSION,
+        dbVersion: DB_VERSION,
+        createdAt: new Date().toISOString(),
+        counts,
+        stores,
+        localStorage: localSettings
+    };
+    zip.file('manifest.json', JSON.stringify(manifest));
+
+    const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+    return { blob, counts };
+}
+
+/**
+ * バックアップを作成してダウンロード
+ * @returns {Promise<Object<string, number>>} ストアごとの件数
+ */
+export async function downloadBackup() {
+    const { blob, counts } = await createBackupArchive();
+    const dateStr = new Date(Date.now() + 9 * 60 * 60 * 1000).toISOString().slice(0, 10).replace(/-/g, '');
+    saveAs(blob, `RLog-backup-${dateStr}.zip`);
+    return counts;
+}
+
+/**
+ * バックアップのzipを読み込み、manifestを検証する
+ * @param {File|Blob} file
+ * @returns {Promise<{manifest: Object, zip: JSZip}>}
+ */
+export async function readBackupArchive(file) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error('zipファイルとして読み込めません');
+    }
+
+    const manifestFile = zip.file('manifest.json');
+    if (!manifestFile) {
+        throw new Error('RouteLoggerのバックアップではありません（manifest.jsonがありません）');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await manifestFile.async('string'));
+    } catch (e) {
+        throw new Error('manifest.jsonを読み込めません');
+    }
+
+    validateManifest(manifest);
+    return { manifest, zip };
+}
+
+/**
+ * manifestの形式・バージョンを検証
+ * @param {Object} manifest
+ */
+function validateManifest(manifest) {
+    if (!manifest || manifest.format !== BACKUP_FORMAT) {
+        throw new Error('RouteLoggerのバックアップではありません');
+    }
+    if (typeof manifest.version !== 'number' || manifest.version > BACKUP_FORMAT_VERSION) {
+        throw new Error(`このバックアップ（形式 v${manifest.version}）はこのアプリでは読み込めません。アプリを更新してください。`);
+    }
+    if (typeof manifest.dbVersion !== 'number' || manifest.dbVersion > DB_VERSION) {
+        throw new Error(`このバックアップ（DB v${manifest.dbVersion}）は新しいバージョンのアプリで作成されています。アプリを更新してください。`);
+    }
+    if (!manifest.stores || typeof manifest.stores !== 'object') {
+        throw new Error('バックアップにデータがありません');
+    }
+    for (const storeName of BACKUP_STORES) {
+        const records = manifest.stores[storeName];
+        if (records !== undefined && !Array.isArray(records)) {
+            throw new Error(`バックアップのデータが壊れています（${storeName}）`);
+        }
+    }
+}
+
+/**
+ * manifestのレコードのBlob参照をzip内のファイルから復元
+ * @returns {Promise<Object<string, Array>>}
+ */
+async function loadRecords(manifest, zip) {
+    const records = {};
+    for (const storeName of BACKUP_STORES) {
+        records[storeName] = [];
+        for (const entry of manifest.stores[storeName] || []) {
+            const record = {};
+            for (const [field, value] of Object.entries(entry)) {
+                if (value && typeof value === 'object' && typeof value.$blob === 'string') {
+                    const file = zip.file(value.$blob);
+                    if (!file) {
+                        throw new Error(`バックアップのファイルが見つかりません: ${value.$blob}`);
+                    }
+                    const data = await file.async('arraybuffer');
+                    record[field] = new Blob([data], { type: value.type || '' });
+                } else {
+                    record[field] = value;
+                }
+            }
+            records[storeName].push(record);
+        }
+    }
+    records[STORE_SETTINGS] = records[STORE_SETTINGS].filter(r => !EXCLUDED_SETTING_KEYS.includes(r.key));
+    return records;
+}
+
+/**
+ * バックアップを復元
+ * - replace: 端末内のデータと設定をすべて削除し、バックアップの内容に置き換える（IDもそのまま）
+ *   ごみ箱とオフライン地図（保存したタイルも）も削除する
+ * - merge: 既存のデータは残してバックアップのデータを追加する（IDは振り直し、設定は未設定の項目のみ）
+ * 書き込みは1つのトランザクションで行い、失敗した場合は何も変更しない
+ * @param {{manifest: Object, zip: JSZip}} archive - readBackupArchive()の戻り値
+ * @param {'merge'|'replace'} mode
+ * @returns {Promise<Object<string, number>>} ストアごとの復元件数
+ */
+export async function restoreBackupArchive(archive, mode) {
+    if (!state.db) {
+        throw new Error('データベースが初期化されていません');
+    }
+    if (state.isTracking) {
+        throw new Error('GPS記録中は復元できません。記録を停止してから実行してください。');
+    }
+
+    // Blobの読み込みと暗号化はトランザクションの外で済ませる（途中でトランザクションが終了しないように）
+    // 付け替えるIDは暗号化しない項目なので、暗号化した後でもmergeRecordsで書き換えられる
+    const records = await loadRecords(archive.manifest, archive.zip);
+    for (const storeName of BACKUP_STORES.filter(name => ENCRYPTED_STORES.includes(name))) {
+        records[storeName] = await Promise.all(records[storeName].map(encryptRecord));
+    }
+
+    const storeNames = mode === 'replace' ? [...BACKUP_STORES, ...REPLACE_CLEARED_STORES] : BACKUP_STORES;
+    const transaction = state.db.transaction(storeNames, 'readwrite');
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error || new Error('復元が中止されました'));
+    });
+
+    let idMaps;
+    try {
+        idMaps = mode === 'replace'
+            ? await replaceRecords(transaction, records)
+            : await mergeRecords(transaction, records);
+    } catch (error) {
+        try {
+            transaction.abort();
+        } catch (e) { /* すでに中止されている */ }
+        await completed.catch(() => {});
+        throw error;
+    }
+    await completed;
+
+    if (mode === 'replace') {
+        await deleteOfflineTiles();
+    }
+    restoreLocalSettings(archive.manifest.localStorage || {}, mode, idMaps);
+
+    const counts = {};
+    BACKUP_STORES.forEach(storeName => { counts[storeName] = records[storeName].length; });
+    return counts;
+}
+
+/**
+ * 全ストアを空にしてからIDを維持したまま書き込む
+ */
+async function replaceRecords(transaction, records) {
+    await Promise.all([...BACKUP_STORES, ...REPLACE_CLEARED_STORES].map(storeName => {
+        const store = transaction.objectStore(storeName);
+        // 記録セッションは残す（復元の対象外）
+        if (storeName === STORE_SETTINGS) {
+            return requestToPromise(store.getAll()).then(existing => Promise.all(existing
+                .filter(r => !EXCLUDED_SETTING_KEYS.includes(r.key))
+                .map(r => requestToPromise(store.delete(r.key)))));
+        }
+        return requestToPromise(store.clear());
+    }));
+
+    await Promise.all(BACKUP_STORES.map(storeName => {
+        const store = transaction.objectStore(storeName);
+        return Promise.all(records[storeName].map(record => requestToPromise(store.put(record))));
+    }));
+    return null;
+}
+
+/**
+ * オフライン地図のタイルのキャッシュを削除（範囲の一覧を空にしたので、どの範囲からも使われない）
+ */
+async function deleteOfflineTiles() {
+    if (!('caches' in window)) return;
+    try {
+        await caches.delete(OFFLINE_TILE_CACHE_NAME);
+    } catch (e) {
+        console.warn('オフライン地図のキャッシュを削除できませんでした:', e);
+    }
+}
+
+/**
+ * 既存のデータに追加する（ルート・トラック・外部データのIDは振り直し、参照も付け替える）
+ * @returns {Promise<{routes: Map, tracks: Map, externals: Map}>} 旧ID→新IDの対応
+ */
+async function mergeRecords(transaction, records) {
+    const idMaps = { routes: new Map(), tracks: new Map(), externals: new Map() };
+    const mapId = (map, id) => (id === null || id === undefined) ? id : (map.has(id) ? map.get(id) : null);
+
+    const addAll = (storeName, transform, idMap) => {
+        const store = transaction.objectStore(storeName);
+        return Promise.all(records[storeName].map(async (record) => {
+            const { id, ...rest } = record;
+            const newId = await requestToPromise(store.add(transform(rest)));
+            if (idMap) idMap.set(id, newId);
+        }));
+    };
+
+    // 設定は未設定の項目のみ追加
+    const settingsStore = transaction.objectStore(STORE_SETTINGS);
+    await Promise.all(records[STORE_SETTINGS].map(async (record) => {
+        const existing = await requestToPromise(settingsStore.get(record.key));
+        if (!existing) await requestToPromise(settingsStore.put(record));
+    }));
+
+    await addAll(STORE_ROUTES, r => r, idMaps.routes);
+    await addAll(STORE_TRACKS, r => ({ ...r, routeId: mapId(idMaps.routes, r.routeId) }), idMaps.tracks);
+    await addAll(STORE_TRACK_CHUNKS, r => ({
+        ...r,
+        routeId: mapId(idMaps.routes, r.routeId),
+        trackId: mapId(idMaps.tracks, r.trackId)
+    }));
+    await addAll(STORE_PHOTOS, r => ({
+        ...r,
+        routeId: mapId(idMaps.routes, r.routeId),
+        ...(r.trackId !== undefined ? { trackId: mapId(idMaps.tracks, r.trackId) } : {})
+    }));
+    await addAll(STORE_WAYPOINTS, r => ({
+        ...r,
+        routeId: mapId(idMaps.routes, r.routeId),
+        trackId: mapId(idMaps.tracks, r.trackId)
+    }));
+    // 外部写真はimportId（文字列）で外部データと結びつくのでそのまま追加
+    await addAll(STORE_EXTERNALS, r => r, idMaps.externals);
+    await addAll(STORE_EXTERNAL_PHOTOS, r => r);
+    return idMaps;
+}
+
+/**
+ * localStorageの設定を復元
+ * replaceは既存の設定を置き換え、mergeは未設定の項目のみ追加する
+ * @param {Object<string, string>} localSettings
+ * @param {'merge'|'replace'} mode
+ * @param {{routes: Map, externals: Map}|null} idMaps - mergeの場合のID対応
+ */
+function restoreLocalSettings(localSettings, mode, idMaps) {
+    if (mode === 'replace') {
+        const existingKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LOCAL_STORAGE_PREFIX)) existingKeys.push(key);
+        }
+        existingKeys.forEach(key => localStorage.removeItem(key));
+    }
+
+    for (let [key, value] of Object.entries(localSettings)) {
+        if (!key.startsWith(LOCAL_STORAGE_PREFIX) || typeof value !== 'string') continue;
+        if (mode === 'merge') {
+            if (localStorage.getItem(key) !== null) continue;
+            // 開いているルートは追加しない（既存の表示を変えない）
+            if (key === 'routeLogger_currentRoute') continue;
+            if (key === 'routeLogger_referenceRoute') {
+                value = remapReferenceRoute(value, idMaps.externals);
+                if (value === null) continue;
+            }
+        }
+        localStorage.setItem(key, value);
+    }
+}
+
+/**
+ * 参照ルートの指定を新しい外部データIDに付け替える
+ * @returns {string|null}
+ */
+function remapReferenceRoute(value, externalIdMap) {
+    try {
+        const reference = JSON.parse(value);
+        if (!externalIdMap.has(reference.externalId)) return null;
+        return JSON.stringify({ ...reference, externalId: externalIdMap.get(reference.externalId) });
+    } catch (e) {
+        return null;
+    }
+}
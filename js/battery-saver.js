@@ -0,0 +1,119 @@
+// RouteLogger - 省電力モード（移動状況に応じた測位頻度の切り替え）
+// 低速・停止中は連続測位をやめ、一定間隔で1回ずつ測る低頻度測位に切り替える
+// 低頻度測位も高精度で測る（低精度の位置は記録の精度の上限で除外され、移動の再開を検出できないため）
+
+import {
+    BATTERY_SAVER_WINDOW_SEC, BATTERY_SAVER_SLOW_SPEED_MPS,
+    BATTERY_SAVER_WAKE_DISTANCE_M, BATTERY_SAVER_LOW_TIMEOUT_SEC
+} from './config.js';
+import * as state from './state.js';
+import { calculateDistance } from './utils.js';
+
+// 判定用の直近の測位 {lat, lng, speed, time}
+let recentFixes = [];
+// 低頻度測位に切り替えたときの位置
+let lowAnchor = null;
+
+/**
+ * 測位レベルごとの測位オプション
+ * 低頻度測位（getCurrentPosition）は休止していたGPSの測り直しになるため、タイムアウトを長めにする
+ * @param {'normal'|'low'} level
+ * @returns {PositionOptions}
+ */
+export function getSamplingOptions(level) {
+    if (level === 'low') {
+        return {
+            enableHighAccuracy: true,
+            timeout: BATTERY_SAVER_LOW_TIMEOUT_SEC * 1000,
+            maximumAge: 0
+        };
+    }
+    return {
+        enableHighAccuracy: true,
+        timeout: 10000,
+        maximumAge: 0
+    };
+}
+
+/**
+ * 記録に残す測位モード（トラックのrecordingPolicyに保存）
+ * @returns {{samplingMode: 'standard'|'batterySaver', wakeLock: boolean}}
+ */
+export function getSamplingMode() {
+    return {
+        samplingMode: state.isBatterySaverEnabled ? 'batterySaver' : 'standard',
+        wakeLock: shouldHoldWakeLock()
+    };
+}
+
+/**
+ * 記録中に画面のWake Lockを取得するかどうか
+ * @returns {boolean}
+ */
+export function shouldHoldWakeLock() {
+    return !(state.isBatterySaverEnabled && state.isBatterySaverWakeLockSkipped);
+}
+
+/**
+ * 判定状態をリセット（記録開始・再開時）
+ */
+export function resetBatterySaver() {
+    recentFixes = [];
+    lowAnchor = null;
+}
+
+/**
+ * 測位値から次の測位レベルを判定
+ * 通常→低頻度: 直近BATTERY_SAVER_WINDOW_SEC秒の平均速度が閾値未満
+ * 低頻度→通常: 切り替え地点からBATTERY_SAVER_WAKE_DISTANCE_M以上離れた、または速度が閾値以上
+ * 記録の精度の上限で除外される測位も判定に使う（呼び出し側はフィルタより先に呼ぶ）
+ * @param {'normal'|'low'} currentLevel
+ * @param {{lat: number, lng: number, accuracy: number, speed: number|null, time: number}} fix
+ * @returns {'normal'|'low'}
+ */
+export function evaluateSamplingLevel(currentLevel, fix) {
+    if (currentLevel === 'low') {
+        const moved = lowAnchor &&
+            calculateDistance(lowAnchor.lat, lowAnchor.lng, fix.lat, fix.lng) > BATTERY_SAVER_WAKE_DISTANCE_M;
+        const fast = fix.speed !== null && fix.speed !== undefined && fix.speed >= BATTERY_SAVER_SLOW_SPEED_MPS * 2;
+        if (moved || fast) {
+            resetBatterySaver();
+            return 'normal';
+        }
+        return 'low';
+    }
+
+    recentFixes.push(fix);
+    recentFixes = recentFixes.filter(f => fix.time - f.time <= BATTERY_SAVER_WINDOW_SEC * 1000);
+
+    const first = recentFixes[0];
+    const spanSec = (fix.time - first.time) / 1000;
+    // 窓が埋まるまでは判定しない
+    if (spanSec < BATTERY_SAVER_WINDOW_SEC * 0.9) return 'normal';
+
+    const avgSpeed = calculateDistance(first.lat, first.lng, fix.lat, fix.lng) / spanSec;
+    if (avgSpeed < BATTERY_SAVER_SLOW_SPEED_MPS) {
+        lowAnchor = { lat: fix.lat, lng: fix.lng };
+        recentFixes = [];
+        return 'low';
+    }
+    return 'normal';
+}
+
+/**
+ * 省電力モードの効果の目安（通常モードに対する消費電力の割合）
+ * 相対値の仮定: 連続測位=1.0、低頻度測位=0.15、画面点灯（Wake Lock）=1.5
+ * @param {number} movingRatio - 記録時間のうち移動している割合（0〜1）
+ * @param {boolean} skipWakeLock - Wake Lockを使わないかどうか
+ * @returns {number} 通常モードを100とした割合（%）
+ */
+export function estimateBatteryImpact(movingRatio, skipWakeLock) {
+    const GPS_HIGH = 1.0;
+    const GPS_LOW = 0.15;
+    const SCREEN = 1.5;
+    const ratio = Math.max(0, Math.min(1, movingRatio));
+
+    const normal = GPS_HIGH + SCREEN;
+    const saver = ratio * GPS_HIGH + (1 - ratio) * GPS_LOW + (skipWakeLock ? 0 : SCREEN);
+    return Math.round((saver / normal) * 100);
+}
@@ -1,9 +1,17 @@
 // RouteLogger - カメラ・写真関連
 
 let currentPhotoText = '';
+let currentPhotoTrackPosition = null; // 撮影時のトラック上の位置（方向の上書き保存でも維持する）
+
+// 容量不足で写真を保存できなかったときのメッセージ
+const QUOTA_EXCEEDED_MESSAGE = '保存領域の空きが足りないため写真を保存できませんでした。\nSizeから古い写真を縮小するか、不要なルートを削除してごみ箱を空にしてください。';
 
 import * as state from './state.js';
-import { savePhoto, updatePhoto, getPhoto, deletePhoto } from './db.js';
+import { PHOTO_THUMBNAIL_MAX_PX, PHOTO_THUMBNAIL_QUALITY } from './config.js';
+import { savePhoto, updatePhoto, getPhoto, deletePhoto, getAllPhotos } from './db.js';
+import { canvasToBlob, loadImageFromBlob } from './utils.js';
+import { isQuotaExceededError } from './storage-quota.js';
+import { locatePhotoOnTrack } from './photo-track.js';
 import { addPhotoMarkerToMap, removePhotoMarker } from './map.js';
 import { updateStatus, updateDataSizeIfOpen, showPhotoFromMarker } from './ui.js';
 
@@ -21,15 +29,17 @@ function directionToRad(direction) {
 
 /**
  * 矢印スタンプを画像に描画
- * @param {string} base64Image - Base64画像データ
+ * @param {Blob} imageBlob - 画像データ
  * @param {number|string} direction - 角度（度数、正=右）または旧文字列（left/up/right）
- * @returns {Promise<string>} スタンプ済み画像のBase64
+ * @returns {Promise<Blob>} スタンプ済み画像
  */
-export async function drawArrowStamp(base64Image, direction) {
+export async function drawArrowStamp(imageBlob, direction) {
     return new Promise((resolve, reject) => {
         const img = new Image();
+        const imageUrl = URL.createObjectURL(imageBlob);
 
         img.onload = () => {
+            URL.revokeObjectURL(imageUrl);
             const canvas = document.createElement('canvas');
             canvas.width = img.width;
             canvas.height = img.height;
@@ -97,19 +107,54 @@ export async function drawArrowStamp(base64Image, direction) {
 
             ctx.restore();
 
-            const stampedImage = canvas.toDataURL('image/jpeg', state.photoQuality / 100);
-            resolve(stampedImage);
+            canvasToBlob(canvas, 'image/jpeg', state.photoQuality / 100).then(resolve, reject);
         };
 
         img.onerror = (error) => {
+            URL.revokeObjectURL(imageUrl);
             console.error('画像読み込みエラー:', error);
             reject(error);
         };
 
-        img.src = base64Image;
+        img.src = imageUrl;
     });
 }
 
+/**
+ * 一覧表示用のサムネイルを作成（長辺PHOTO_THUMBNAIL_MAX_PX）
+ * @param {Blob} imageBlob - 元画像
+ * @returns {Promise<Blob>}
+ */
+export async function createPhotoThumbnail(imageBlob) {
+    const img = await loadImageFromBlob(imageBlob);
+    const scale = Math.min(1, PHOTO_THUMBNAIL_MAX_PX / Math.max(img.width, img.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.width * scale);
+    canvas.height = Math.round(img.height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvasToBlob(canvas, 'image/jpeg', PHOTO_THUMBNAIL_QUALITY);
+}
+
+/**
+ * サムネイルのない写真（旧形式から変換した写真・読み込んだ写真）にサムネイルを作成
+ * @returns {Promise<number>} 作成した件数
+ */
+export async function backfillPhotoThumbnails() {
+    const photos = await getAllPhotos();
+    let count = 0;
+    for (const photo of photos) {
+        if (!photo.blob || photo.thumbBlob) continue;
+        try {
+            photo.thumbBlob = await createPhotoThumbnail(photo.blob);
+            await updatePhoto(photo);
+            count++;
+        } catch (e) {
+            console.warn('サムネイル作成エラー:', photo.id, e);
+        }
+    }
+    return count;
+}
+
 /**
  * カメラを起動して写真撮影ダイアログを表示
  */
@@ -177,6 +222,18 @@ export function closeCameraDialog() {
     updateStatus(state.isTracking ? `GPS記録中 (${state.trackingData.length}点記録)` : 'GPS待機中...');
 }
 
+/**
+ * 写真レコードに保存するトラック上の位置
+ * @returns {{trackId: number|null, trackPointIndex: number|null, distanceFromStart: number|null}}
+ */
+function trackPositionFields() {
+    return {
+        trackId: currentPhotoTrackPosition ? currentPhotoTrackPosition.trackId : null,
+        trackPointIndex: currentPhotoTrackPosition ? currentPhotoTrackPosition.trackPointIndex : null,
+        distanceFromStart: currentPhotoTrackPosition ? currentPhotoTrackPosition.distanceFromStart : null
+    };
+}
+
 /**
  * 写真を撮り直す（Retake）
  */
@@ -184,7 +241,7 @@ export async function retakePhoto() {
     // 現在の写真をDBとMapから削除
     if (state.currentPhotoId) {
         try {
-            await deletePhoto(state.currentPhotoId);
+            await deletePhoto(state.currentPhotoId, { permanent: true });
             removePhotoMarker(state.currentPhotoId);
         } catch (error) {
             console.error('写真削除エラー (Retake):', error);
@@ -195,6 +252,7 @@ export async function retakePhoto() {
     state.setCapturedPhotoData(null);
     state.setCurrentPhotoId(null);
     state.setCapturedPhotoLocation(null);
+    currentPhotoTrackPosition = null;
     currentPhotoText = '';
     updateTextBtnState();
 
@@ -259,11 +317,18 @@ export async function capturePhoto() {
     const ctx = capturedCanvas.getContext('2d');
     ctx.drawImage(cameraPreview, cropX, cropY, cropWidth, cropHeight, 0, 0, PHOTO_WIDTH, PHOTO_HEIGHT);
 
-    state.setCapturedPhotoData(capturedCanvas.toDataURL('image/jpeg', state.photoQuality / 100));
+    state.setCapturedPhotoData(await canvasToBlob(capturedCanvas, 'image/jpeg', state.photoQuality / 100));
 
     // 撮影時の位置情報を保持
     const location = state.currentMarker ? state.currentMarker.getLatLng() : null;
     state.setCapturedPhotoLocation(location);
+    const capturedAt = new Date().toISOString();
+    try {
+        currentPhotoTrackPosition = await locatePhotoOnTrack(location, capturedAt);
+    } catch (e) {
+        console.warn('写真のトラック位置の取得エラー:', e);
+        currentPhotoTrackPosition = null;
+    }
 
 
 
@@ -284,8 +349,11 @@ export async function capturePhoto() {
     // 即時保存 (IndexedDB)
     try {
         const photoRecord = {
-            data: state.capturedPhotoData,
-            timestamp: new Date().toISOString(),
+            routeId: state.currentRouteId,
+            ...trackPositionFields(),
+            blob: state.capturedPhotoData,
+            thumbBlob: null,
+            timestamp: capturedAt,
             direction: '',
             location: location ? {
                 lat: parseFloat(location.lat.toFixed(5)),
@@ -307,7 +375,11 @@ export async function capturePhoto() {
 
     } catch (error) {
         console.error('写真一時保存エラー:', error);
-        alert('写真の保存に失敗しましたが、撮影は継続できます');
+        if (isQuotaExceededError(error)) {
+            alert(QUOTA_EXCEEDED_MESSAGE);
+        } else {
+            alert('写真の保存に失敗しましたが、撮影は継続できます');
+        }
     }
 
     updateStatus('方向を選択してください');
@@ -326,13 +398,17 @@ export async function savePhotoWithDirection(direction, facing = 'forward') {
 
     try {
         const stampedPhotoData = await drawArrowStamp(state.capturedPhotoData, direction);
+        const thumbnail = await createPhotoThumbnail(stampedPhotoData);
 
 
         // state.capturedPhotoLocation を使用 (撮影時の位置)
         const location = state.capturedPhotoLocation;
 
         const photoRecord = {
-            data: stampedPhotoData,
+            routeId: state.currentRouteId,
+            ...trackPositionFields(),
+            blob: stampedPhotoData,
+            thumbBlob: thumbnail,
             timestamp: new Date().toISOString(),
             direction: direction,
             facing: facing,
@@ -388,7 +464,11 @@ export async function savePhotoWithDirection(direction, facing = 'forward') {
 
     } catch (error) {
         console.error('写真保存エラー:', error);
-        alert('写真の保存に失敗しました: ' + error.message);
+        if (isQuotaExceededError(error)) {
+            alert(QUOTA_EXCEEDED_MESSAGE);
+        } else {
+            alert('写真の保存に失敗しました: ' + error.message);
+        }
     }
 
     // データは保持する（連続操作のため）
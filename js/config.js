@@ -2,12 +2,33 @@
 
 // IndexedDB設定
 export const DB_NAME = 'RouteLoggerDB';
-export const DB_VERSION = 4;
+export const DB_VERSION = 11;
 export const STORE_TRACKS = 'tracks';
 export const STORE_PHOTOS = 'photos';
 export const STORE_SETTINGS = 'settings';
 export const STORE_EXTERNALS = 'externals';
 export const STORE_EXTERNAL_PHOTOS = 'external_photos';
+export const STORE_WAYPOINTS = 'waypoints';
+export const STORE_ROUTES = 'routes';
+export const STORE_TRASH = 'trash';                 // ごみ箱の一覧（名前・件数など。レコードはtrash_records）
+export const STORE_TRASH_RECORDS = 'trash_records'; // ごみ箱に移したレコード（1件ずつ。trashIdでエントリに属する）
+export const STORE_TRACK_CHUNKS = 'track_chunks'; // 記録中トラックの追記分（停止時にtracksにまとめる）
+export const STORE_TILE_AREAS = 'tile_areas';     // オフライン地図としてダウンロードした範囲（タイルはCache Storage）
+
+// 端末内データの暗号化（有効にした場合のみ）
+// ルート名・設定は暗号化しない（最後の位置は暗号化している間は保存しない）。ごみ箱の一覧は名前だけ暗号化する
+export const ENCRYPTED_STORES = [STORE_TRACKS, STORE_TRACK_CHUNKS, STORE_PHOTOS, STORE_WAYPOINTS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS, STORE_TILE_AREAS];
+export const ENCRYPTION_PBKDF2_ITERATIONS = 310000; // パスフレーズから鍵を作るときの反復回数
+export const ENCRYPTION_MIN_PASSPHRASE_LENGTH = 8;
+
+// ごみ箱
+export const TRASH_RETENTION_DAYS = 30; // ごみ箱に残す日数（過ぎたものは起動時に完全に削除）
+export const UNDO_TOAST_SEC = 8;        // 「元に戻す」を表示する秒数
+export const TRASH_BATCH_SIZE = 20;     // ごみ箱への移動・復元で1つのトランザクションで扱うレコード数（写真のBlobでメモリを使い切らないように）
+
+// バックアップ（zip内のmanifest.jsonの形式）
+export const BACKUP_FORMAT = 'RouteLoggerBackup';
+export const BACKUP_FORMAT_VERSION = 1;
 
 // デフォルト位置（箕面大滝）
 export const DEFAULT_POSITION = {
@@ -20,19 +41,146 @@ export const DEFAULT_POSITION = {
 export const GPS_RECORD_INTERVAL_SEC = 60;  // 記録間隔（秒）
 export const GPS_RECORD_DISTANCE_M = 20;    // 記録距離（メートル）
 
+// GPS記録プロファイル（移動手段ごとの記録条件）
+// intervalSec: 記録間隔（秒）, distanceM: 記録距離（m）
+// minIntervalSec: 最低記録間隔（秒）, maxAccuracyM: 記録する精度の上限（m）
+// maxSpeedKmh: 移動速度の上限（km/h、これを超える移動は外れ値とみなす）
+export const RECORDING_PROFILES = {
+    hiking: { label: 'ハイキング', intervalSec: GPS_RECORD_INTERVAL_SEC, distanceM: GPS_RECORD_DISTANCE_M, minIntervalSec: 5, maxAccuracyM: 100, maxSpeedKmh: 30 },
+    cycling: { label: 'サイクリング', intervalSec: 30, distanceM: 50, minIntervalSec: 3, maxAccuracyM: 50, maxSpeedKmh: 80 },
+    urban: { label: '街歩き', intervalSec: 30, distanceM: 10, minIntervalSec: 5, maxAccuracyM: 50, maxSpeedKmh: 150 },
+    custom: { label: 'カスタム', intervalSec: GPS_RECORD_INTERVAL_SEC, distanceM: GPS_RECORD_DISTANCE_M, minIntervalSec: 5, maxAccuracyM: 100, maxSpeedKmh: 300 }
+};
+export const DEFAULT_RECORDING_PROFILE = 'hiking';
+
+// 記録中トラックの書き込み（記録した点をまとめて追記する）
+// 画面が非表示の間は1点ごとに書き込む（track-writer.js）
+export const TRACK_FLUSH_POINTS = 20;        // 未書き込みの点がこの数になったら書き込む
+export const TRACK_FLUSH_INTERVAL_SEC = 30;  // 未書き込みの最初の点からこの秒数で書き込む
+
+// GPS測位フィルタ
+export const GPS_FILTER_SPEED_RESET_COUNT = 3;   // 速度超過が連続したら現在地を基準に再設定する回数
+export const GPS_REJECTED_FIX_MAX = 100;         // トラックに残す除外した測位の件数（直近のもの。件数は理由ごとにすべて数える）
+export const GPS_KALMAN_PROCESS_NOISE_MPS = 3;   // カルマン平滑化の想定移動速度ばらつき（m/s）
+
+// トラック点の測位元（point.source）
+// 'gps': 測位値そのまま, 'filtered': 平滑化で位置を補正, 'simulated': シミュレーション
+// 点の数が多いため、'gps'は保存せず、それ以外は1文字のコードで保存する
+export const DEFAULT_POINT_SOURCE = 'gps';
+export const POINT_SOURCE_CODES = { filtered: 'f', simulated: 's' };
+
+// 移動統計
+export const MOVING_SPEED_THRESHOLD_MPS = 0.3;  // これ未満の速度は停止中とみなす（m/s）
+export const ELEVATION_THRESHOLD_M = 5;         // 累積標高の計算で無視する高度変化（m、GPSの揺れ対策）
+export const TRIP_STATS_REFRESH_SEC = 1;        // 記録中の統計パネルの経過時間を進める間隔（秒）
+
+// 標高プロファイル
+export const ELEVATION_PROFILE_PHOTO_MAX_M = 100;   // 外部データの写真をグラフに載せる、線からの最大距離（m）
+export const ELEVATION_PROFILE_MIN_RANGE_M = 20;    // グラフの縦軸の最小幅（m、平坦なルートで起伏を誇張しない）
+
+// 自動一時停止（停止判定）
+export const AUTO_PAUSE_WINDOW_SEC = 90;        // この時間以上とどまっていたら停止とみなす（秒）
+export const AUTO_PAUSE_SPEED_MPS = 0.4;        // 停止とみなす平均速度の上限（m/s）
+export const AUTO_PAUSE_RADIUS_M = 10;          // 停止とみなす位置ばらつき（標準偏差）の上限（m）
+export const AUTO_RESUME_DISTANCE_M = 25;       // 停止地点からこの距離以上離れたら移動再開（m）
+export const AUTO_RESUME_SPEED_MPS = 1.0;       // 端末報告速度がこれ以上なら移動再開（m/s）
+export const AUTO_RESUME_FIX_COUNT = 2;         // 移動再開と判定するのに必要な連続測位数
+
+// 省電力モード（低速・停止中は低頻度測位に切り替える）
+export const BATTERY_SAVER_WINDOW_SEC = 60;        // 低速判定に使う時間（秒）
+export const BATTERY_SAVER_SLOW_SPEED_MPS = 0.5;   // これ未満の平均速度で低頻度測位に切り替え（m/s）
+export const BATTERY_SAVER_LOW_INTERVAL_SEC = 30;  // 低頻度測位の測位間隔（秒）
+export const BATTERY_SAVER_LOW_TIMEOUT_SEC = 20;   // 低頻度測位1回のタイムアウト（秒）
+export const BATTERY_SAVER_WAKE_DISTANCE_M = 30;   // 低頻度測位中にこれ以上移動したら通常測位に戻す（m）
+
+// ルート外れ警告（参照ルートとの比較）
+export const DEFAULT_OFF_ROUTE_THRESHOLD_M = 50; // これ以上ルートから離れたら警告（m）
+export const OFF_ROUTE_CONFIRM_FIXES = 2;        // 警告するまでに必要な連続測位数
+export const OFF_ROUTE_REPEAT_SEC = 60;          // ルート外れが続くときの警告の繰り返し間隔（秒）
+// 進み具合は前回の位置からルート沿いにこの範囲だけで最寄りの線分を探す（往復・交差するルートで残り距離が飛ばないように）
+export const ROUTE_PROGRESS_AHEAD_M = 500;       // 前方（m）
+export const ROUTE_PROGRESS_BACK_M = 50;         // 後方（m、測位の揺れの分）
+
+// ウェイポイントの種類（地図アイコン・KMZのスタイルに使用）
+export const WAYPOINT_CATEGORIES = {
+    junction: { label: '分岐', icon: '⑂', color: '#007AFF' },
+    water: { label: '水場', icon: '💧', color: '#00A0E9' },
+    hazard: { label: '危険箇所', icon: '⚠', color: '#FF3B30' },
+    viewpoint: { label: '展望', icon: '★', color: '#34C759' },
+    toilet: { label: 'トイレ', icon: 'WC', color: '#8E44AD' }
+};
+export const DEFAULT_WAYPOINT_CATEGORY = 'junction';
+
+// 外部データ（読み込んだKMZ・GeoJSON）の既定の色（レイヤー管理で外部データごとに変更できる）
+export const DEFAULT_EXTERNAL_COLOR = '#0055ff';
+
 // 写真解像度
 export const PHOTO_WIDTH = 360;
 export const PHOTO_HEIGHT = 640;
 export const PHOTO_QUALITY = 0.7;
+export const PHOTO_THUMBNAIL_MAX_PX = 240;   // 一覧用サムネイルの長辺（px）
+export const PHOTO_THUMBNAIL_QUALITY = 0.6;
+export const PHOTO_TRACK_TIME_MARGIN_SEC = 300; // トラックの記録時間の前後この秒数以内の写真は撮影時刻でトラック点に対応付ける
 
 // 画像設定の規定値
 export const DEFAULT_PHOTO_RESOLUTION_LEVEL = 1; // 360×640px（中）
 export const DEFAULT_PHOTO_QUALITY = 70;          // 70%
 export const DEFAULT_THUMBNAIL_SIZE = 160;        // 160px
 
+// ストレージ
+export const LOW_STORAGE_WARNING_BYTES = 200 * 1024 * 1024; // 記録開始前に警告する空き容量（200MB未満）
+
 // 地図タイル設定
 export const GSI_TILE_URL = 'https://cyberjapandata.gsi.go.jp/xyz/std/{z}/{x}/{y}.png';
 export const GSI_ATTRIBUTION = '<a href="https://maps.gsi.go.jp/development/ichiran.html" target="_blank">国土地理院</a>';
 export const MAP_MAX_NATIVE_ZOOM = 18;
 export const MAP_MAX_ZOOM = 20;
 export const MAP_MIN_ZOOM = 5;
+
+// 背景地図（地理院タイル。地図左上のレイヤー切替で選ぶ）
+// maxNativeZoom・minNativeZoom: タイルが提供されているズームの範囲（範囲外は拡大・縮小して表示）
+// tileKB: オフライン地図の容量の見積もりに使う1枚あたりのおおよその大きさ（KB）
+const GSI_XYZ_URL = 'https://cyberjapandata.gsi.go.jp/xyz';
+export const BASE_LAYERS = {
+    std: { label: '標準地図', url: GSI_TILE_URL, maxNativeZoom: MAP_MAX_NATIVE_ZOOM, tileKB: 20 },
+    pale: { label: '淡色地図', url: `${GSI_XYZ_URL}/pale/{z}/{x}/{y}.png`, maxNativeZoom: 18, tileKB: 15 },
+    photo: {
+        label: '写真',
+        url: `${GSI_XYZ_URL}/seamlessphoto/{z}/{x}/{y}.jpg`,
+        maxNativeZoom: 18,
+        tileKB: 40,
+        attribution: `${GSI_ATTRIBUTION}、Landsat8画像（GSI,TSIC,GEO Grid/AIST）、海底地形（GEBCO）`
+    },
+    relief: { label: '色別標高図', url: `${GSI_XYZ_URL}/relief/{z}/{x}/{y}.png`, maxNativeZoom: 15, tileKB: 15 },
+    english: { label: 'English', url: `${GSI_XYZ_URL}/english/{z}/{x}/{y}.png`, minNativeZoom: 5, maxNativeZoom: 11, tileKB: 15 }
+};
+export const DEFAULT_BASE_LAYER = 'std';
+
+// 背景地図に重ねる地図（透明度を設定で変更できる）
+export const OVERLAY_LAYERS = {
+    hillshade: { label: '陰影起伏図', url: `${GSI_XYZ_URL}/hillshademap/{z}/{x}/{y}.png`, minNativeZoom: 2, maxNativeZoom: 16, tileKB: 20 },
+    slope: { label: '傾斜量図', url: `${GSI_XYZ_URL}/slopemap/{z}/{x}/{y}.png`, minNativeZoom: 3, maxNativeZoom: 15, tileKB: 20 }
+};
+export const DEFAULT_OVERLAY_OPACITY = 0.5;
+
+// 軌跡の色分け（記録点の値で色を変える。'none'は単色）
+// 点の数が多くても描画が重くならないよう、値を色の段階に分けて段階ごとに1本の線にまとめる
+export const TRACK_COLOR_MODES = {
+    none: { label: '単色' },
+    speed: { label: '速度', unit: 'km/h' },
+    altitude: { label: '標高', unit: 'm' },
+    accuracy: { label: 'GPS精度', unit: 'm' },
+    time: { label: '経過時間', unit: '分' }
+};
+export const DEFAULT_TRACK_COLOR_MODE = 'none';
+// 色の段階（値の小さい方から）。GPS精度は値が小さいほど良い
+export const TRACK_COLOR_RAMP = ['#2c7bb6', '#00a6ca', '#00ccbc', '#90eb9d', '#f9d057', '#f29e2e', '#e76818', '#d7191c'];
+export const TRACK_COLOR_NO_VALUE = '#999999';      // 値のない区間の色
+export const TRACK_COLOR_RANGE_PERCENTILE = 0.05;   // 色の範囲から外す上下の割合（速度・精度の外れ値対策）
+
+// オフライン地図（範囲とズームを指定して地図タイルを事前にダウンロードする）
+// キャッシュ名はservice-worker.jsのTILE_CACHE_NAMEと同じにすること（アプリ更新時も削除しない）
+export const OFFLINE_TILE_CACHE_NAME = 'RLog-tiles';
+export const OFFLINE_TILE_MAX_COUNT = 10000;  // 1つの範囲でダウンロードできるタイル数の上限（地理院タイルへの負荷を抑える）
+export const OFFLINE_TILE_CONCURRENCY = 4;    // 同時にダウンロードする数
+export const OFFLINE_ROUTE_BUFFER_M = 500;    // ルート周辺をダウンロードする場合の規定の幅（ルートからの距離）
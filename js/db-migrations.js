@@ -0,0 +1,283 @@
+// RouteLogger - IndexedDBのスキーマ移行
+// DB_VERSIONごとの移行手順を古い順に実行する。すべてonupgradeneededのversionchangeトランザクション内で行い、
+// 途中で失敗した場合はトランザクションを中止する（DBは移行前のバージョン・データのまま残る）
+
+import { STORE_TRACKS, STORE_PHOTOS, STORE_SETTINGS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS, STORE_WAYPOINTS, STORE_ROUTES, STORE_TRASH, STORE_TRASH_RECORDS, STORE_TRACK_CHUNKS, STORE_TILE_AREAS } from './config.js';
+import { base64ToBlob } from './utils.js';
+
+/**
+ * 移行手順の一覧（versionの昇順）
+ * 旧バージョンからの移行時は「旧バージョン < version」の手順をすべて順に実行する
+ * 新規作成時（旧バージョン0）も同じ手順でストアを作成する
+ *
+ * migrate({database, transaction, oldVersion}) は同期的に処理するか、
+ * 同じトランザクション内の処理が終わったら解決するPromiseを返すこと
+ * （Promiseの解決を待つ間に別の非同期処理を挟むとトランザクションが終了してしまう）
+ *
+ * 端末内データの暗号化が有効な場合、ENCRYPTED_STORESのレコードは $enc に暗号化されている（encryption.js）
+ * 移行時はパスフレーズで解錠されていないため、暗号化しない項目（id・routeId・trackIdなど）以外は読み書きできない
+ */
+export const MIGRATIONS = [
+    {
+        version: 4,
+        description: '基本ストアの作成',
+        migrate({ database }) {
+            if (!database.objectStoreNames.contains(STORE_TRACKS)) {
+                const trackStore = database.createObjectStore(STORE_TRACKS, { keyPath: 'id', autoIncrement: true });
+                trackStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+            if (!database.objectStoreNames.contains(STORE_PHOTOS)) {
+                const photoStore = database.createObjectStore(STORE_PHOTOS, { keyPath: 'id', autoIncrement: true });
+                photoStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+            if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
+                database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+            }
+            if (!database.objectStoreNames.contains(STORE_EXTERNALS)) {
+                database.createObjectStore(STORE_EXTERNALS, { keyPath: 'id', autoIncrement: true });
+            }
+            if (!database.objectStoreNames.contains(STORE_EXTERNAL_PHOTOS)) {
+                const photoStore = database.createObjectStore(STORE_EXTERNAL_PHOTOS, { keyPath: 'id', autoIncrement: true });
+                photoStore.createIndex('importId', 'importId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'ウェイポイントストアの作成',
+        migrate({ database }) {
+            if (!database.objectStoreNames.contains(STORE_WAYPOINTS)) {
+                const waypointStore = database.createObjectStore(STORE_WAYPOINTS, { keyPath: 'id', autoIncrement: true });
+                waypointStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        }
+    },
+    {
+        version: 6,
+        description: 'ルートライブラリの作成',
+        migrate({ database, transaction, oldVersion }) {
+            if (!database.objectStoreNames.contains(STORE_ROUTES)) {
+                const routeStore = database.createObjectStore(STORE_ROUTES, { keyPath: 'id', autoIncrement: true });
+                routeStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+
+            // トラック・写真・ウェイポイントはルートIDで検索できるようにする
+            [STORE_TRACKS, STORE_PHOTOS, STORE_WAYPOINTS].forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                if (!store.indexNames.contains('routeId')) {
+                    store.createIndex('routeId', 'routeId', { unique: false });
+                }
+            });
+
+            // ルートライブラリ導入前のデータは1つのルートにまとめる
+            if (oldVersion > 0) {
+                return assignLegacyDataToRoute(transaction);
+            }
+        }
+    },
+    {
+        version: 7,
+        description: '写真をBlobに変換',
+        migrate({ transaction }) {
+            // サムネイルはcanvasが必要なため、起動後にbackfillPhotoThumbnails()で作成する
+            return updateEachRecord(transaction.objectStore(STORE_PHOTOS), (photo) => {
+                if (typeof photo.data !== 'string') return null;
+                const { data, ...rest } = photo;
+                return { ...rest, blob: base64ToBlob(data), thumbBlob: null };
+            });
+        }
+    },
+    {
+        version: 8,
+        description: '写真の方向を角度（数値）に変換',
+        migrate({ transaction }) {
+            // 旧形式の方向（left/up/right）は撮影画面の旧ボタンの角度に合わせる
+            const LEGACY_DIRECTIONS = { left: -60, up: 0, forward: 0, right: 60 };
+            return updateEachRecord(transaction.objectStore(STORE_PHOTOS), (photo) => {
+                if (typeof photo.direction !== 'string') return null;
+                if (photo.direction in LEGACY_DIRECTIONS) {
+                    return { ...photo, direction: LEGACY_DIRECTIONS[photo.direction] };
+                }
+                // 数値の文字列はそのまま数値に、それ以外（空文字など）は方向なし
+                const degrees = parseFloat(photo.direction);
+                return { ...photo, direction: isNaN(degrees) ? null : degrees };
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'ごみ箱の作成',
+        migrate({ database }) {
+            if (!database.objectStoreNames.contains(STORE_TRASH)) {
+                const trashStore = database.createObjectStore(STORE_TRASH, { keyPath: 'id', autoIncrement: true });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+            // ごみ箱に移したレコードは1件ずつ保存する（大きなルートでも1レコードが大きくならないように）
+            if (!database.objectStoreNames.contains(STORE_TRASH_RECORDS)) {
+                const recordStore = database.createObjectStore(STORE_TRASH_RECORDS, { keyPath: 'id', autoIncrement: true });
+                recordStore.createIndex('trashId', 'trashId', { unique: false });
+                recordStore.createIndex('trashStore', ['trashId', 'storeName'], { unique: false });
+            }
+        }
+    },
+    {
+        version: 10,
+        description: '記録中トラックの追記ストアの作成',
+        migrate({ database }) {
+            if (!database.objectStoreNames.contains(STORE_TRACK_CHUNKS)) {
+                const chunkStore = database.createObjectStore(STORE_TRACK_CHUNKS, { keyPath: 'id', autoIncrement: true });
+                chunkStore.createIndex('trackId', 'trackId', { unique: false });
+                chunkStore.createIndex('routeId', 'routeId', { unique: false });
+            }
+        }
+    },
+    {
+        version: 11,
+        description: 'オフライン地図の範囲ストアの作成',
+        migrate({ database }) {
+            if (!database.objectStoreNames.contains(STORE_TILE_AREAS)) {
+                database.createObjectStore(STORE_TILE_AREAS, { keyPath: 'id', autoIncrement: true });
+            }
+        }
+    }
+];
+
+/**
+ * 移行に失敗した手順を示すエラー
+ */
+export class MigrationError extends Error {
+    /**
+     * @param {{version: number, description: string}} step - 失敗した手順
+     * @param {Error} cause - 元のエラー
+     */
+    constructor(step, cause) {
+        super(`データベースの移行に失敗しました（v${step.version}: ${step.description}）: ${cause && cause.message ? cause.message : cause}`);
+        this.name = 'MigrationError';
+        this.version = step.version;
+        this.cause = cause;
+    }
+}
+
+/**
+ * 旧バージョンから現在のバージョンまでの移行手順を順に実行
+ * 失敗した場合はトランザクションを中止し、MigrationErrorで拒否する
+ * @param {IDBDatabase} database
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @param {number} oldVersion - 移行前のバージョン（新規作成時は0）
+ * @param {number} newVersion - 移行後のバージョン
+ * @returns {Promise<void>}
+ */
+export function runMigrations(database, transaction, oldVersion, newVersion) {
+    const steps = MIGRATIONS.filter(step => step.version > oldVersion && step.version <= newVersion);
+
+    return new Promise((resolve, reject) => {
+        let index = 0;
+
+        const fail = (step, error) => {
+            const migrationError = new MigrationError(step, error);
+            console.error(migrationError.message, error);
+            try {
+                transaction.abort();
+            } catch (e) { /* すでに中止・完了している */ }
+            reject(migrationError);
+        };
+
+        // 同期的な手順は続けて実行し、Promiseを返す手順は完了を待って次へ進む
+        const next = () => {
+            while (index < steps.length) {
+                const step = steps[index++];
+                let result;
+                try {
+                    result = step.migrate({ database, transaction, oldVersion });
+                } catch (error) {
+                    fail(step, error);
+                    return;
+                }
+                if (result && typeof result.then === 'function') {
+                    result.then(next, error => fail(step, error));
+                    return;
+                }
+            }
+            resolve();
+        };
+
+        next();
+    });
+}
+
+/**
+ * ストアの全レコードを書き換える
+ * @param {IDBObjectStore} store
+ * @param {function(Object): Object|null} transform - 新しいレコード（変更しない場合はnull）を返す
+ * @returns {Promise<number>} 書き換えた件数
+ */
+export function updateEachRecord(store, transform) {
+    return new Promise((resolve, reject) => {
+        let count = 0;
+        const cursorRequest = store.openCursor();
+
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                resolve(count);
+                return;
+            }
+            try {
+                const updated = transform(cursor.value);
+                if (updated) {
+                    const updateRequest = cursor.update(updated);
+                    updateRequest.onerror = () => reject(updateRequest.error);
+                    count++;
+                }
+                cursor.continue();
+            } catch (error) {
+                reject(error);
+            }
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+}
+
+/**
+ * IDBRequestの完了をPromiseにする
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * ルートIDのないトラック・写真・ウェイポイントを新しいルートに割り当てる
+ * @param {IDBTransaction} transaction - versionchangeトランザクション
+ * @returns {Promise<void>}
+ */
+async function assignLegacyDataToRoute(transaction) {
+    const [trackCount, photoCount] = await Promise.all([
+        requestToPromise(transaction.objectStore(STORE_TRACKS).count()),
+        requestToPromise(transaction.objectStore(STORE_PHOTOS).count())
+    ]);
+    if (trackCount === 0 && photoCount === 0) return;
+
+    // 読み込んだデータだったかどうかはルートの入手元として残す
+    const isLoadedData = localStorage.getItem('routeLogger_loadedData') === 'true';
+    const now = new Date().toISOString();
+    const routeId = await requestToPromise(transaction.objectStore(STORE_ROUTES).add({
+        name: '以前の記録',
+        timestamp: null,
+        source: isLoadedData ? 'imported' : 'recorded',
+        stats: null,
+        createdAt: now,
+        updatedAt: now
+    }));
+
+    const assignRoute = (record) => record.routeId === undefined ? { ...record, routeId } : null;
+    await Promise.all([STORE_TRACKS, STORE_PHOTOS, STORE_WAYPOINTS].map(storeName =>
+        updateEachRecord(transaction.objectStore(storeName), assignRoute)
+    ));
+    // 移行が中止された場合は次回の移行で再び使うため、完了してから消す
+    transaction.addEventListener('complete', () => localStorage.removeItem('routeLogger_loadedData'));
+}
@@ -1,7 +1,12 @@
 // RouteLogger - IndexedDB操作
 
-import { DB_NAME, DB_VERSION, STORE_TRACKS, STORE_PHOTOS, STORE_SETTINGS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS, DEFAULT_POSITION } from './config.js';
+import { DB_NAME, DB_VERSION, STORE_TRACKS, STORE_PHOTOS, STORE_SETTINGS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS, STORE_WAYPOINTS, STORE_ROUTES, STORE_TRASH, STORE_TRASH_RECORDS, STORE_TRACK_CHUNKS, STORE_TILE_AREAS, ENCRYPTED_STORES, TRASH_BATCH_SIZE } from './config.js';
 import * as state from './state.js';
+import { runMigrations } from './db-migrations.js';
+import { encryptRecord, decryptRecord, decryptRecords, createDataKey, unlockDataKey, rewrapDataKey, clearEncryptionKey, markEncryptionEnabled, isEncryptionEnabled } from './encryption.js';
+
+// 暗号化が有効な場合、ENCRYPTED_STORESのレコードは暗号化して保存する
+// IDBのトランザクションは暗号処理を待つ間に終わってしまうため、書き込む前に暗号化し、読み込んだ後に復号する
 
 /**
  * IndexedDBを初期化
@@ -11,9 +16,12 @@ export function initIndexedDB() {
     return new Promise((resolve, reject) => {
         const request = indexedDB.open(DB_NAME, DB_VERSION);
 
+        // 移行に失敗した場合は、中止によるAbortErrorではなく失敗した手順のエラーを返す
+        let migrationError = null;
+
         request.onerror = () => {
             console.error('IndexedDB接続エラー:', request.error);
-            reject(request.error);
+            reject(migrationError || request.error);
         };
 
         request.onsuccess = () => {
@@ -23,43 +31,17 @@ export function initIndexedDB() {
         };
 
         request.onupgradeneeded = (event) => {
-            const database = event.target.result;
-
-
-            if (!database.objectStoreNames.contains(STORE_TRACKS)) {
-                const trackStore = database.createObjectStore(STORE_TRACKS, { keyPath: 'id', autoIncrement: true });
-                trackStore.createIndex('timestamp', 'timestamp', { unique: false });
-
-            }
-
-            if (!database.objectStoreNames.contains(STORE_PHOTOS)) {
-                const photoStore = database.createObjectStore(STORE_PHOTOS, { keyPath: 'id', autoIncrement: true });
-                photoStore.createIndex('timestamp', 'timestamp', { unique: false });
-
-            }
-
-            if (!database.objectStoreNames.contains(STORE_SETTINGS)) {
-                database.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
-            }
-
-            if (!database.objectStoreNames.contains(STORE_EXTERNALS)) {
-                database.createObjectStore(STORE_EXTERNALS, { keyPath: 'id', autoIncrement: true });
-            }
-
-            if (!database.objectStoreNames.contains(STORE_EXTERNAL_PHOTOS)) {
-                const photoStore = database.createObjectStore(STORE_EXTERNAL_PHOTOS, { keyPath: 'id', autoIncrement: true });
-                // インポートIDやファイル名で検索できるようにインデックスを作成（必要に応じて）
-                photoStore.createIndex('importId', 'importId', { unique: false });
-            }
+            runMigrations(event.target.result, event.target.transaction, event.oldVersion, event.newVersion)
+                .catch(error => { migrationError = error; });
         };
     });
 }
 
 /**
- * 最後の位置を保存
+ * 最後の位置を保存（設定は暗号化しないため、暗号化している場合は保存しない）
  */
 export async function saveLastPosition(lat, lng, zoom) {
-    if (!state.db) return;
+    if (!state.db || isEncryptionEnabled()) return;
 
     try {
         const transaction = state.db.transaction([STORE_SETTINGS], 'readwrite');
@@ -116,10 +98,93 @@ export function getLastPosition() {
 }
 
 /**
- * 全トラックデータを取得
+ * 記録中セッションの状態を保存（アプリ強制終了・再読み込みからの復旧用）
+ * @param {Object} session - {trackId, startTime, startDate, previousTotalPoints, isPaused}
+ */
+export async function saveTrackingSession(session) {
+    if (!state.db) return;
+
+    try {
+        const transaction = state.db.transaction([STORE_SETTINGS], 'readwrite');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        await store.put({
+            key: 'trackingSession',
+            ...session,
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('記録セッション保存エラー:', error);
+    }
+}
+
+/**
+ * 終了していない記録セッションを取得
+ * @returns {Promise<Object|null>}
+ */
+export function getTrackingSession() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_SETTINGS], 'readonly');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        const request = store.get('trackingSession');
+
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 記録セッションの状態を削除（記録停止・データ初期化時）
+ */
+export async function clearTrackingSession() {
+    if (!state.db) return;
+
+    try {
+        const transaction = state.db.transaction([STORE_SETTINGS], 'readwrite');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        await store.delete('trackingSession');
+    } catch (error) {
+        console.error('記録セッション削除エラー:', error);
+    }
+}
+
+/**
+ * トラックに追記分（track_chunks）の点をつなげる
+ * 追記分は記録中のトラックにだけあり、停止時にcompactTrackChunks()でトラックのpointsにまとめる
+ * @param {Array} tracks
+ * @param {Array} chunks - track_chunksのレコード
+ * @returns {Array}
+ */
+function mergeTrackChunks(tracks, chunks) {
+    if (chunks.length === 0) return tracks;
+
+    return tracks.map(track => {
+        const trackChunks = chunks
+            .filter(chunk => chunk.trackId === track.id)
+            .sort((a, b) => a.startIndex - b.startIndex);
+        if (trackChunks.length === 0) return track;
+
+        const points = [...(track.points || [])];
+        trackChunks.forEach(chunk => {
+            // 同じ位置から書き直した追記分は後のものを使う
+            points.splice(chunk.startIndex);
+            points.push(...chunk.points);
+        });
+        return { ...track, points, totalPoints: points.length };
+    });
+}
+
+/**
+ * トラックを追記分の点をつなげて取得
+ * 追記分は読み込んだトラックのものだけをtrackIdのインデックスで取得する
+ * @param {function(IDBObjectStore): IDBRequest} query - tracksストアへのリクエスト
  * @returns {Promise<Array>}
  */
-export function getAllTracks() {
+function readTracks(query) {
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
@@ -127,18 +192,43 @@ export function getAllTracks() {
         }
 
         try {
-            const transaction = state.db.transaction([STORE_TRACKS], 'readonly');
-            const store = transaction.objectStore(STORE_TRACKS);
-            const request = store.getAll();
+            const transaction = state.db.transaction([STORE_TRACKS, STORE_TRACK_CHUNKS], 'readonly');
+            const trackRequest = query(transaction.objectStore(STORE_TRACKS));
+            const chunkIndex = transaction.objectStore(STORE_TRACK_CHUNKS).index('trackId');
+            let chunkRequests = [];
+            trackRequest.onsuccess = () => {
+                chunkRequests = [].concat(trackRequest.result || []).map(track => chunkIndex.getAll(track.id));
+            };
 
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve(Promise.all([
+                decryptRecords([].concat(trackRequest.result || [])),
+                decryptRecords(chunkRequests.flatMap(request => request.result))
+            ]).then(([tracks, chunks]) => mergeTrackChunks(tracks, chunks)));
+            transaction.onerror = () => reject(transaction.error);
         } catch (error) {
             reject(error);
         }
     });
 }
 
+/**
+ * IDを指定してトラックを取得
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getTrack(id) {
+    const tracks = await readTracks(store => store.get(id));
+    return tracks[0] || null;
+}
+
+/**
+ * 全トラックデータを取得
+ * @returns {Promise<Array>}
+ */
+export function getAllTracks() {
+    return readTracks(store => store.getAll());
+}
+
 /**
  * 全写真データを取得
  * @returns {Promise<Array>}
@@ -155,7 +245,7 @@ export function getAllPhotos() {
             const store = transaction.objectStore(STORE_PHOTOS);
             const request = store.getAll();
 
-            request.onsuccess = () => resolve(request.result || []);
+            request.onsuccess = () => resolve(decryptRecords(request.result));
             request.onerror = () => reject(request.error);
         } catch (error) {
             reject(error);
@@ -180,7 +270,7 @@ export function getPhoto(id) {
         const store = transaction.objectStore(STORE_PHOTOS);
         const request = store.get(id);
 
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => resolve(decryptRecord(request.result));
         request.onerror = () => reject(request.error);
     });
 }
@@ -190,7 +280,8 @@ export function getPhoto(id) {
  * @param {Object} photoRecord - 写真データ
  * @returns {Promise<number>} 保存されたID
  */
-export function savePhoto(photoRecord) {
+export async function savePhoto(photoRecord) {
+    const stored = await encryptRecord(photoRecord);
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
@@ -199,7 +290,7 @@ export function savePhoto(photoRecord) {
 
         const transaction = state.db.transaction([STORE_PHOTOS], 'readwrite');
         const store = transaction.objectStore(STORE_PHOTOS);
-        const request = store.add(photoRecord);
+        const request = store.add(stored);
 
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
@@ -211,7 +302,8 @@ export function savePhoto(photoRecord) {
  * @param {Object} photoRecord - 更新する写真データ (idを含むこと)
  * @returns {Promise<number>} 更新されたID
  */
-export function updatePhoto(photoRecord) {
+export async function updatePhoto(photoRecord) {
+    const stored = await encryptRecord(photoRecord);
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
@@ -221,7 +313,7 @@ export function updatePhoto(photoRecord) {
         const transaction = state.db.transaction([STORE_PHOTOS], 'readwrite');
         const store = transaction.objectStore(STORE_PHOTOS);
         // IDが含まれていれば更新、なければ新規追加（ただし呼び出し側で通常IDを含める）
-        const request = store.put(photoRecord);
+        const request = store.put(stored);
 
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
@@ -229,11 +321,22 @@ export function updatePhoto(photoRecord) {
 }
 
 /**
- * 写真を削除
+ * 写真を削除（ごみ箱に移す）
  * @param {number} id - 写真ID
+ * @param {Object} [options]
+ * @param {boolean} [options.permanent=false] - ごみ箱に移さずに削除する（撮り直しなど）
  * @returns {Promise<void>}
  */
-export function deletePhoto(id) {
+export async function deletePhoto(id, { permanent = false } = {}) {
+    if (!permanent) {
+        // timestampは暗号化しないため、復号せずに名前に使える
+        const photo = await getStoredRecord(STORE_PHOTOS, id);
+        await moveToTrash('photo', photo ? `写真 ${new Date(photo.timestamp).toLocaleString('ja-JP')}` : '写真', {
+            [STORE_PHOTOS]: store => store.getAllKeys(id)
+        });
+        return;
+    }
+
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
@@ -252,21 +355,30 @@ export function deletePhoto(id) {
 /**
  * トラックの初期レコードを作成
  * @param {string} timestamp
+ * @param {Object} [recordingPolicy] - 記録に使用するGPS記録条件
+ * @param {number} [routeId] - トラックを追加するルートのID
  * @returns {Promise<number>} trackId
  */
-export function createInitialTrack(timestamp) {
-    if (!state.db) return Promise.reject(new Error('データベースが初期化されていません'));
+export async function createInitialTrack(timestamp, recordingPolicy = null, routeId = null) {
+    if (!state.db) throw new Error('データベースが初期化されていません');
 
     const trackData = {
+        routeId: routeId,
         timestamp: timestamp,
         points: [],
+        segmentStarts: [0],
+        recordingPolicy: recordingPolicy,
+        rejectedFixes: [],
+        rejectedFixCounts: {},
+        events: [],
         totalPoints: 0
     };
+    const stored = await encryptRecord(trackData);
 
     return new Promise((resolve, reject) => {
         const transaction = state.db.transaction([STORE_TRACKS], 'readwrite');
         const store = transaction.objectStore(STORE_TRACKS);
-        const request = store.add(trackData);
+        const request = store.add(stored);
 
         request.onsuccess = () => {
 
@@ -280,7 +392,11 @@ export function createInitialTrack(timestamp) {
  * トラックデータを復元（インポート用）
  * @param {Object} trackData
  */
-export function restoreTrack(trackData) {
+export async function restoreTrack(trackData) {
+    // IDは自動採番されるので、timestamp等で管理
+    // インポートデータにIDがあっても無視して新規採番推奨
+    delete trackData.id;
+    const stored = await encryptRecord(trackData);
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
@@ -288,112 +404,179 @@ export function restoreTrack(trackData) {
         }
         const transaction = state.db.transaction([STORE_TRACKS], 'readwrite');
         const store = transaction.objectStore(STORE_TRACKS);
-        // IDは自動採番されるので、timestamp等で管理
-        // インポートデータにIDがあっても無視して新規採番推奨
-        delete trackData.id;
-        const request = store.add(trackData);
+        const request = store.add(stored);
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
 }
 
 /**
- * トラッキングデータをリアルタイム保存 (ID指定で更新)
+ * 記録中のトラックに点を追記する
+ * 追記する点はtrack_chunksに1件のレコードとして追加し、トラックのpointsは書き換えない（点が増えても書き込む量は追記分だけ）
+ * トラックの区間・イベントなどはあわせて更新する
+ * @param {Object} trackInfo - {id, routeId, timestamp, segmentStarts, recordingPolicy, rejectedFixes, rejectedFixCounts, events, totalPoints}
+ * @param {Array} points - 追記する点（空なら区間・イベントなどのみ更新）
+ * @param {number} startIndex - 追記する最初の点のトラック内のインデックス
+ * @returns {Promise<void>}
  */
-export async function saveTrackingDataRealtime() {
-    if (!state.db) {
-        console.error('データベースが初期化されていません');
-        return;
-    }
+export async function appendTrackPoints(trackInfo, points, startIndex) {
+    const stored = await getStoredRecord(STORE_TRACKS, trackInfo.id);
+    if (!stored) return; // 記録中にトラックが削除された
 
-    if (!state.currentTrackId) {
-        console.warn('トラックIDが設定されていません。保存をスキップします。');
-        return;
-    }
+    const track = await decryptRecord(stored);
+    const updatedTrack = await encryptRecord({ ...track, ...trackInfo, points: track.points || [] });
+    const chunk = points.length > 0
+        ? await encryptRecord({ trackId: trackInfo.id, routeId: trackInfo.routeId ?? null, startIndex, points })
+        : null;
 
-    const trackData = {
-        id: state.currentTrackId,
-        timestamp: state.trackingStartTime,
-        points: state.trackingData,
-        totalPoints: state.trackingData.length
-    };
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_TRACKS, STORE_TRACK_CHUNKS], 'readwrite');
+        const trackStore = transaction.objectStore(STORE_TRACKS);
+        const request = trackStore.get(trackInfo.id);
 
-    try {
-        const transaction = state.db.transaction([STORE_TRACKS], 'readwrite');
-        const store = transaction.objectStore(STORE_TRACKS);
+        request.onsuccess = () => {
+            if (!request.result) return; // 暗号化している間にトラックが削除された
 
-        await new Promise((resolve, reject) => {
-            const request = store.put(trackData); // IDを指定して更新
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
-    } catch (error) {
-        console.error('リアルタイムデータ保存エラー:', error);
-        throw error;
-    }
+            trackStore.put(updatedTrack);
+            if (chunk) {
+                transaction.objectStore(STORE_TRACK_CHUNKS).add(chunk);
+            }
+        };
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
 }
 
 /**
- * RouteLogデータのみクリア（tracks・photosのみ、externals・external_photosは保持）
+ * レコードを保存されている形（暗号化したまま）で1件取得
+ * @param {string} storeName
+ * @param {number} key
+ * @returns {Promise<Object|undefined>}
  */
-export async function clearRouteLogData() {
-    if (!state.db) {
-        throw new Error('データベースが初期化されていません');
-    }
+function getStoredRecord(storeName, key) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
 
-    const clearStore = (storeName) => new Promise((resolve, reject) => {
-        const transaction = state.db.transaction([storeName], 'readwrite');
-        const store = transaction.objectStore(storeName);
-        const request = store.clear();
-        request.onsuccess = () => resolve();
+        const request = state.db.transaction([storeName], 'readonly').objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
-    await clearStore(STORE_TRACKS);
-    await clearStore(STORE_PHOTOS);
-    state.setTrackingStartTime(null);
-    state.resetTrackingData();
 }
 
 /**
- * IndexedDBをサイレント初期化（Start時用）
+ * トラックと追記分のレコードを保存されている形（暗号化したまま）で取得
+ * @param {number} trackId
+ * @returns {Promise<[Object|undefined, Array]>} [トラック, 追記分]
  */
-export async function clearIndexedDBSilent() {
-    try {
-        const lastPosition = await getLastPosition();
-
-        if (state.db) {
-            state.db.close();
-            state.setDb(null);
+function readTrackRecords(trackId) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
         }
 
-        await new Promise((resolve) => {
-            const deleteRequest = indexedDB.deleteDatabase(DB_NAME);
-            deleteRequest.onsuccess = () => {
-                resolve();
-            };
-            deleteRequest.onerror = () => {
-                console.error('IndexedDB削除エラー:', deleteRequest.error);
-                resolve(); // エラーでも初期化を続行
-            };
-            deleteRequest.onblocked = () => {
-                console.warn('IndexedDB削除がブロックされました - 2秒後に続行');
-                setTimeout(resolve, 2000);
+        const transaction = state.db.transaction([STORE_TRACKS, STORE_TRACK_CHUNKS], 'readonly');
+        const trackRequest = transaction.objectStore(STORE_TRACKS).get(trackId);
+        const chunkRequest = transaction.objectStore(STORE_TRACK_CHUNKS).index('trackId').getAll(trackId);
+
+        transaction.oncomplete = () => resolve([trackRequest.result, chunkRequest.result || []]);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * トラックの追記分をpointsにまとめて、追記レコードを削除（記録停止時）
+ * @param {number} trackId
+ * @returns {Promise<void>}
+ */
+export async function compactTrackChunks(trackId) {
+    const [storedTrack, storedChunks] = await readTrackRecords(trackId);
+    if (storedChunks.length === 0) return;
+
+    // トラックが削除されていれば追記分だけ削除する
+    let merged = null;
+    if (storedTrack) {
+        const [track, chunks] = await Promise.all([decryptRecord(storedTrack), decryptRecords(storedChunks)]);
+        merged = await encryptRecord(mergeTrackChunks([track], chunks)[0]);
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_TRACKS, STORE_TRACK_CHUNKS], 'readwrite');
+        const trackStore = transaction.objectStore(STORE_TRACKS);
+        const chunkStore = transaction.objectStore(STORE_TRACK_CHUNKS);
+        if (merged) {
+            const request = trackStore.get(trackId);
+            request.onsuccess = () => {
+                if (request.result) trackStore.put(merged); // 暗号化している間に削除されていなければ
             };
-        });
+        }
+        // まとめた追記分だけを削除する（その後に追記されたものは残す）
+        storedChunks.forEach(chunk => chunkStore.delete(chunk.id));
 
-        await initIndexedDB();
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
 
+/**
+ * 記録中でないトラックの追記分をすべてまとめる（起動時、停止されずに終わった記録の後始末）
+ * @param {number|null} [exceptTrackId] - 記録を再開するトラック（まとめない）
+ * @returns {Promise<number>} まとめたトラックの数
+ */
+export async function compactAllTrackChunks(exceptTrackId = null) {
+    if (!state.db) {
+        throw new Error('データベースが初期化されていません');
+    }
 
-        if (lastPosition) {
-            await saveLastPosition(lastPosition.lat, lastPosition.lng, lastPosition.zoom);
+    // 追記分の中身は読まず、trackIdのインデックスのキーだけを重複なしで列挙する
+    const trackIds = await new Promise((resolve, reject) => {
+        const ids = [];
+        const transaction = state.db.transaction([STORE_TRACK_CHUNKS], 'readonly');
+        const cursorRequest = transaction.objectStore(STORE_TRACK_CHUNKS).index('trackId').openKeyCursor(null, 'nextunique');
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            ids.push(cursor.key);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(ids);
+        transaction.onerror = () => reject(transaction.error);
+    });
 
-        } else {
-            await saveLastPosition(DEFAULT_POSITION.lat, DEFAULT_POSITION.lng, DEFAULT_POSITION.zoom);
+    const targets = trackIds.filter(trackId => trackId !== exceptTrackId);
+    for (const trackId of targets) {
+        await compactTrackChunks(trackId);
+    }
+    return targets.length;
+}
 
-        }
+/**
+ * 全データをサイレント初期化（Clear用）
+ * ルート・外部データはごみ箱に移す。設定（最後の位置など）とごみ箱はそのまま
+ * @returns {Promise<number|null>} ごみ箱のID（元に戻す用）
+ */
+export async function clearIndexedDBSilent() {
+    try {
+        const getAllKeys = store => store.getAllKeys();
+        const trashId = await moveToTrash('all', 'すべてのデータ', {
+            [STORE_ROUTES]: getAllKeys,
+            [STORE_TRACKS]: getAllKeys,
+            [STORE_TRACK_CHUNKS]: getAllKeys,
+            [STORE_PHOTOS]: getAllKeys,
+            [STORE_WAYPOINTS]: getAllKeys,
+            [STORE_EXTERNALS]: getAllKeys,
+            [STORE_EXTERNAL_PHOTOS]: getAllKeys
+        });
+        await clearTrackingSession();
 
+        state.setCurrentRouteId(null);
         state.setTrackingStartTime(null);
         state.resetTrackingData();
+        return trashId;
 
     } catch (error) {
         console.error('IndexedDB初期化エラー:', error);
@@ -402,29 +585,21 @@ export async function clearIndexedDBSilent() {
 }
 
 /**
- * 外部データを保存
- * @param {string} type - データタイプ ('geojson'など)
- * @param {string} name - ファイル名
- * @param {Object} data - データ内容
- * @returns {Promise<number>} 保存されたID
+ * ルートを作成
+ * @param {Object} route - {name, timestamp, source, stats}
+ * @returns {Promise<number>} 作成されたルートID
  */
-export function saveExternalData(type, name, data) {
+export function createRoute(route) {
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
             return;
         }
 
-        const externalData = {
-            type: type,
-            name: name,
-            data: data,
-            timestamp: new Date().toISOString()
-        };
-
-        const transaction = state.db.transaction([STORE_EXTERNALS], 'readwrite');
-        const store = transaction.objectStore(STORE_EXTERNALS);
-        const request = store.add(externalData);
+        const now = new Date().toISOString();
+        const transaction = state.db.transaction([STORE_ROUTES], 'readwrite');
+        const store = transaction.objectStore(STORE_ROUTES);
+        const request = store.add({ stats: null, ...route, createdAt: now, updatedAt: now });
 
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
@@ -432,132 +607,462 @@ export function saveExternalData(type, name, data) {
 }
 
 /**
- * 全ての外部データを取得
- * @returns {Promise<Array>}
+ * ルートを更新（名前変更・統計の更新）
+ * @param {Object} route - 更新するルート (idを含むこと)
+ * @returns {Promise<number>}
  */
-export function getAllExternalData() {
+export function updateRoute(route) {
     return new Promise((resolve, reject) => {
         if (!state.db) {
-            resolve([]); // DB未初期化時は空配列を返す
+            reject(new Error('データベースが初期化されていません'));
             return;
         }
 
-        try {
-            const transaction = state.db.transaction([STORE_EXTERNALS], 'readonly');
-            const store = transaction.objectStore(STORE_EXTERNALS);
-            const request = store.getAll();
+        const transaction = state.db.transaction([STORE_ROUTES], 'readwrite');
+        const store = transaction.objectStore(STORE_ROUTES);
+        const request = store.put({ ...route, updatedAt: new Date().toISOString() });
 
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            console.warn('外部データ取得エラー:', error);
-            resolve([]); // エラー時は空配列で続行
-        }
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
 }
 
 /**
- * 外部写真データを保存
- * @param {string} importId - インポートID
- * @param {string} fileName - ファイル名
- * @param {Blob} blob - 写真データ
- * @returns {Promise<number>} 保存されたID
+ * IDを指定してルートを取得
+ * @param {number} id
+ * @returns {Promise<Object|null>}
  */
-export function saveExternalPhoto(importId, fileName, blob) {
+export function getRoute(id) {
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
             return;
         }
 
-        const photoData = {
-            importId: importId,
-            fileName: fileName,
-            blob: blob,
-            timestamp: new Date().toISOString()
-        };
-
-        const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readwrite');
-        const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
-        const request = store.add(photoData);
+        const transaction = state.db.transaction([STORE_ROUTES], 'readonly');
+        const store = transaction.objectStore(STORE_ROUTES);
+        const request = store.get(id);
 
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => resolve(request.result || null);
         request.onerror = () => reject(request.error);
     });
 }
+
 /**
- * 全外部写真データを取得
- * @returns {Promise<Array>} 外部写真レコードの配列
+ * 全ルートを取得
+ * @returns {Promise<Array>}
  */
-export function getAllExternalPhotos() {
+export function getAllRoutes() {
     return new Promise((resolve, reject) => {
         if (!state.db) {
-            resolve([]);
+            reject(new Error('データベースが初期化されていません'));
             return;
         }
-        try {
-            const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readonly');
-            const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result || []);
-            request.onerror = () => reject(request.error);
-        } catch (error) {
-            console.warn('外部写真全件取得エラー:', error);
-            resolve([]);
-        }
+
+        const transaction = state.db.transaction([STORE_ROUTES], 'readonly');
+        const store = transaction.objectStore(STORE_ROUTES);
+        const request = store.getAll();
+
+        request.onsuccess = () => resolve(request.result || []);
+        request.onerror = () => reject(request.error);
     });
 }
 
 /**
- * 外部写真データを取得
- * @param {string} importId - インポートID
- * @param {string} fileName - ファイル名
- * @returns {Promise<Blob|null>} 写真データ
+ * ルートに属するレコードをrouteIdインデックスで取得
+ * @param {string} storeName
+ * @param {number|null} routeId - nullの場合は空配列
+ * @returns {Promise<Array>}
  */
-export function getExternalPhoto(importId, fileName) {
+function getByRouteId(storeName, routeId) {
     return new Promise((resolve, reject) => {
         if (!state.db) {
             reject(new Error('データベースが初期化されていません'));
             return;
         }
+        if (routeId === null || routeId === undefined) {
+            resolve([]);
+            return;
+        }
 
-        const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readonly');
-        const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
-        const index = store.index('importId');
-        const request = index.getAll(importId);
+        const transaction = state.db.transaction([storeName], 'readonly');
+        const request = transaction.objectStore(storeName).index('routeId').getAll(routeId);
 
-        request.onsuccess = () => {
-            const results = request.result;
-            if (results && results.length > 0) {
-                const photo = results.find(p => p.fileName === fileName);
-                if (photo) {
-                    resolve(photo.blob);
-                } else {
-                    resolve(null);
-                }
-            } else {
-                resolve(null);
-            }
-        };
+        request.onsuccess = () => resolve(decryptRecords(request.result));
         request.onerror = () => reject(request.error);
     });
 }
 
 /**
- * 各ストアのデータ件数を取得
- * @returns {Promise<Object>}
+ * ルートのトラックを取得
+ * @param {number|null} routeId
+ * @returns {Promise<Array>}
  */
-export async function getDataCounts() {
-    if (!state.db) {
-        console.warn('[DB] Database not initialized for counting');
-        return { tracks: 0, photos: 0, externals: 0, externalPhotos: 0 };
+export function getRouteTracks(routeId) {
+    if (routeId === null || routeId === undefined) {
+        return state.db ? Promise.resolve([]) : Promise.reject(new Error('データベースが初期化されていません'));
     }
+    return readTracks(store => store.index('routeId').getAll(routeId));
+}
 
-    const getCount = (storeName) => new Promise((resolve) => {
-        try {
-            const transaction = state.db.transaction([storeName], 'readonly');
-            const store = transaction.objectStore(storeName);
-            const request = store.count();
+/**
+ * ルートの写真を取得
+ * @param {number|null} routeId
+ * @returns {Promise<Array>}
+ */
+export function getRoutePhotos(routeId) {
+    return getByRouteId(STORE_PHOTOS, routeId);
+}
+
+/**
+ * ルートのウェイポイントを取得
+ * @param {number|null} routeId
+ * @returns {Promise<Array>}
+ */
+export function getRouteWaypoints(routeId) {
+    return getByRouteId(STORE_WAYPOINTS, routeId);
+}
+
+/**
+ * ルートと、そのトラック・写真・ウェイポイントをごみ箱に移す
+ * @param {number} routeId
+ * @returns {Promise<number|null>} ごみ箱のID
+ */
+export async function deleteRoute(routeId) {
+    const route = await getStoredRecord(STORE_ROUTES, routeId);
+    const byRoute = store => store.index('routeId').getAllKeys(routeId);
+    return moveToTrash('route', route ? route.name : 'ルート', {
+        [STORE_ROUTES]: store => store.getAllKeys(routeId),
+        [STORE_TRACKS]: byRoute,
+        [STORE_TRACK_CHUNKS]: byRoute,
+        [STORE_PHOTOS]: byRoute,
+        [STORE_WAYPOINTS]: byRoute
+    });
+}
+
+/**
+ * ウェイポイントを保存
+ * @param {Object} waypoint - {timestamp, trackId, name, category, note, location}
+ * @returns {Promise<number>} 保存されたID
+ */
+export async function saveWaypoint(waypoint) {
+    const stored = await encryptRecord(waypoint);
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_WAYPOINTS], 'readwrite');
+        const store = transaction.objectStore(STORE_WAYPOINTS);
+        const request = store.add(stored);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 全ウェイポイントを取得
+ * @returns {Promise<Array>}
+ */
+export function getAllWaypoints() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_WAYPOINTS], 'readonly');
+        const store = transaction.objectStore(STORE_WAYPOINTS);
+        const request = store.getAll();
+
+        request.onsuccess = () => resolve(decryptRecords(request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * ウェイポイントを削除
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteWaypoint(id) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_WAYPOINTS], 'readwrite');
+        const store = transaction.objectStore(STORE_WAYPOINTS);
+        const request = store.delete(id);
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 外部データを保存
+ * @param {string} type - データタイプ ('geojson'など)
+ * @param {string} name - ファイル名
+ * @param {Object} data - データ内容
+ * @returns {Promise<number>} 保存されたID
+ */
+export async function saveExternalData(type, name, data) {
+    const externalData = await encryptRecord({
+        type: type,
+        name: name,
+        data: data,
+        timestamp: new Date().toISOString()
+    });
+
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_EXTERNALS], 'readwrite');
+        const store = transaction.objectStore(STORE_EXTERNALS);
+        const request = store.add(externalData);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 全ての外部データを取得
+ * @returns {Promise<Array>}
+ */
+export function getAllExternalData() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            resolve([]); // DB未初期化時は空配列を返す
+            return;
+        }
+
+        try {
+            const transaction = state.db.transaction([STORE_EXTERNALS], 'readonly');
+            const store = transaction.objectStore(STORE_EXTERNALS);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(decryptRecords(request.result));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            console.warn('外部データ取得エラー:', error);
+            resolve([]); // エラー時は空配列で続行
+        }
+    });
+}
+
+/**
+ * 外部データを更新（名前・表示の設定）
+ * @param {Object} externalData - getAllExternalData()のレコード（IDを含む）
+ * @returns {Promise<number>}
+ */
+export async function updateExternalData(externalData) {
+    const stored = await encryptRecord(externalData);
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_EXTERNALS], 'readwrite');
+        const request = transaction.objectStore(STORE_EXTERNALS).put(stored);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 外部データと、その写真（同じimportIdのexternal_photos）をごみ箱に移す
+ * @param {number} id - 外部データのID
+ * @returns {Promise<number|null>} ごみ箱のID
+ */
+export async function deleteExternalData(id) {
+    // importIdはフィーチャーのプロパティにあるため、復号してから集める
+    const externalData = await decryptRecord(await getStoredRecord(STORE_EXTERNALS, id));
+    const data = (externalData && externalData.data) || {};
+    const importIds = new Set();
+    [data, ...(data.features || [])].forEach(feature => {
+        const importId = feature.properties && feature.properties.importId;
+        if (importId) importIds.add(importId);
+    });
+
+    return moveToTrash('external', externalData ? externalData.name : '外部データ', {
+        [STORE_EXTERNALS]: store => store.getAllKeys(id),
+        [STORE_EXTERNAL_PHOTOS]: store => [...importIds].map(importId => store.index('importId').getAllKeys(importId))
+    });
+}
+
+/**
+ * 外部写真データを保存
+ * @param {string} importId - インポートID
+ * @param {string} fileName - ファイル名
+ * @param {Blob} blob - 写真データ
+ * @returns {Promise<number>} 保存されたID
+ */
+export async function saveExternalPhoto(importId, fileName, blob) {
+    const photoData = await encryptRecord({
+        importId: importId,
+        fileName: fileName,
+        blob: blob,
+        timestamp: new Date().toISOString()
+    });
+
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readwrite');
+        const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
+        const request = store.add(photoData);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+/**
+ * 全外部写真データを取得
+ * @returns {Promise<Array>} 外部写真レコードの配列
+ */
+export function getAllExternalPhotos() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            resolve([]);
+            return;
+        }
+        try {
+            const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readonly');
+            const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
+            const request = store.getAll();
+            request.onsuccess = () => resolve(decryptRecords(request.result));
+            request.onerror = () => reject(request.error);
+        } catch (error) {
+            console.warn('外部写真全件取得エラー:', error);
+            resolve([]);
+        }
+    });
+}
+
+/**
+ * 外部写真データを取得
+ * @param {string} importId - インポートID
+ * @param {string} fileName - ファイル名
+ * @returns {Promise<Blob|null>} 写真データ
+ */
+export function getExternalPhoto(importId, fileName) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_EXTERNAL_PHOTOS], 'readonly');
+        const store = transaction.objectStore(STORE_EXTERNAL_PHOTOS);
+        const index = store.index('importId');
+        const request = index.getAll(importId);
+
+        request.onsuccess = () => {
+            const results = request.result;
+            if (results && results.length > 0) {
+                // fileNameは検索に使うため暗号化していない
+                const photo = results.find(p => p.fileName === fileName);
+                if (photo) {
+                    resolve(decryptRecord(photo).then(record => record.blob));
+                } else {
+                    resolve(null);
+                }
+            } else {
+                resolve(null);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * オフライン地図の範囲を保存
+ * @param {Object} area - {name, bounds, minZoom, maxZoom, layers, tiles, bytes, createdAt}
+ * @returns {Promise<number>} 保存されたID
+ */
+export async function saveTileArea(area) {
+    const stored = await encryptRecord(area);
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_TILE_AREAS], 'readwrite');
+        const request = transaction.objectStore(STORE_TILE_AREAS).add(stored);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * オフライン地図の範囲をすべて取得
+ * @returns {Promise<Array>}
+ */
+export function getAllTileAreas() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_TILE_AREAS], 'readonly');
+        const request = transaction.objectStore(STORE_TILE_AREAS).getAll();
+
+        request.onsuccess = () => resolve(decryptRecords(request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * オフライン地図の範囲を削除（タイルは呼び出し側でキャッシュから削除する）
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+export function deleteTileArea(id) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_TILE_AREAS], 'readwrite');
+        const request = transaction.objectStore(STORE_TILE_AREAS).delete(id);
+
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 各ストアのデータ件数を取得
+ * @returns {Promise<Object>}
+ */
+export async function getDataCounts() {
+    if (!state.db) {
+        console.warn('[DB] Database not initialized for counting');
+        return { routes: 0, tracks: 0, photos: 0, waypoints: 0, externals: 0, externalPhotos: 0, trash: 0 };
+    }
+
+    const getCount = (storeName) => new Promise((resolve) => {
+        try {
+            const transaction = state.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.count();
             request.onsuccess = () => resolve(request.result);
             request.onerror = (e) => {
                 console.warn(`[DB] Error counting ${storeName}:`, e);
@@ -571,14 +1076,514 @@ export async function getDataCounts() {
 
     try {
         const counts = {
+            routes: await getCount(STORE_ROUTES),
             tracks: await getCount(STORE_TRACKS),
             photos: await getCount(STORE_PHOTOS),
+            waypoints: await getCount(STORE_WAYPOINTS),
             externals: await getCount(STORE_EXTERNALS),
-            externalPhotos: await getCount(STORE_EXTERNAL_PHOTOS)
+            externalPhotos: await getCount(STORE_EXTERNAL_PHOTOS),
+            trash: await getCount(STORE_TRASH)
         };
         return counts;
     } catch (e) {
         console.error('[DB] Error getting counts:', e);
-        return { tracks: 0, photos: 0, externals: 0, externalPhotos: 0 };
+        return { routes: 0, tracks: 0, photos: 0, waypoints: 0, externals: 0, externalPhotos: 0, trash: 0 };
+    }
+}
+
+/**
+ * レコードをごみ箱に移す
+ * 写真のBlobなどで大きくなるため、レコードは1件ずつtrash_recordsに移し、TRASH_BATCH_SIZE件ごとに
+ * 別のトランザクションで元のストアから削除する。ごみ箱の一覧（STORE_TRASH）には名前と件数だけを残す
+ * 途中で終了しても、移したレコードはごみ箱から、残りは元のストアから読み込める
+ * @param {string} kind - 'photo' | 'route' | 'all' | 'external'
+ * @param {string} label - 一覧に表示する名前
+ * @param {Object<string, function(IDBObjectStore): (IDBRequest|Array<IDBRequest>)>} queries - ストア名 → 移すレコードのキーを取得するリクエスト（getAllKeys、複数可）。この順に移す
+ * @returns {Promise<number|null>} ごみ箱のID（移すレコードがなければnull）
+ */
+async function moveToTrash(kind, label, queries) {
+    const keysByStore = await readKeys(queries);
+    const storeNames = Object.keys(keysByStore);
+    if (storeNames.every(storeName => keysByStore[storeName].length === 0)) return null;
+
+    // 名前は外部データ名などを含むため暗号化する（deletedAtは期限切れの削除に使うため暗号化しない）
+    const entry = { kind, deletedAt: new Date().toISOString(), counts: {}, ...(await encryptRecord({ label })) };
+    storeNames.forEach(storeName => { entry.counts[storeName] = keysByStore[storeName].length; });
+    const trashId = await putTrashEntry(entry);
+
+    // キーを読んでから移すまでに削除されたレコードは数えない
+    for (const storeName of storeNames) {
+        const keys = keysByStore[storeName];
+        let moved = 0;
+        for (let i = 0; i < keys.length; i += TRASH_BATCH_SIZE) {
+            moved += await moveBatchToTrash(trashId, storeName, keys.slice(i, i + TRASH_BATCH_SIZE));
+        }
+        entry.counts[storeName] = moved;
+    }
+    await putTrashEntry({ ...entry, id: trashId });
+    return trashId;
+}
+
+/**
+ * ストアごとにキーのリクエストを実行して、キーの一覧を返す
+ * @param {Object<string, function(IDBObjectStore): (IDBRequest|Array<IDBRequest>)>} queries
+ * @returns {Promise<Object<string, Array>>}
+ */
+function readKeys(queries) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const storeNames = Object.keys(queries);
+        const transaction = state.db.transaction(storeNames, 'readonly');
+        const requests = {};
+        storeNames.forEach(storeName => {
+            requests[storeName] = [].concat(queries[storeName](transaction.objectStore(storeName)));
+        });
+
+        transaction.oncomplete = () => {
+            const keysByStore = {};
+            storeNames.forEach(storeName => {
+                keysByStore[storeName] = [...new Set(requests[storeName].flatMap(request => request.result || []))];
+            });
+            resolve(keysByStore);
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * ごみ箱の一覧のエントリを追加・更新
+ * @param {Object} entry - {id?, kind, label（暗号化している場合は$enc）, deletedAt, counts}
+ * @returns {Promise<number>} ごみ箱のID
+ */
+function putTrashEntry(entry) {
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_TRASH], 'readwrite');
+        const request = transaction.objectStore(STORE_TRASH).put(entry);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * レコードをtrash_recordsに移して元のストアから削除（1つのトランザクション）
+ * @param {number} trashId
+ * @param {string} storeName
+ * @param {Array} keys
+ * @returns {Promise<number>} 移した件数
+ */
+function moveBatchToTrash(trashId, storeName, keys) {
+    return new Promise((resolve, reject) => {
+        let moved = 0;
+        const transaction = state.db.transaction([storeName, STORE_TRASH_RECORDS], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const recordStore = transaction.objectStore(STORE_TRASH_RECORDS);
+
+        keys.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                recordStore.add({ trashId, storeName, record: request.result });
+                store.delete(key);
+                moved++;
+            };
+        });
+
+        transaction.oncomplete = () => resolve(moved);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * ごみ箱の一覧を取得（新しい順。レコードは読み込まない）
+ * @returns {Promise<Array>} {id, kind, label, deletedAt, counts}
+ */
+export function getAllTrash() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_TRASH], 'readonly');
+        const request = transaction.objectStore(STORE_TRASH).getAll();
+
+        request.onsuccess = () => resolve(decryptRecords(request.result)
+            .then(entries => entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 復元する順（ルート・トラックのIDが変わったとき、あとのレコードのrouteId・trackIdを付け替えるため）
+const RESTORE_ORDER = [STORE_ROUTES, STORE_TRACKS, STORE_TRACK_CHUNKS, STORE_PHOTOS, STORE_WAYPOINTS, STORE_EXTERNALS, STORE_EXTERNAL_PHOTOS];
+
+/**
+ * ごみ箱から元のストアに戻す
+ * 同じIDのレコードがすでにあれば（バックアップの置き換え復元のあとなど）上書きせずに新しいIDで追加し、
+ * 戻すレコードのrouteId・trackIdを新しいIDに付け替える
+ * @param {number} trashId
+ * @returns {Promise<Object|null>} 戻したごみ箱のエントリと、ストア名ごとの戻したID（restoredIds）。見つからなければnull
+ */
+export async function restoreFromTrash(trashId) {
+    const entry = await decryptRecord(await getStoredRecord(STORE_TRASH, trashId));
+    if (!entry) return null;
+
+    const idMaps = { [STORE_ROUTES]: new Map(), [STORE_TRACKS]: new Map() };
+    const restoredIds = {};
+    for (const storeName of RESTORE_ORDER) {
+        const rowKeys = await getTrashRowKeys(trashId, storeName);
+        restoredIds[storeName] = [];
+        for (let i = 0; i < rowKeys.length; i += TRASH_BATCH_SIZE) {
+            const ids = await restoreBatch(storeName, rowKeys.slice(i, i + TRASH_BATCH_SIZE), idMaps);
+            restoredIds[storeName].push(...ids);
+        }
+    }
+    await purgeTrashEntry(trashId);
+    return { ...entry, restoredIds };
+}
+
+/**
+ * ごみ箱のエントリのうち、指定したストアのレコードの行キーを取得
+ * @param {number} trashId
+ * @param {string} storeName
+ * @returns {Promise<Array<number>>}
+ */
+function getTrashRowKeys(trashId, storeName) {
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_TRASH_RECORDS], 'readonly');
+        const request = transaction.objectStore(STORE_TRASH_RECORDS).index('trashStore').getAllKeys([trashId, storeName]);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * trash_recordsの行を元のストアに戻して削除（1つのトランザクション）
+ * @param {string} storeName
+ * @param {Array<number>} rowKeys
+ * @param {Object<string, Map<number, number>>} idMaps - ストア名 → 元のID → 新しいID（IDが変わったレコードを追記する）
+ * @returns {Promise<Array<number>>} 戻したレコードのID
+ */
+function restoreBatch(storeName, rowKeys, idMaps) {
+    return new Promise((resolve, reject) => {
+        const ids = [];
+        const transaction = state.db.transaction([storeName, STORE_TRASH_RECORDS], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const recordStore = transaction.objectStore(STORE_TRASH_RECORDS);
+
+        rowKeys.forEach(rowKey => {
+            const rowRequest = recordStore.get(rowKey);
+            rowRequest.onsuccess = () => {
+                const row = rowRequest.result;
+                if (!row) return;
+                recordStore.delete(rowKey);
+
+                // routeId・trackIdは暗号化しないため、暗号化したレコードでもそのまま付け替えられる
+                const record = { ...row.record };
+                if (idMaps[STORE_ROUTES].has(record.routeId)) record.routeId = idMaps[STORE_ROUTES].get(record.routeId);
+                if (idMaps[STORE_TRACKS].has(record.trackId)) record.trackId = idMaps[STORE_TRACKS].get(record.trackId);
+
+                const existing = store.getKey(record.id);
+                existing.onsuccess = () => {
+                    const oldId = record.id;
+                    if (existing.result !== undefined) delete record.id;
+                    const addRequest = store.add(record);
+                    addRequest.onsuccess = () => {
+                        ids.push(addRequest.result);
+                        if (addRequest.result !== oldId && idMaps[storeName]) {
+                            idMaps[storeName].set(oldId, addRequest.result);
+                        }
+                    };
+                };
+            };
+        });
+
+        transaction.oncomplete = () => resolve(ids);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * ごみ箱から完全に削除
+ * @param {number} trashId
+ * @returns {Promise<void>}
+ */
+export function purgeTrashEntry(trashId) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const transaction = state.db.transaction([STORE_TRASH, STORE_TRASH_RECORDS], 'readwrite');
+        transaction.objectStore(STORE_TRASH).delete(trashId);
+        deleteTrashRows(transaction, trashId);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * ごみ箱のエントリに属するtrash_recordsの行を削除（レコードは読み込まない）
+ * @param {IDBTransaction} transaction - STORE_TRASH_RECORDSを含む読み書きのトランザクション
+ * @param {number} trashId
+ */
+function deleteTrashRows(transaction, trashId) {
+    const recordStore = transaction.objectStore(STORE_TRASH_RECORDS);
+    const request = recordStore.index('trashId').getAllKeys(trashId);
+    request.onsuccess = () => request.result.forEach(rowKey => recordStore.delete(rowKey));
+}
+
+/**
+ * 保存期間を過ぎたもの（retentionDays <= 0 ならすべて）をごみ箱から完全に削除
+ * @param {number} retentionDays
+ * @returns {Promise<number>} 削除した件数
+ */
+export function purgeExpiredTrash(retentionDays) {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        let count = 0;
+        const cutoff = new Date(Date.now() - Math.max(0, retentionDays) * 24 * 60 * 60 * 1000).toISOString();
+        const transaction = state.db.transaction([STORE_TRASH, STORE_TRASH_RECORDS], 'readwrite');
+        const range = retentionDays > 0 ? IDBKeyRange.upperBound(cutoff) : null;
+        const cursorRequest = transaction.objectStore(STORE_TRASH).index('deletedAt').openCursor(range);
+
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            deleteTrashRows(transaction, cursor.primaryKey);
+            cursor.delete();
+            count++;
+            cursor.continue();
+        };
+
+        transaction.oncomplete = () => resolve(count);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 暗号化の鍵情報を取得（暗号化していなければnull）
+ * @returns {Promise<Object|null>}
+ */
+function getEncryptionSettings() {
+    return new Promise((resolve, reject) => {
+        if (!state.db) {
+            reject(new Error('データベースが初期化されていません'));
+            return;
+        }
+
+        const request = state.db.transaction([STORE_SETTINGS], 'readonly').objectStore(STORE_SETTINGS).get('encryption');
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * 暗号化の鍵情報を保存（nullなら削除）
+ * @param {Object|null} keyInfo
+ * @returns {Promise<void>}
+ */
+function saveEncryptionSettings(keyInfo) {
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_SETTINGS], 'readwrite');
+        const store = transaction.objectStore(STORE_SETTINGS);
+        if (keyInfo) {
+            store.put({ ...keyInfo, key: 'encryption' });
+        } else {
+            store.delete('encryption');
+        }
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 暗号化するストアとごみ箱のレコードを1件ずつ変換して書き直す
+ * 1件ごとに別のトランザクションで書き込むため、途中で終了しても暗号化したレコードと
+ * していないレコードが混ざるだけで、どちらも読み込める
+ * @param {function(Object): Promise<Object>} transform - encryptRecord / decryptRecord
+ * @param {function(number, number): void} [onProgress] - (変換した件数, 全件数)
+ * @returns {Promise<void>}
+ */
+async function convertAllRecords(transform, onProgress) {
+    const storeNames = [...ENCRYPTED_STORES, STORE_TRASH, STORE_TRASH_RECORDS];
+    const keysByStore = await new Promise((resolve, reject) => {
+        const transaction = state.db.transaction(storeNames, 'readonly');
+        const requests = storeNames.map(storeName => transaction.objectStore(storeName).getAllKeys());
+        transaction.oncomplete = () => resolve(requests.map(request => request.result));
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    const total = keysByStore.reduce((sum, keys) => sum + keys.length, 0);
+    let done = 0;
+    for (let i = 0; i < storeNames.length; i++) {
+        const storeName = storeNames[i];
+        for (const key of keysByStore[i]) {
+            const stored = await getStoredRecord(storeName, key);
+            if (stored) {
+                let converted;
+                if (storeName === STORE_TRASH) {
+                    converted = await convertTrashEntry(stored, transform);
+                } else if (storeName === STORE_TRASH_RECORDS) {
+                    converted = await convertTrashRecord(stored, transform);
+                } else {
+                    converted = await transform(stored);
+                }
+                await putIfExists(storeName, key, converted);
+            }
+            if (onProgress) onProgress(++done, total);
+        }
+    }
+}
+
+/**
+ * ごみ箱の一覧のエントリは名前だけを変換（deletedAtなどはそのまま）
+ */
+async function convertTrashEntry(entry, transform) {
+    const { label, $enc, ...meta } = entry;
+    return { ...meta, ...(await transform($enc ? { $enc } : { label })) };
+}
+
+/**
+ * ごみ箱に移したレコードを元のストアに合わせて変換（暗号化しないストアのレコードはそのまま）
+ */
+async function convertTrashRecord(row, transform) {
+    return ENCRYPTED_STORES.includes(row.storeName)
+        ? { ...row, record: await transform(row.record) }
+        : row;
+}
+
+/**
+ * レコードがまだあれば書き込む（変換している間に削除されたものは書き戻さない）
+ */
+function putIfExists(storeName, key, record) {
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(key);
+        request.onsuccess = () => {
+            if (request.result) store.put(record);
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * 起動時に暗号化の設定を読み込む
+ * @returns {Promise<boolean>} パスフレーズでの解錠が必要かどうか
+ */
+export async function loadEncryptionSettings() {
+    const keyInfo = await getEncryptionSettings();
+    if (keyInfo) markEncryptionEnabled();
+    return !!keyInfo;
+}
+
+/**
+ * パスフレーズで解錠する
+ * 有効にする途中で終了していた場合は、残りのレコードを暗号化する
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {PassphraseError} パスフレーズが違う場合
+ */
+export async function unlockEncryption(passphrase) {
+    const keyInfo = await getEncryptionSettings();
+    if (!keyInfo) return;
+    await unlockDataKey(keyInfo, passphrase);
+
+    if (keyInfo.pending) {
+        await convertAllRecords(encryptRecord);
+        await saveEncryptionSettings({ ...keyInfo, pending: false });
     }
 }
+
+/**
+ * 暗号化を有効にして、保存済みのデータをすべて暗号化する
+ * @param {string} passphrase
+ * @param {function(number, number): void} [onProgress]
+ * @returns {Promise<void>}
+ */
+export async function enableEncryption(passphrase, onProgress) {
+    if (!state.db) throw new Error('データベースが初期化されていません');
+    if (await getEncryptionSettings()) throw new Error('すでに暗号化されています');
+
+    // 鍵情報を先に保存する（途中で終了しても、次回の解錠時に続きを暗号化する）
+    const keyInfo = await createDataKey(passphrase);
+    await saveEncryptionSettings({ ...keyInfo, pending: true });
+    await deleteLastPosition();
+    await convertAllRecords(encryptRecord, onProgress);
+    await saveEncryptionSettings({ ...keyInfo, pending: false });
+}
+
+/**
+ * 保存してある最後の位置を削除（暗号化を有効にしたとき）
+ * @returns {Promise<void>}
+ */
+function deleteLastPosition() {
+    return new Promise((resolve, reject) => {
+        const transaction = state.db.transaction([STORE_SETTINGS], 'readwrite');
+        transaction.objectStore(STORE_SETTINGS).delete('lastPosition');
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * データベースを削除（パスフレーズを忘れたときに、端末内のデータをすべて消して初期状態に戻す）
+ * @returns {Promise<void>}
+ */
+export function deleteDatabase() {
+    return new Promise((resolve, reject) => {
+        if (state.db) {
+            state.db.close();
+            state.setDb(null);
+        }
+        clearEncryptionKey();
+
+        const request = indexedDB.deleteDatabase(DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('ほかのタブで開いているRouteLoggerを閉じてから、もう一度実行してください'));
+    });
+}
+
+/**
+ * 保存済みのデータをすべて復号して、暗号化を無効にする（解錠済みであること）
+ * @param {function(number, number): void} [onProgress]
+ * @returns {Promise<void>}
+ */
+export async function disableEncryption(onProgress) {
+    if (!state.db) throw new Error('データベースが初期化されていません');
+
+    // 鍵情報は最後に削除する（途中で終了しても、次回は解錠して再び無効にできる）
+    await convertAllRecords(decryptRecord, onProgress);
+    await saveEncryptionSettings(null);
+    clearEncryptionKey();
+}
+
+/**
+ * パスフレーズを変更する（データ鍵を包み直すだけで、データは暗号化し直さない）
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<void>}
+ * @throws {PassphraseError} 現在のパスフレーズが違う場合
+ */
+export async function changeEncryptionPassphrase(currentPassphrase, newPassphrase) {
+    const keyInfo = await getEncryptionSettings();
+    if (!keyInfo) throw new Error('暗号化されていません');
+
+    await unlockDataKey(keyInfo, currentPassphrase);
+    const newKeyInfo = await rewrapDataKey(newPassphrase);
+    await saveEncryptionSettings({ ...newKeyInfo, pending: !!keyInfo.pending });
+}
@@ -0,0 +1,483 @@
+// RouteLogger - 標高プロファイル（距離に対する標高のグラフ）
+// 開いているルートのトラック、または外部データのLineStringの標高を距離に対して描く
+// グラフをタップした位置を地図上にカーソルで示し、写真はグラフ上に印を付ける
+
+import { ELEVATION_PROFILE_PHOTO_MAX_M, ELEVATION_PROFILE_MIN_RANGE_M } from './config.js';
+import * as state from './state.js';
+import { getRouteTracks, getRoutePhotos, getAllExternalData } from './db.js';
+import { listReferenceCandidates } from './route-guide.js';
+import { calculateCumulativeDistances } from './photo-track.js';
+import { createTripStats, addPointToTripStats, formatDistance } from './trip-stats.js';
+import { calculateDistance } from './utils.js';
+import { toggleVisibility, updateStatus } from './ui.js';
+
+// グラフの余白（CSSピクセル）
+const CHART_PADDING = { top: 10, right: 10, bottom: 18, left: 42 };
+const LINE_COLOR = '#2F80ED';
+const PHOTO_COLOR = '#FF9500';
+const CURSOR_COLOR = '#FF3B30';
+
+// 表示中のプロファイル {points: [{lat, lng, altitude, distance}], photoDistances: [m], totalM, ascentM, descentM, highest, lowest}
+let profile = null;
+// 外部データのLineString・MultiLineString（選択肢の2番目以降）
+let externalCandidates = [];
+// グラフ上のカーソル位置（profile.pointsのインデックス）と地図上のカーソル
+let cursorIndex = null;
+let cursorMarker = null;
+
+/**
+ * 点列から最も近い点を探す
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{index: number, distanceM: number}|null}
+ */
+function findNearestPoint(points, lat, lng) {
+    let best = null;
+    points.forEach((point, index) => {
+        const distanceM = calculateDistance(lat, lng, point.lat, point.lng);
+        if (!best || distanceM < best.distanceM) {
+            best = { index, distanceM };
+        }
+    });
+    return best;
+}
+
+/**
+ * 累積標高・最高点・最低点を求めてプロファイルを完成させる
+ * 累積標高は記録中の統計と同じ閾値で数える（区間の先頭で基準を取り直す）
+ * @param {Array} points - {lat, lng, altitude, distance, timestamp, isSegmentStart}
+ * @param {Array<number>} photoDistances
+ * @returns {Object} プロファイル
+ */
+function finishProfile(points, photoDistances) {
+    const stats = createTripStats();
+    let highest = null;
+    let lowest = null;
+    points.forEach((point, index) => {
+        addPointToTripStats(stats, point, point.isSegmentStart);
+        if (point.altitude === null) return;
+        if (!highest || point.altitude > highest.altitude) highest = { index, altitude: point.altitude };
+        if (!lowest || point.altitude < lowest.altitude) lowest = { index, altitude: point.altitude };
+    });
+
+    return {
+        points,
+        photoDistances: photoDistances.sort((a, b) => a - b),
+        totalM: points.length > 0 ? points[points.length - 1].distance : 0,
+        ascentM: stats.ascentM,
+        descentM: stats.descentM,
+        highest,
+        lowest
+    };
+}
+
+/**
+ * 開いているルートのトラックからプロファイルを作る
+ * 記録中のトラックは保存前の点も含めるため、メモリ上の記録データを使う
+ * @returns {Promise<Object>}
+ */
+async function buildRouteProfile() {
+    let tracks = state.currentRouteId !== null ? await getRouteTracks(state.currentRouteId) : [];
+    const photos = state.currentRouteId !== null ? await getRoutePhotos(state.currentRouteId) : [];
+
+    tracks = [...tracks].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    if (state.isTracking && state.currentTrackId) {
+        tracks = tracks.filter(track => track.id !== state.currentTrackId);
+        tracks.push({ id: state.currentTrackId, points: state.trackingData, segmentStarts: state.trackingSegmentStarts });
+    }
+
+    // トラックの間は距離に含めない（区間の間と同じ扱い）
+    const points = [];
+    const trackOffsets = new Map();
+    let offset = 0;
+    tracks.forEach(track => {
+        const trackPoints = track.points || [];
+        if (trackPoints.length === 0) return;
+
+        const starts = new Set(track.segmentStarts || [0]);
+        const distances = calculateCumulativeDistances(trackPoints, track.segmentStarts);
+        trackOffsets.set(track.id, offset);
+        trackPoints.forEach((point, i) => {
+            points.push({
+                lat: point.lat,
+                lng: point.lng,
+                altitude: point.altitude ?? null,
+                timestamp: point.timestamp,
+                distance: offset + distances[i],
+                isSegmentStart: i === 0 || starts.has(i)
+            });
+        });
+        offset += distances[distances.length - 1];
+    });
+
+    // 写真はトラック上の位置（photo-track.jsで設定済み）、なければ撮影地点の最寄りの点に置く
+    const photoDistances = [];
+    photos.forEach(photo => {
+        if (trackOffsets.has(photo.trackId) && photo.distanceFromStart !== null && photo.distanceFromStart !== undefined) {
+            photoDistances.push(trackOffsets.get(photo.trackId) + photo.distanceFromStart);
+        } else if (photo.location) {
+            const nearest = findNearestPoint(points, photo.location.lat, photo.location.lng);
+            if (nearest) photoDistances.push(points[nearest.index].distance);
+        }
+    });
+
+    return finishProfile(points, photoDistances);
+}
+
+/**
+ * 外部データのLineStringからプロファイルを作る（GeoJSON座標の3番目の値を標高とする）
+ * MultiLineStringの線の間は区間の間と同じく、距離に含めず線を切る
+ * 写真は同じ外部データの写真付きPointのうち、線の近くにあるものを最寄りの点に置く
+ * @param {{externalId: number, parts: Array<Array>}} candidate
+ * @param {Array} externalDataList - getAllExternalData()の戻り値
+ * @returns {Object}
+ */
+function buildExternalProfile(candidate, externalDataList) {
+    const coordinates = [];
+    const partStarts = [];
+    candidate.parts.forEach(part => {
+        partStarts.push(coordinates.length);
+        coordinates.push(...part);
+    });
+    const starts = new Set(partStarts);
+    const linePoints = coordinates.map(coord => ({ lat: coord[1], lng: coord[0] }));
+    const distances = calculateCumulativeDistances(linePoints, partStarts);
+    const points = coordinates.map((coord, i) => ({
+        ...linePoints[i],
+        altitude: typeof coord[2] === 'number' ? coord[2] : null,
+        timestamp: null,
+        distance: distances[i],
+        isSegmentStart: starts.has(i)
+    }));
+
+    const photoDistances = [];
+    const external = externalDataList.find(item => item.id === candidate.externalId);
+    ((external && external.data && external.data.features) || []).forEach(feature => {
+        if (feature.geometry?.type !== 'Point') return;
+        const description = (feature.properties && feature.properties.description) || '';
+        if (!/<img\s/i.test(description)) return;
+
+        const [lng, lat] = feature.geometry.coordinates;
+        const nearest = findNearestPoint(points, lat, lng);
+        if (nearest && nearest.distanceM <= ELEVATION_PROFILE_PHOTO_MAX_M) {
+            photoDistances.push(points[nearest.index].distance);
+        }
+    });
+
+    return finishProfile(points, photoDistances);
+}
+
+/**
+ * 距離に最も近い点のインデックス（profile.pointsは距離の昇順）
+ * @param {number} distance
+ * @returns {number}
+ */
+function findIndexAtDistance(distance) {
+    const points = profile.points;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (points[mid].distance < distance) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    if (low > 0 && distance - points[low - 1].distance < points[low].distance - distance) {
+        return low - 1;
+    }
+    return low;
+}
+
+/**
+ * 距離の位置の標高（標高のない点は前後の標高のある点を探す）
+ * @param {number} index
+ * @returns {number|null}
+ */
+function getAltitudeNear(index) {
+    const points = profile.points;
+    for (let offset = 0; offset < points.length; offset++) {
+        const before = points[index - offset];
+        if (before && before.altitude !== null) return before.altitude;
+        const after = points[index + offset];
+        if (after && after.altitude !== null) return after.altitude;
+    }
+    return null;
+}
+
+/**
+ * グラフの座標変換を作る
+ * @param {number} width - CSSピクセル
+ * @param {number} height - CSSピクセル
+ * @returns {{x: function(number): number, y: function(number): number, minAltitude: number, maxAltitude: number}}
+ */
+function createScale(width, height) {
+    let minAltitude = profile.lowest.altitude;
+    let maxAltitude = profile.highest.altitude;
+    if (maxAltitude - minAltitude < ELEVATION_PROFILE_MIN_RANGE_M) {
+        const center = (maxAltitude + minAltitude) / 2;
+        minAltitude = center - ELEVATION_PROFILE_MIN_RANGE_M / 2;
+        maxAltitude = center + ELEVATION_PROFILE_MIN_RANGE_M / 2;
+    }
+
+    const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+    const totalM = profile.totalM || 1;
+    return {
+        x: distance => CHART_PADDING.left + distance / totalM * plotWidth,
+        y: altitude => CHART_PADDING.top + (maxAltitude - altitude) / (maxAltitude - minAltitude) * plotHeight,
+        minAltitude,
+        maxAltitude
+    };
+}
+
+/**
+ * グラフを描く
+ */
+function drawChart() {
+    const canvas = document.getElementById('elevationProfileCanvas');
+    if (!canvas || !profile) return;
+
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    if (!profile.highest) return;
+
+    const scale = createScale(width, height);
+    const bottom = height - CHART_PADDING.bottom;
+
+    // 軸の目盛り（最高・最低の標高と距離）
+    ctx.fillStyle = '#8E8E93';
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${Math.round(scale.maxAltitude)} m`, CHART_PADDING.left - 4, scale.y(scale.maxAltitude));
+    ctx.fillText(`${Math.round(scale.minAltitude)} m`, CHART_PADDING.left - 4, scale.y(scale.minAltitude));
+    ctx.textBaseline = 'top';
+    ctx.textAlign = 'left';
+    ctx.fillText('0', CHART_PADDING.left, bottom + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatDistance(profile.totalM), width - CHART_PADDING.right, bottom + 4);
+
+    // 標高の線と塗り（標高のない点・区間の先頭で線を切る）
+    const runs = [];
+    let run = null;
+    profile.points.forEach(point => {
+        if (point.altitude === null || point.isSegmentStart) {
+            run = null;
+        }
+        if (point.altitude === null) return;
+        if (!run) {
+            run = [];
+            runs.push(run);
+        }
+        run.push(point);
+    });
+
+    runs.forEach(points => {
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            const x = scale.x(point.distance);
+            const y = scale.y(point.altitude);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.lineTo(scale.x(points[points.length - 1].distance), bottom);
+        ctx.lineTo(scale.x(points[0].distance), bottom);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(47, 128, 237, 0.15)';
+        ctx.fill();
+    });
+
+    // 写真の印
+    profile.photoDistances.forEach(distance => {
+        const altitude = getAltitudeNear(findIndexAtDistance(distance));
+        if (altitude === null) return;
+        ctx.beginPath();
+        ctx.arc(scale.x(distance), scale.y(altitude), 4, 0, Math.PI * 2);
+        ctx.fillStyle = PHOTO_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    });
+
+    // カーソル
+    if (cursorIndex !== null) {
+        const point = profile.points[cursorIndex];
+        const x = scale.x(point.distance);
+        ctx.beginPath();
+        ctx.moveTo(x, CHART_PADDING.top);
+        ctx.lineTo(x, bottom);
+        ctx.strokeStyle = CURSOR_COLOR;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        const altitude = getAltitudeNear(cursorIndex);
+        if (altitude !== null) {
+            ctx.beginPath();
+            ctx.arc(x, scale.y(altitude), 4, 0, Math.PI * 2);
+            ctx.fillStyle = CURSOR_COLOR;
+            ctx.fill();
+        }
+    }
+}
+
+/**
+ * 合計・最高点・最低点とカーソル位置の表示を更新
+ */
+function updateSummary() {
+    const summaryEl = document.getElementById('elevationProfileSummary');
+    if (!summaryEl) return;
+
+    if (!profile || profile.points.length === 0) {
+        summaryEl.textContent = 'トラックがありません';
+        return;
+    }
+    if (!profile.highest) {
+        summaryEl.textContent = `${formatDistance(profile.totalM)} / 標高データがありません`;
+        return;
+    }
+
+    const rows = [
+        `${formatDistance(profile.totalM)}　↑${Math.round(profile.ascentM)} m　↓${Math.round(profile.descentM)} m`,
+        `最高 ${Math.round(profile.highest.altitude)} m（${formatDistance(profile.points[profile.highest.index].distance)}）　最低 ${Math.round(profile.lowest.altitude)} m（${formatDistance(profile.points[profile.lowest.index].distance)}）`
+    ];
+    if (cursorIndex !== null) {
+        const altitude = getAltitudeNear(cursorIndex);
+        rows.push(`カーソル: ${formatDistance(profile.points[cursorIndex].distance)}　${altitude !== null ? `${Math.round(altitude)} m` : '-'}`);
+    }
+
+    summaryEl.innerHTML = '';
+    rows.forEach(text => {
+        const row = document.createElement('div');
+        row.className = 'trip-stats-row';
+        row.textContent = text;
+        summaryEl.appendChild(row);
+    });
+}
+
+/**
+ * 地図上のカーソルを移動（地図の表示範囲外なら地図を動かす）
+ */
+function updateCursorMarker() {
+    if (!state.map || cursorIndex === null) return;
+
+    const point = profile.points[cursorIndex];
+    const latlng = [point.lat, point.lng];
+    if (cursorMarker) {
+        cursorMarker.setLatLng(latlng);
+    } else {
+        cursorMarker = L.circleMarker(latlng, {
+            radius: 8,
+            color: 'white',
+            weight: 3,
+            fillColor: CURSOR_COLOR,
+            fillOpacity: 1
+        }).addTo(state.map);
+    }
+    if (!state.map.getBounds().contains(latlng)) {
+        state.map.panTo(latlng);
+    }
+}
+
+function removeCursorMarker() {
+    if (cursorMarker) {
+        cursorMarker.remove();
+        cursorMarker = null;
+    }
+}
+
+/**
+ * グラフのタップ・ドラッグでカーソルを動かす
+ * @param {PointerEvent} event
+ */
+function handleChartPointer(event) {
+    if (!profile || profile.points.length === 0) return;
+    // ボタンを押していない移動（マウスのホバー）は無視する
+    if (event.type === 'pointermove' && event.buttons === 0) return;
+
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const plotWidth = rect.width - CHART_PADDING.left - CHART_PADDING.right;
+    const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left - CHART_PADDING.left) / plotWidth));
+
+    cursorIndex = findIndexAtDistance(ratio * profile.totalM);
+    drawChart();
+    updateSummary();
+    updateCursorMarker();
+}
+
+/**
+ * 選択したデータのプロファイルを作って表示
+ * @param {string} source - 'route' または外部データの選択肢のインデックス
+ * @param {Array} externalDataList
+ */
+async function loadProfile(source, externalDataList) {
+    cursorIndex = null;
+    removeCursorMarker();
+    profile = source === 'route'
+        ? await buildRouteProfile()
+        : buildExternalProfile(externalCandidates[parseInt(source)], externalDataList);
+    drawChart();
+    updateSummary();
+}
+
+/**
+ * 標高プロファイルを開く
+ */
+export async function showElevationProfile() {
+    try {
+        const externalDataList = await getAllExternalData();
+        externalCandidates = listReferenceCandidates(externalDataList);
+
+        const sourceSelect = document.getElementById('elevationProfileSourceSelect');
+        sourceSelect.innerHTML = '';
+        const routeOption = document.createElement('option');
+        routeOption.value = 'route';
+        routeOption.textContent = state.isTracking ? '記録中のルート' : '開いているルート';
+        sourceSelect.appendChild(routeOption);
+        externalCandidates.forEach((candidate, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = `外部データ: ${candidate.name}`;
+            sourceSelect.appendChild(option);
+        });
+        sourceSelect.onchange = () => loadProfile(sourceSelect.value, externalDataList)
+            .catch(error => console.error('標高プロファイル作成エラー:', error));
+
+        const canvas = document.getElementById('elevationProfileCanvas');
+        canvas.onpointerdown = handleChartPointer;
+        canvas.onpointermove = handleChartPointer;
+
+        // 表示してから描く（canvasの大きさが決まってから）
+        toggleVisibility('elevationProfilePanel', true);
+        window.addEventListener('resize', drawChart);
+        await loadProfile(sourceSelect.value, externalDataList);
+    } catch (error) {
+        console.error('標高プロファイル表示エラー:', error);
+        updateStatus('標高プロファイルの表示に失敗しました');
+    }
+}
+
+/**
+ * 標高プロファイルを閉じる（地図上のカーソルも消す）
+ */
+export function closeElevationProfile() {
+    toggleVisibility('elevationProfilePanel', false);
+    window.removeEventListener('resize', drawChart);
+    removeCursorMarker();
+    cursorIndex = null;
+    profile = null;
+}
@@ -0,0 +1,212 @@
+// RouteLogger - 端末内データの暗号化（WebCrypto）
+// ランダムなデータ鍵（AES-GCM 256bit）でレコードを暗号化し、データ鍵はパスフレーズからPBKDF2で作った鍵で包んで保存する
+// パスフレーズはどこにも保存しないため、忘れるとデータは復元できない
+// パスフレーズの変更はデータ鍵を包み直すだけで、レコードは暗号化し直さない
+
+import { ENCRYPTION_PBKDF2_ITERATIONS } from './config.js';
+
+// 暗号化しない項目（キー・インデックス・並べ替えと、外部写真のファイル名での検索に使う）
+const CLEAR_FIELDS = ['id', 'routeId', 'trackId', 'importId', 'timestamp', 'fileName'];
+
+// 解錠中のデータ鍵（メモリ上のみ）
+let dataKey = null;
+// 暗号化が有効かどうか（有効で未解錠なら書き込みを止める）
+let enabled = false;
+
+/**
+ * パスフレーズが違う（データ鍵を取り出せない）ことを示すエラー
+ */
+export class PassphraseError extends Error {
+    constructor() {
+        super('パスフレーズが違います');
+        this.name = 'PassphraseError';
+    }
+}
+
+/**
+ * WebCryptoが使えるかどうか（HTTPSまたはlocalhostでのみ使える）
+ * @returns {boolean}
+ */
+export function isEncryptionSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * 暗号化が有効かどうか
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+    return enabled;
+}
+
+/**
+ * 解錠済みかどうか（暗号化が無効なら常にtrue）
+ * @returns {boolean}
+ */
+export function isUnlocked() {
+    return !enabled || dataKey !== null;
+}
+
+/**
+ * 暗号化を無効にする（データをすべて復号した後に呼ぶ）
+ */
+export function clearEncryptionKey() {
+    dataKey = null;
+    enabled = false;
+}
+
+/**
+ * 暗号化の設定が保存されていることを記録する（起動時、解錠前）
+ */
+export function markEncryptionEnabled() {
+    enabled = true;
+}
+
+/**
+ * パスフレーズから鍵暗号化鍵を作る
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveWrappingKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+}
+
+/**
+ * データ鍵をパスフレーズで包み、設定ストアに保存する形にする
+ * @param {CryptoKey} key - データ鍵
+ * @param {string} passphrase
+ * @returns {Promise<{salt: Uint8Array, iterations: number, iv: Uint8Array, wrappedKey: ArrayBuffer, createdAt: string}>}
+ */
+async function wrapDataKey(key, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, ENCRYPTION_PBKDF2_ITERATIONS);
+    const wrappedKey = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+    return { salt, iterations: ENCRYPTION_PBKDF2_ITERATIONS, iv, wrappedKey, createdAt: new Date().toISOString() };
+}
+
+/**
+ * 新しいデータ鍵を作って解錠状態にする（暗号化を有効にするとき）
+ * @param {string} passphrase
+ * @returns {Promise<Object>} 設定ストアに保存する鍵情報
+ */
+export async function createDataKey(passphrase) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const keyInfo = await wrapDataKey(key, passphrase);
+    dataKey = key;
+    enabled = true;
+    return keyInfo;
+}
+
+/**
+ * パスフレーズでデータ鍵を取り出して解錠する
+ * @param {Object} keyInfo - 設定ストアの鍵情報
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {PassphraseError} パスフレーズが違う場合
+ */
+export async function unlockDataKey(keyInfo, passphrase) {
+    const wrappingKey = await deriveWrappingKey(passphrase, keyInfo.salt, keyInfo.iterations);
+    try {
+        // 包み直し（パスフレーズ変更）に使うため取り出し可能にしておく
+        dataKey = await crypto.subtle.unwrapKey(
+            'raw', keyInfo.wrappedKey, wrappingKey, { name: 'AES-GCM', iv: keyInfo.iv },
+            { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']
+        );
+        enabled = true;
+    } catch (e) {
+        // AES-GCMの認証に失敗した = パスフレーズが違う
+        throw new PassphraseError();
+    }
+}
+
+/**
+ * 解錠中のデータ鍵を新しいパスフレーズで包み直す（パスフレーズ変更）
+ * @param {string} passphrase - 新しいパスフレーズ
+ * @returns {Promise<Object>} 設定ストアに保存する鍵情報
+ */
+export async function rewrapDataKey(passphrase) {
+    if (!dataKey) {
+        throw new Error('暗号化が解錠されていません');
+    }
+    return wrapDataKey(dataKey, passphrase);
+}
+
+async function encryptBytes(data) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dataKey, data);
+    return { iv, data: encrypted };
+}
+
+function decryptBytes({ iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, dataKey, data);
+}
+
+/**
+ * レコードを保存用に暗号化（暗号化が無効ならそのまま）
+ * キー・インデックスの項目は残し、それ以外をまとめて $enc に暗号化する。Blobの項目はバイト列のまま別に暗号化する
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+export async function encryptRecord(record) {
+    if (!enabled || !record || record.$enc) return record;
+    if (!dataKey) {
+        throw new Error('データが暗号化されています。パスフレーズで解錠してください');
+    }
+
+    const stored = {};
+    const fields = {};
+    const blobs = {};
+    for (const [field, value] of Object.entries(record)) {
+        if (CLEAR_FIELDS.includes(field)) {
+            stored[field] = value;
+        } else if (value instanceof Blob) {
+            blobs[field] = { ...(await encryptBytes(await value.arrayBuffer())), type: value.type };
+        } else {
+            fields[field] = value;
+        }
+    }
+    stored.$enc = {
+        ...(await encryptBytes(new TextEncoder().encode(JSON.stringify(fields)))),
+        blobs
+    };
+    return stored;
+}
+
+/**
+ * 暗号化したレコードを復号（暗号化していないレコードはそのまま）
+ * @param {Object} stored
+ * @returns {Promise<Object>}
+ */
+export async function decryptRecord(stored) {
+    if (!stored || !stored.$enc) return stored;
+    if (!dataKey) {
+        throw new Error('データが暗号化されています。パスフレーズで解錠してください');
+    }
+
+    const { $enc, ...clearFields } = stored;
+    const fields = JSON.parse(new TextDecoder().decode(await decryptBytes($enc)));
+    const record = { ...clearFields, ...fields };
+    for (const [field, blob] of Object.entries($enc.blobs || {})) {
+        record[field] = new Blob([await decryptBytes(blob)], { type: blob.type });
+    }
+    return record;
+}
+
+/**
+ * 複数のレコードを復号
+ * @param {Array} records
+ * @returns {Promise<Array>}
+ */
+export function decryptRecords(records) {
+    return Promise.all((records || []).map(decryptRecord));
+}
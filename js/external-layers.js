@@ -0,0 +1,112 @@
+// RouteLogger - 外部データのレイヤー管理（読み込んだKMZ・GeoJSONを個別に表示切替・ズーム・色変更・名前変更・削除する）
+// 表示の設定（visible・color）は外部データのレコードに保存し、起動時・復元時の表示に使う
+
+import { getAllExternalData, updateExternalData, deleteExternalData } from './db.js';
+import { displayExternalGeoJSON, setExternalLayerVisible, fitExternalLayer, removeExternalLayer } from './map.js';
+import { getReferenceRoute, setReferenceRoute } from './route-guide.js';
+import { updateStatus, showExternalLayersDialog, closeExternalLayersDialog, closeRouteLibraryDialog, showDocNameDialog } from './ui.js';
+
+/**
+ * 外部データを保存した表示の設定で地図に表示
+ * @param {Object} item - getAllExternalData()のレコード
+ * @param {Object} [options]
+ * @param {boolean} [options.fit=true] - データの範囲に合わせてズームするかどうか
+ */
+export function displayExternalData(item, { fit = true } = {}) {
+    if (item.type !== 'geojson') return;
+    displayExternalGeoJSON(item.data, {
+        externalId: item.id,
+        color: item.color || null,
+        visible: item.visible !== false,
+        fit
+    });
+}
+
+/**
+ * レイヤー管理ダイアログを表示
+ */
+export async function showExternalLayers() {
+    try {
+        closeRouteLibraryDialog();
+        const items = await getAllExternalData();
+        showExternalLayersDialog(items, {
+            onToggle: handleToggle,
+            onZoom: handleZoom,
+            onColor: handleColor,
+            onRename: handleRename,
+            onDelete: handleDelete
+        });
+    } catch (error) {
+        console.error('外部データ一覧取得エラー:', error);
+        alert('外部データの一覧の取得に失敗しました: ' + error.message);
+    }
+}
+
+async function handleToggle(item, visible) {
+    try {
+        await updateExternalData({ ...item, visible });
+        setExternalLayerVisible(item.id, visible);
+    } catch (error) {
+        console.error('外部データ表示切替エラー:', error);
+        alert('表示の切り替えに失敗しました: ' + error.message);
+    }
+    await showExternalLayers();
+}
+
+async function handleZoom(item) {
+    // 非表示のデータは表示してからズームする
+    if (item.visible === false) {
+        await handleToggle(item, true);
+    }
+    closeExternalLayersDialog();
+    if (!fitExternalLayer(item.id)) {
+        updateStatus(`表示できる範囲がありません: ${item.name}`);
+    }
+}
+
+async function handleColor(item, color) {
+    try {
+        await updateExternalData({ ...item, color });
+        // 開始・終了マーカーのアイコンも色を変えるため、作り直す
+        removeExternalLayer(item.id);
+        displayExternalData({ ...item, color }, { fit: false });
+    } catch (error) {
+        console.error('外部データ色変更エラー:', error);
+        alert('色の変更に失敗しました: ' + error.message);
+    }
+    await showExternalLayers();
+}
+
+async function handleRename(item) {
+    closeExternalLayersDialog();
+    const name = await showDocNameDialog(item.name, 'Rename external data');
+    if (name && name !== item.name) {
+        try {
+            await updateExternalData({ ...item, name });
+            updateStatus(`外部データの名前を変更しました: ${name}`);
+        } catch (error) {
+            console.error('外部データ名変更エラー:', error);
+            alert('外部データの名前の変更に失敗しました: ' + error.message);
+        }
+    }
+    await showExternalLayers();
+}
+
+async function handleDelete(item) {
+    if (!confirm(`外部データ「${item.name}」をごみ箱に移しますか？\n含まれる写真も一緒に移します。`)) return;
+
+    try {
+        await deleteExternalData(item.id);
+        removeExternalLayer(item.id);
+        // 参照ルートに使っていれば解除する（保存した指定は次回起動時に消える）
+        const reference = getReferenceRoute();
+        if (reference && reference.externalId === item.id) {
+            setReferenceRoute(null);
+        }
+        updateStatus(`外部データをごみ箱に移しました: ${item.name}`);
+    } catch (error) {
+        console.error('外部データ削除エラー:', error);
+        alert('外部データの削除に失敗しました: ' + error.message);
+    }
+    await showExternalLayers();
+}
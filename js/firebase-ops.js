@@ -1,21 +1,26 @@
 // RouteLogger - Firebase操作
 
-import { STORE_TRACKS, STORE_PHOTOS } from './config.js';
 import * as state from './state.js';
-import { formatPositionData, base64ToBlob, calculateTrackStats, calculateHeading } from './utils.js';
-import { getAllTracks, getAllPhotos, initIndexedDB, clearRouteLogData } from './db.js';
-import { clearMapData, addStartMarker, addEndMarker, removeCurrentMarker, displayPhotoMarkers } from './map.js';
-import { updateStatus, showDocNameDialog, showDocumentListDialog, showPhotoFromMarker, closeDocumentListDialog, setUiBusy } from './ui.js';
+import { formatPositionData, calculateTrackStats, canvasToBlob } from './utils.js';
+import { getRoute, getRouteTracks, getRoutePhotos, getRouteWaypoints, createRoute, saveWaypoint, restoreTrack, savePhoto, initIndexedDB } from './db.js';
+import { calculateTripStats, formatTripStatsRows } from './trip-stats.js';
+import { removeCurrentMarker } from './map.js';
+import { openRoute, refreshRouteStats } from './route-library.js';
+import { createPhotoThumbnail } from './camera.js';
+import { getPhotoExportLocation, backfillPhotoTrackPositions } from './photo-track.js';
+import { updateStatus, showDocNameDialog, showDocumentListDialog, closeDocumentListDialog, setUiBusy } from './ui.js';
 
 /**
- * IndexedDBのデータをFirebaseに保存
+ * 開いているルートをFirebaseに保存
  * @param {string} [providedName] - 指定されたドキュメント名 (Optional)
  */
 export async function saveToFirebase(providedName) {
-    if (!state.trackingStartTime) {
+    const route = state.currentRouteId !== null ? await getRoute(state.currentRouteId) : null;
+    if (!route) {
         alert('記録データがありません。先にGPS記録を開始してください。');
         return;
     }
+    const startTime = state.trackingStartTime || route.timestamp;
 
     try {
         setUiBusy(true);
@@ -31,7 +36,7 @@ export async function saveToFirebase(providedName) {
 
         let baseProjectName = providedName;
         if (!baseProjectName) {
-            baseProjectName = await showDocNameDialog(state.trackingStartTime);
+            baseProjectName = await showDocNameDialog(route.name);
         }
 
         if (!baseProjectName) {
@@ -46,15 +51,16 @@ export async function saveToFirebase(providedName) {
 
 
         // データ取得
-        const allTracks = await getAllTracks();
-        const allPhotos = await getAllPhotos();
+        const allTracks = await getRouteTracks(route.id);
+        const allPhotos = await getRoutePhotos(route.id);
+        const allWaypoints = await getRouteWaypoints(route.id);
 
 
 
         const storage = firebase.storage();
 
         // 写真アップロード
-        const { formattedPhotos, uploadSuccessCount, uploadFailCount } = await uploadPhotosToStorage(storage, projectName, allPhotos);
+        const { formattedPhotos, uploadSuccessCount, uploadFailCount } = await uploadPhotosToStorage(storage, projectName, allPhotos, allTracks);
 
         if (uploadFailCount > 0) {
             alert(`写真アップロード: ${uploadSuccessCount}件成功、${uploadFailCount}件失敗`);
@@ -66,20 +72,44 @@ export async function saveToFirebase(providedName) {
         const formattedTracks = allTracks.map(track => ({
             timestamp: track.timestamp,
             points: track.points.map(point => formatPositionData(point)),
+            segmentStarts: track.segmentStarts || [0],
+            recordingPolicy: track.recordingPolicy || null,
+            events: track.events || [],
             totalPoints: track.totalPoints
         }));
 
+        // ウェイポイント変換
+        const formattedWaypoints = allWaypoints.map(waypoint => ({
+            timestamp: waypoint.timestamp,
+            name: waypoint.name,
+            category: waypoint.category,
+            note: waypoint.note || null,
+            location: formatPositionData(waypoint.location)
+        }));
+
+        // 移動統計（一覧・KMZの説明文用に数値で保存）
+        const tripStats = calculateTripStats(allTracks);
+
         // ルートデータを保存
         const projectRef = firestoreDb.collection('tracks').doc(projectName);
         const projectData = {
             userId: currentUser ? currentUser.uid : null,
             username: localStorage.getItem('routeLogger_username') || null,
-            startTime: state.trackingStartTime,
+            startTime: startTime,
             createdAt: firebase.firestore.FieldValue.serverTimestamp(),
             tracks: formattedTracks,
             photos: formattedPhotos,
+            waypoints: formattedWaypoints,
             tracksCount: allTracks.length,
-            photosCount: allPhotos.length
+            photosCount: allPhotos.length,
+            waypointsCount: allWaypoints.length,
+            stats: {
+                distanceM: Math.round(tripStats.distanceM),
+                elapsedTimeSec: Math.round(tripStats.elapsedTimeSec),
+                movingTimeSec: Math.round(tripStats.movingTimeSec),
+                ascentM: Math.round(tripStats.ascentM),
+                descentM: Math.round(tripStats.descentM)
+            }
         };
 
         await projectRef.set(projectData);
@@ -100,7 +130,8 @@ export async function saveToFirebase(providedName) {
         }
 
         updateStatus('Firebase保存完了');
-        alert(`Firebaseに保存しました\nルート名: ${projectName}\n記録点数: ${trackStats.totalPoints}件\n写真: ${allPhotos.length}件`);
+        const tripStatsText = formatTripStatsRows(tripStats).map(row => `${row.label}: ${row.value}`).join('\n');
+        alert(`Firebaseに保存しました\nルート名: ${projectName}\n記録点数: ${trackStats.totalPoints}件\n写真: ${allPhotos.length}件\n${tripStatsText}`);
 
     } catch (error) {
         console.error('Firebase保存エラー:', error);
@@ -161,7 +192,7 @@ export async function reloadFromFirebase() {
 }
 
 /**
- * 選択したドキュメントを読み込んで地図に表示
+ * 選択したドキュメントを新しいルートとして読み込んで地図に表示
  * @param {Object} doc - ドキュメント
  * @param {boolean} loadPhotos - 写真を読み込むかどうか
  */
@@ -177,29 +208,33 @@ export async function loadDocument(doc, loadPhotos = true) {
             await initIndexedDB();
         }
 
-        await clearRouteLogData();
+        // 既存のルートは残し、ドキュメントをルートライブラリに追加する
+        const routeId = await createRoute({ name: doc.id, timestamp: data.startTime || null, source: 'cloud' });
 
-        clearMapData({ keepExternal: true });
-
-        // トラックデータを保存して表示
+        // トラックデータを保存
         if (data.tracks && data.tracks.length > 0) {
-            await restoreTracks(data.tracks, state.db);
+            await restoreTracks(data.tracks, routeId);
         }
 
-        // 写真をダウンロードして保存・表示
+        // 写真をダウンロードして保存
         if (loadPhotos && data.photos && data.photos.length > 0) {
-            await restorePhotos(data.photos, state.db);
+            await restorePhotos(data.photos, routeId);
         }
 
-        await displayPhotoMarkers(showPhotoFromMarker, '#00BFFF');
+        // ウェイポイントを保存
+        if (data.waypoints && data.waypoints.length > 0) {
+            for (const waypoint of data.waypoints) {
+                await saveWaypoint({ ...waypoint, trackId: null, routeId });
+            }
+        }
 
-        // Saveボタンを無効化
-        document.getElementById('dataSaveBtn').disabled = true;
+        await refreshRouteStats(routeId);
+        if (loadPhotos) {
+            await backfillPhotoTrackPositions();
+        }
 
         const trackStats = data.tracks ? calculateTrackStats(data.tracks) : { trackCount: 0, totalPoints: 0 };
-        const actualPhotos = await getAllPhotos();
-
-        updateStatus(`データを読み込みました:\n${doc.id}`);
+        const actualPhotos = await getRoutePhotos(routeId);
 
         let msg = `データを読み込みました\nドキュメント名: ${doc.id}\n記録点数: ${trackStats.totalPoints}件`;
         if (loadPhotos) {
@@ -207,6 +242,22 @@ export async function loadDocument(doc, loadPhotos = true) {
         } else {
             msg += `\n(写真は読み込まれませんでした)`;
         }
+        if (data.waypoints && data.waypoints.length > 0) {
+            msg += `\nウェイポイント: ${data.waypoints.length}件`;
+        }
+
+        if (state.isTracking) {
+            // 記録中のルートの表示は変えない
+            msg += `\n\nGPS記録中のため、記録停止後にRoutesから開いてください。`;
+        } else {
+            await openRoute(routeId);
+            removeCurrentMarker();
+
+            // Saveボタンを無効化
+            document.getElementById('dataSaveBtn').disabled = true;
+        }
+
+        updateStatus(`データを読み込みました:\n${doc.id}`);
         alert(msg);
 
     } catch (error) {
@@ -271,9 +322,10 @@ async function getUniqueProjectName(firestoreDb, baseName) {
  * @param {Object} storage 
  * @param {string} projectName 
  * @param {Array} photos 
+ * @param {Array} tracks - 位置のない写真をトラック上に配置するためのルートのトラック
  * @returns {Promise<Object>}
  */
-async function uploadPhotosToStorage(storage, projectName, photos) {
+async function uploadPhotosToStorage(storage, projectName, photos, tracks) {
     const formattedPhotos = [];
     let uploadSuccessCount = 0;
     let uploadFailCount = 0;
@@ -289,19 +341,19 @@ async function uploadPhotosToStorage(storage, projectName, photos) {
 
         for (let i = 0; i < photos.length; i++) {
             const photo = photos[i];
+            const location = getPhotoExportLocation(photo, tracks);
 
             try {
-                const blob = base64ToBlob(photo.data);
                 const timestamp = new Date(photo.timestamp).getTime();
                 const photoPath = `tracks/${projectName}/photos/${timestamp}.jpg`;
 
                 const storageRef = storage.ref(photoPath);
-                await storageRef.put(blob, {
+                await storageRef.put(photo.blob, {
                     contentType: 'image/jpeg',
                     customMetadata: {
                         timestamp: photo.timestamp,
-                        lat: photo.location?.lat?.toString() || '',
-                        lng: photo.location?.lng?.toString() || ''
+                        lat: location?.lat?.toString() || '',
+                        lng: location?.lng?.toString() || ''
                     }
                 });
 
@@ -313,7 +365,8 @@ async function uploadPhotosToStorage(storage, projectName, photos) {
                     timestamp: photo.timestamp,
                     direction: photo.direction !== '' ? (photo.direction ?? null) : null,
                     facing: photo.facing || null,
-                    location: formatPositionData(photo.location),
+                    location: formatPositionData(location),
+                    distanceFromStart: photo.distanceFromStart ?? null,
                     text: photo.text || null
                 });
 
@@ -333,63 +386,27 @@ async function uploadPhotosToStorage(storage, projectName, photos) {
 }
 
 /**
- * トラックデータを復元して地図に表示
+ * トラックデータをルートに復元
  * @param {Array} tracks 
- * @param {IDBDatabase} db 
+ * @param {number} routeId 
  */
-async function restoreTracks(tracks, db) {
-    const allPoints = [];
-
+async function restoreTracks(tracks, routeId) {
     for (const track of tracks) {
         try {
-            const transaction = db.transaction([STORE_TRACKS], 'readwrite');
-            const store = transaction.objectStore(STORE_TRACKS);
-
-            await new Promise((resolve, reject) => {
-                const request = store.add(track);
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            });
-
-            if (track.points) {
-                track.points.forEach(point => {
-                    allPoints.push([point.lat, point.lng]);
-                });
-            }
+            // db.js経由で保存する（暗号化が有効なら暗号化される）
+            await restoreTrack({ ...track, routeId });
         } catch (trackError) {
             console.error('トラック保存エラー:', trackError);
         }
     }
-
-    if (allPoints.length > 0) {
-        // パス描画（マゼンタ）
-        state.trackingPath.setLatLngs(allPoints);
-        state.trackingPath.setStyle({ color: '#00BFFF' });
-        state.map.setView(allPoints[0], 15);
-
-        // 開始地点マーカー（マゼンタ）
-        const startPoint = allPoints[0];
-        addStartMarker(startPoint[0], startPoint[1], '#00BFFF');
-
-        // 終了地点（現在地点）マーカー（マゼンタ）
-        const endPoint = allPoints[allPoints.length - 1];
-
-        // 方角計算
-        const historyPointsObj = allPoints.map(p => ({ lat: p[0], lng: p[1] }));
-        const endPointObj = { lat: endPoint[0], lng: endPoint[1] };
-        const heading = calculateHeading(endPointObj, historyPointsObj);
-
-        removeCurrentMarker();
-        addEndMarker(endPoint[0], endPoint[1], heading, '#00BFFF');
-    }
 }
 
 /**
- * 写真データを復元
+ * 写真データをルートに復元
  * @param {Array} photosData 
- * @param {IDBDatabase} db 
+ * @param {number} routeId 
  */
-async function restorePhotos(photosData, db) {
+async function restorePhotos(photosData, routeId) {
     updateStatus(`写真をダウンロード中... (0/${photosData.length})`);
 
     const storage = firebase.storage();
@@ -398,22 +415,24 @@ async function restorePhotos(photosData, db) {
         const photoData = photosData[i];
 
         try {
-            let base64;
+            let blob;
 
             if (photoData.storagePath) {
                 const storageRef = storage.ref(photoData.storagePath);
                 const downloadURL = await storageRef.getDownloadURL();
-                base64 = await downloadImageAsBase64(downloadURL);
+                blob = await downloadImageAsBlob(downloadURL);
             } else if (photoData.url) {
-                base64 = await downloadImageAsBase64(photoData.url);
+                blob = await downloadImageAsBlob(photoData.url);
             } else {
                 continue;
             }
 
-            if (!base64) continue;
+            if (!blob) continue;
 
             const photoRecord = {
-                data: base64,
+                routeId: routeId,
+                blob: blob,
+                thumbBlob: await createPhotoThumbnail(blob),
                 timestamp: photoData.timestamp,
                 direction: photoData.direction ?? null,
                 facing: photoData.facing || null,
@@ -421,14 +440,7 @@ async function restorePhotos(photosData, db) {
                 text: photoData.text || null
             };
 
-            const transaction = db.transaction([STORE_PHOTOS], 'readwrite');
-            const store = transaction.objectStore(STORE_PHOTOS);
-
-            await new Promise((resolve, reject) => {
-                const request = store.add(photoRecord);
-                request.onsuccess = () => resolve();
-                request.onerror = () => reject(request.error);
-            });
+            await savePhoto(photoRecord);
 
             updateStatus(`写真をダウンロード中... (${i + 1}/${photosData.length})`);
         } catch (downloadError) {
@@ -438,11 +450,11 @@ async function restorePhotos(photosData, db) {
 }
 
 /**
- * 画像URLからBase64を取得
+ * 画像URLからBlobを取得
  * @param {string} url 
- * @returns {Promise<string>}
+ * @returns {Promise<Blob>}
  */
-function downloadImageAsBase64(url) {
+function downloadImageAsBlob(url) {
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.crossOrigin = 'anonymous';
@@ -452,7 +464,7 @@ function downloadImageAsBase64(url) {
             canvas.width = img.width;
             canvas.height = img.height;
             canvas.getContext('2d').drawImage(img, 0, 0);
-            resolve(canvas.toDataURL('image/jpeg', 0.9));
+            canvasToBlob(canvas, 'image/jpeg', 0.9).then(resolve, reject);
         };
 
         img.onerror = () => reject(new Error('画像の読み込みに失敗しました'));
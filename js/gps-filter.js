@@ -0,0 +1,147 @@
+// RouteLogger - GPS測位フィルタ（外れ値除去・平滑化）
+// watchPositionで受け取った測位値を、記録（addTrackingPoint）前に検査する
+
+import { GPS_FILTER_SPEED_RESET_COUNT, GPS_KALMAN_PROCESS_NOISE_MPS } from './config.js';
+import * as state from './state.js';
+import { calculateDistance } from './utils.js';
+
+// 直前に採用した測位値 {lat, lng, time}
+let lastAcceptedFix = null;
+// 速度超過で連続して除外した回数
+let speedRejectCount = 0;
+// カルマン平滑化の状態 {lat, lng, variance, time}
+let kalman = null;
+
+/**
+ * フィルタの状態をリセット（記録開始・再開時）
+ */
+export function resetGpsFilter() {
+    lastAcceptedFix = null;
+    speedRejectCount = 0;
+    kalman = null;
+}
+
+/**
+ * 測位値をフィルタに通す
+ * 1. 精度ゲート: 精度が上限より悪い測位を除外
+ * 2. 速度チェック: 直前の採用位置からの移動速度が上限を超える測位を除外
+ * 3. カルマン平滑化（設定で有効な場合のみ）
+ * 除外した測位は state.rejectedFixes に理由付きで保持する（直近の一定件数。件数は state.rejectedFixCounts）
+ * @param {GeolocationPosition} position
+ * @param {Object} policy - GPS記録条件（maxAccuracyM, maxSpeedKmh）
+ * @returns {{accepted: boolean, lat: number, lng: number, smoothed: boolean, reason: string|null}}
+ */
+export function filterPosition(position, policy) {
+    const { latitude: lat, longitude: lng, accuracy } = position.coords;
+    const time = position.timestamp || Date.now();
+
+    // 1. 精度ゲート
+    if (policy.maxAccuracyM && accuracy > policy.maxAccuracyM) {
+        return reject(position, 'accuracy');
+    }
+
+    // 2. 速度チェック（GPS精度分の揺れは許容）
+    if (lastAcceptedFix && policy.maxSpeedKmh) {
+        const elapsedSeconds = (time - lastAcceptedFix.time) / 1000;
+        if (elapsedSeconds > 0) {
+            const distance = calculateDistance(lastAcceptedFix.lat, lastAcceptedFix.lng, lat, lng);
+            const speedKmh = Math.max(0, distance - accuracy) / elapsedSeconds * 3.6;
+            if (speedKmh > policy.maxSpeedKmh) {
+                speedRejectCount++;
+                // 連続して超過する場合は直前の採用位置の方が誤りとみなし、基準を置き直す
+                if (speedRejectCount < GPS_FILTER_SPEED_RESET_COUNT) {
+                    return reject(position, 'speed', { speedKmh: parseFloat(speedKmh.toFixed(1)) });
+                }
+                kalman = null;
+            }
+        }
+    }
+    speedRejectCount = 0;
+
+    // 3. カルマン平滑化
+    let result = { lat, lng };
+    let smoothed = false;
+    if (state.isGpsSmoothingEnabled) {
+        result = applyKalman(lat, lng, accuracy, time);
+        smoothed = true;
+    }
+
+    lastAcceptedFix = { lat, lng, time };
+    return { accepted: true, lat: result.lat, lng: result.lng, smoothed, reason: null };
+}
+
+/**
+ * 除外した測位を診断リストに追加
+ * @param {GeolocationPosition} position
+ * @param {string} reason - 'accuracy' | 'speed'
+ * @param {Object} [detail] - 追加情報
+ * @returns {{accepted: boolean, lat: number, lng: number, smoothed: boolean, reason: string}}
+ */
+function reject(position, reason, detail = {}) {
+    const { latitude: lat, longitude: lng, accuracy } = position.coords;
+    state.addRejectedFix({
+        lat: parseFloat(lat.toFixed(5)),
+        lng: parseFloat(lng.toFixed(5)),
+        accuracy: parseFloat(accuracy.toFixed(1)),
+        timestamp: new Date(position.timestamp || Date.now()).toISOString(),
+        reason: reason,
+        ...detail
+    });
+    return { accepted: false, lat, lng, smoothed: false, reason };
+}
+
+/**
+ * 1次元カルマンフィルタで緯度経度を平滑化
+ * 分散は精度（m）の2乗で扱い、経過時間に応じて想定速度分のばらつきを加える
+ * @returns {{lat: number, lng: number}}
+ */
+function applyKalman(lat, lng, accuracy, time) {
+    const measurementVariance = Math.max(accuracy, 1) ** 2;
+
+    if (!kalman) {
+        kalman = { lat, lng, variance: measurementVariance, time };
+        return { lat, lng };
+    }
+
+    const elapsedSeconds = Math.max(0, (time - kalman.time) / 1000);
+    kalman.variance += elapsedSeconds * GPS_KALMAN_PROCESS_NOISE_MPS ** 2;
+    kalman.time = time;
+
+    const gain = kalman.variance / (kalman.variance + measurementVariance);
+    kalman.lat += gain * (lat - kalman.lat);
+    kalman.lng += gain * (lng - kalman.lng);
+    kalman.variance = (1 - gain) * kalman.variance;
+
+    return { lat: kalman.lat, lng: kalman.lng };
+}
+
+/**
+ * トラックの除外理由ごとの件数
+ * 件数を保存する前に記録したトラック（rejectedFixCountsがない）は、残っている測位から数える
+ * @param {Object} track
+ * @returns {Object<string, number>} 理由 → 件数
+ */
+export function getRejectedFixCounts(track) {
+    if (track.rejectedFixCounts) return track.rejectedFixCounts;
+    const counts = {};
+    (track.rejectedFixes || []).forEach(fix => {
+        counts[fix.reason] = (counts[fix.reason] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * 除外理由ごとの件数を集計
+ * @param {Array} tracks
+ * @returns {{total: number, accuracy: number, speed: number}}
+ */
+export function summarizeRejectedFixes(tracks) {
+    const summary = { total: 0, accuracy: 0, speed: 0 };
+    tracks.forEach(track => {
+        Object.entries(getRejectedFixCounts(track)).forEach(([reason, count]) => {
+            summary.total += count;
+            if (summary[reason] !== undefined) summary[reason] += count;
+        });
+    });
+    return summary;
+}
@@ -1,21 +1,26 @@
 // RouteLogger - KMZ Handler
 
 import { saveExternalData, saveExternalPhoto } from './db.js';
+import { splitTrackSegments, base64ToBlob, escapeXml, escapeCdata } from './utils.js';
+import { calculateTripStats, formatTripStatsRows } from './trip-stats.js';
+import { sortPhotosAlongRoute, getPhotoExportLocation } from './photo-track.js';
+import { WAYPOINT_CATEGORIES } from './config.js';
 
 /**
  * TracksとPhotosからKMZファイルを生成してダウンロード
  * @param {Array} tracks - トラックデータの配列
  * @param {Array} photos - 写真データの配列
  * @param {string} [filename] - ファイル名 (拡張子なし)
+ * @param {Array} [waypoints] - ウェイポイントの配列
  */
-export async function exportToKmz(tracks, photos, filename) {
+export async function exportToKmz(tracks, photos, filename, waypoints = []) {
   if (!tracks || tracks.length === 0) {
     alert('エクスポートするトラックデータがありません。');
     return;
   }
 
   const zip = new JSZip();
-  const kml = generateKml(tracks, photos);
+  const kml = generateKml(tracks, photos, waypoints);
 
   // KMLをzipに追加
   zip.file("doc.kml", kml);
@@ -25,12 +30,10 @@ export async function exportToKmz(tracks, photos, filename) {
     const imagesFolder = zip.folder("images");
 
     for (const photo of photos) {
-      if (photo.data) {
-        // Base64からBlobに変換
-        const blob = base64ToBlob(photo.data);
+      if (photo.blob) {
         // 画像ファイル名はIDを使用 (例: photo_123.jpg)
         const fileName = `photo_${photo.id}.jpg`;
-        imagesFolder.file(fileName, blob);
+        imagesFolder.file(fileName, photo.blob);
       }
     }
   }
@@ -55,10 +58,62 @@ export async function exportToKmz(tracks, photos, filename) {
   }
 }
 
+/**
+ * 移動統計をKMLのdescription用テキストに変換
+ * @param {Array} tracks - トラックデータの配列
+ * @returns {string}
+ */
+function tripStatsDescription(tracks) {
+  const rows = formatTripStatsRows(calculateTripStats(tracks));
+  return `<![CDATA[${rows.map(row => `${row.label}: ${row.value}`).join('<br/>')}]]>`;
+}
+
+// トラック点ごとの値としてExtendedDataに保存する項目
+const TRACK_POINT_FIELDS = ['speed', 'heading', 'source'];
+
+/**
+ * トラック点ごとの速度・進行方向・測位元をExtendedDataにする
+ * 点の順（区間をまたいで通し）にスペース区切りで並べ、値のない点は「-」とする。どの点にも値がない項目は省略
+ * @param {Array} points
+ * @returns {string}
+ */
+function trackPointExtendedData(points) {
+  const rows = TRACK_POINT_FIELDS
+    .filter(field => points.some(p => p[field] !== undefined && p[field] !== null))
+    .map(field => `
+        <Data name="${field}"><value>${points.map(p => p[field] ?? '-').join(' ')}</value></Data>`);
+  return rows.length > 0 ? `
+      <ExtendedData>${rows.join('')}
+      </ExtendedData>` : '';
+}
+
+/**
+ * trackPointExtendedData()で保存した値をトラック点に戻す
+ * 点の数が合わない項目は使わない
+ * @param {Element} placemark
+ * @param {Array} points
+ */
+function applyTrackPointExtendedData(placemark, points) {
+  TRACK_POINT_FIELDS.forEach(field => {
+    const text = getExtendedData(placemark, field);
+    if (!text) return;
+    const values = text.trim().split(/\s+/);
+    if (values.length !== points.length) return;
+    values.forEach((value, i) => {
+      if (value === '-') return;
+      if (field === 'source') {
+        points[i].source = value;
+      } else if (!isNaN(parseFloat(value))) {
+        points[i][field] = parseFloat(value);
+      }
+    });
+  });
+}
+
 /**
  * KML文字列を生成
  */
-function generateKml(tracks, photos) {
+function generateKml(tracks, photos, waypoints = []) {
   let kml = `<?xml version="1.0" encoding="UTF-8"?>
 <kml xmlns="http://www.opengis.net/kml/2.2" xmlns:atom="http://www.w3.org/2005/Atom">
   <Document>
@@ -66,6 +121,7 @@ function generateKml(tracks, photos) {
       <atom:name>RouteLogger</atom:name>
     </atom:author>
     <name>RouteLogger Data</name>
+    <description>${tripStatsDescription(tracks)}</description>
     <Style id="trackStyle">
       <LineStyle>
         <color>ff0000ff</color>
@@ -80,35 +136,55 @@ function generateKml(tracks, photos) {
         </Icon>
       </IconStyle>
     </Style>
+    <Style id="waypointStyle">
+      <IconStyle>
+        <scale>1.0</scale>
+        <Icon>
+          <href>http://maps.google.com/mapfiles/kml/paddle/grn-blank.png</href>
+        </Icon>
+      </IconStyle>
+    </Style>
 `;
 
   // Tracks
   tracks.forEach(track => {
     if (!track.points || track.points.length === 0) return;
 
-    const coordinates = track.points.map(p => `${p.lng},${p.lat},0`).join(' ');
-
-    kml += `
-    <Placemark>
-      <name>Track ${new Date(track.timestamp).toLocaleString()}</name>
-      <styleUrl>#trackStyle</styleUrl>
+    // 区間ごとにLineStringを作成（複数区間はMultiGeometryにまとめる）
+    const lineStrings = splitTrackSegments(track.points, track.segmentStarts).map(segment => {
+      const coordinates = segment.map(p => `${p.lng},${p.lat},0`).join(' ');
+      return `
       <LineString>
         <tessellate>1</tessellate>
         <coordinates>
           ${coordinates}
         </coordinates>
-      </LineString>
+      </LineString>`;
+    });
+    const geometry = lineStrings.length > 1
+      ? `
+      <MultiGeometry>${lineStrings.join('')}
+      </MultiGeometry>`
+      : lineStrings[0];
+
+    kml += `
+    <Placemark>
+      <name>Track ${new Date(track.timestamp).toLocaleString()}</name>
+      <description>${tripStatsDescription([track])}</description>
+      <styleUrl>#trackStyle</styleUrl>${trackPointExtendedData(track.points)}${geometry}
     </Placemark>`;
   });
 
-  // Photos
+  // Photos（ルート上の順に並べる）
   if (photos) {
-    photos.forEach(photo => {
+    sortPhotosAlongRoute(photos, tracks).forEach(photo => {
       const fileName = `images/photo_${photo.id}.jpg`;
-      const description = photo.comment ? `<![CDATA[${photo.comment}<br/><img src="${fileName}" width="300" />]]>` : `<![CDATA[<img src="${fileName}" width="300" />]]>`;
+      const description = photo.comment ? `<![CDATA[${escapeCdata(photo.comment)}<br/><img src="${fileName}" width="300" />]]>` : `<![CDATA[<img src="${fileName}" width="300" />]]>`;
 
-      const lat = photo.location ? photo.location.lat : 0;
-      const lng = photo.location ? photo.location.lng : 0;
+      // 撮影時に位置が取れなかった写真は対応するトラック点に配置する
+      const location = getPhotoExportLocation(photo, tracks);
+      const lat = location ? location.lat : 0;
+      const lng = location ? location.lng : 0;
 
       kml += `
     <Placemark>
@@ -122,6 +198,29 @@ function generateKml(tracks, photos) {
     });
   }
 
+  // Waypoints（種類・メモはExtendedDataに保存し、importKmzで復元する）
+  waypoints.forEach(waypoint => {
+    if (!waypoint.location) return;
+    const label = WAYPOINT_CATEGORIES[waypoint.category]?.label || waypoint.category;
+    const note = waypoint.note ? `<br/>${escapeCdata(waypoint.note)}` : '';
+
+    kml += `
+    <Placemark>
+      <name>${escapeXml(waypoint.name)}</name>
+      <description><![CDATA[${label}${note}]]></description>
+      <TimeStamp><when>${waypoint.timestamp}</when></TimeStamp>
+      <styleUrl>#waypointStyle</styleUrl>
+      <ExtendedData>
+        <Data name="type"><value>waypoint</value></Data>
+        <Data name="category"><value>${escapeXml(waypoint.category)}</value></Data>
+        <Data name="note"><value>${escapeXml(waypoint.note || '')}</value></Data>
+      </ExtendedData>
+      <Point>
+        <coordinates>${waypoint.location.lng},${waypoint.location.lat},0</coordinates>
+      </Point>
+    </Placemark>`;
+  });
+
   kml += `
   </Document>
 </kml>`;
@@ -129,10 +228,21 @@ function generateKml(tracks, photos) {
   return kml;
 }
 
+/**
+ * PlacemarkのExtendedDataから値を取得
+ * @param {Element} placemark
+ * @param {string} name
+ * @returns {string|null}
+ */
+function getExtendedData(placemark, name) {
+  const data = [...placemark.querySelectorAll('ExtendedData Data')].find(d => d.getAttribute('name') === name);
+  return data ? data.querySelector('value')?.textContent ?? null : null;
+}
+
 /**
  * KMZファイルをインポート
- * creatorがRouteLoggerなら {type:'RouteLogger', tracks, photos}
- * それ以外なら {type:'other', geojson} を返す
+ * creatorがRouteLoggerなら {type:'RouteLogger', tracks, photos, waypoints}
+ * それ以外なら外部データとして保存し {type:'other', geojson, externalId} を返す
  * @param {File} file - インポートするKMZファイル
  * @returns {Promise<Object>}
  */
@@ -158,6 +268,7 @@ export async function importKmz(file) {
       // --- RouteLoggerデータとしてtracks/photosを解析して返す ---
       const tracks = [];
       const photos = [];
+      const waypoints = [];
       const placemarks = kmlDom.querySelectorAll('Placemark');
 
       for (const placemark of placemarks) {
@@ -165,16 +276,41 @@ export async function importKmz(file) {
         const point = placemark.querySelector('Point');
 
         if (lineString) {
-          // トラック
-          const coordsText = lineString.querySelector('coordinates')?.textContent.trim() || '';
-          const points = coordsText.split(/\s+/).filter(s => s.trim()).map(coord => {
-            const parts = coord.split(',');
-            return { lat: parseFloat(parts[1]), lng: parseFloat(parts[0]) };
-          }).filter(p => !isNaN(p.lat) && !isNaN(p.lng));
+          // トラック（MultiGeometry内の各LineStringは区間として復元）
+          const points = [];
+          const segmentStarts = [];
+          for (const line of placemark.querySelectorAll('LineString')) {
+            const coordsText = line.querySelector('coordinates')?.textContent.trim() || '';
+            const linePoints = coordsText.split(/\s+/).filter(s => s.trim()).map(coord => {
+              const parts = coord.split(',');
+              return { lat: parseFloat(parts[1]), lng: parseFloat(parts[0]) };
+            }).filter(p => !isNaN(p.lat) && !isNaN(p.lng));
+
+            if (linePoints.length > 0) {
+              segmentStarts.push(points.length);
+              points.push(...linePoints);
+            }
+          }
 
           if (points.length > 0) {
-            tracks.push({ timestamp: new Date().toISOString(), points, totalPoints: points.length });
+            applyTrackPointExtendedData(placemark, points);
+            tracks.push({ timestamp: new Date().toISOString(), points, segmentStarts, totalPoints: points.length });
           }
+        } else if (point && getExtendedData(placemark, 'type') === 'waypoint') {
+          // ウェイポイント
+          const parts = (point.querySelector('coordinates')?.textContent.trim() || '').split(',');
+          const lat = parseFloat(parts[1]);
+          const lng = parseFloat(parts[0]);
+          if (isNaN(lat) || isNaN(lng)) continue;
+
+          waypoints.push({
+            timestamp: placemark.querySelector('TimeStamp when')?.textContent.trim() || new Date().toISOString(),
+            trackId: null,
+            name: placemark.querySelector('name')?.textContent || '',
+            category: getExtendedData(placemark, 'category') || 'junction',
+            note: getExtendedData(placemark, 'note') || null,
+            location: { lat, lng }
+          });
         } else if (point) {
           // 写真
           const coordsText = point.querySelector('coordinates')?.textContent.trim() || '';
@@ -189,15 +325,17 @@ export async function importKmz(file) {
           const imgMatch = description.match(/src="([^"]+\.(?:jpg|jpeg|png|gif))"/i);
           const imgPath = imgMatch ? imgMatch[1] : null;
 
-          let photoBase64 = null;
+          let photoBlob = null;
           if (imgPath && zip.files[imgPath]) {
-            const blob = await zip.files[imgPath].async('blob');
-            photoBase64 = await blobToBase64(blob);
+            const data = await zip.files[imgPath].async('arraybuffer');
+            photoBlob = new Blob([data], { type: /\.png$/i.test(imgPath) ? 'image/png' : 'image/jpeg' });
           }
 
-          if (photoBase64) {
+          if (photoBlob) {
+            // サムネイルは保存後にbackfillPhotoThumbnails()で作成する
             photos.push({
-              data: photoBase64,
+              blob: photoBlob,
+              thumbBlob: null,
               timestamp: new Date().toISOString(),
               location: { lat, lng },
               direction: null,
@@ -207,7 +345,7 @@ export async function importKmz(file) {
         }
       }
 
-      return { type: 'RouteLogger', tracks, photos };
+      return { type: 'RouteLogger', tracks, photos, waypoints };
     } else {
       // --- 外部データとしてexternals/external_photosに保存 ---
       if (!window.toGeoJSON || !window.toGeoJSON.kml) {
@@ -228,8 +366,8 @@ export async function importKmz(file) {
         feature.properties.importId = importId;
       });
 
-      await saveExternalData('geojson', file.name, geojson);
-      return { type: 'other', geojson };
+      const externalId = await saveExternalData('geojson', file.name, geojson);
+      return { type: 'other', geojson, externalId };
     }
 
   } catch (error) {
@@ -238,39 +376,10 @@ export async function importKmz(file) {
   }
 }
 
-/**
- * BlobをBase64文字列に変換
- */
-function blobToBase64(blob) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = () => reject(new Error('Blob to Base64変換エラー'));
-    reader.readAsDataURL(blob);
-  });
-}
-
-/**
- * Base64文字列をBlobに変換
- */
-function base64ToBlob(base64) {
-  const parts = base64.split(';base64,');
-  const contentType = parts[0].split(':')[1];
-  const raw = window.atob(parts[1]);
-  const rawLength = raw.length;
-  const uInt8Array = new Uint8Array(rawLength);
-
-  for (let i = 0; i < rawLength; ++i) {
-    uInt8Array[i] = raw.charCodeAt(i);
-  }
-
-  return new Blob([uInt8Array], { type: contentType });
-}
-
 /**
  * ファイル保存用ヘルパー (Aタグ使用)
  */
-function saveAs(blob, filename) {
+export function saveAs(blob, filename) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
@@ -283,8 +392,8 @@ function saveAs(blob, filename) {
 
 /**
  * GeoJSONファイルをインポート
- * creatorがRouteLoggerなら {type:'RouteLogger', tracks, photos}
- * それ以外なら {type:'other', geojson} を返す
+ * creatorがRouteLoggerなら {type:'RouteLogger', tracks, photos, waypoints}
+ * それ以外なら外部データとして保存し {type:'other', geojson, externalId} を返す
  * @param {File} file - インポートするGeoJSONファイル
  * @returns {Promise<Object>}
  */
@@ -306,19 +415,30 @@ export async function importGeoJson(file) {
               const props = feature.properties || {};
               const geomType = feature.geometry?.type;
 
-              if (geomType === 'LineString') {
-                const points = (feature.geometry.coordinates || []).map(([lng, lat]) => ({ lat, lng }));
+              if (geomType === 'LineString' || geomType === 'MultiLineString') {
+                const lines = geomType === 'LineString'
+                  ? [feature.geometry.coordinates || []]
+                  : (feature.geometry.coordinates || []);
+                const points = [];
+                const segmentStarts = [];
+                lines.forEach(line => {
+                  if (line.length === 0) return;
+                  segmentStarts.push(points.length);
+                  line.forEach(([lng, lat]) => points.push({ lat, lng }));
+                });
                 if (points.length > 0) {
                   tracks.push({
                     timestamp: props.timestamp || new Date().toISOString(),
                     points,
+                    segmentStarts,
                     totalPoints: points.length
                   });
                 }
               } else if (geomType === 'Point') {
                 const [lng, lat] = feature.geometry.coordinates;
                 photos.push({
-                  data: props.photoData || null,
+                  blob: typeof props.photoData === 'string' ? base64ToBlob(props.photoData) : null,
+                  thumbBlob: null,
                   timestamp: props.timestamp || new Date().toISOString(),
                   location: { lat, lng },
                   direction: props.direction || null,
@@ -343,8 +463,8 @@ export async function importGeoJson(file) {
             geojson.properties.importId = importId;
           }
 
-          await saveExternalData('geojson', file.name, geojson);
-          resolve({ type: 'other', geojson });
+          const externalId = await saveExternalData('geojson', file.name, geojson);
+          resolve({ type: 'other', geojson, externalId });
         }
 
       } catch (error) {
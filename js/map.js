@@ -1,9 +1,30 @@
 // RouteLogger - 地図関連
 
-import { DEFAULT_POSITION, GSI_TILE_URL, GSI_ATTRIBUTION, MAP_MAX_NATIVE_ZOOM, MAP_MAX_ZOOM, MAP_MIN_ZOOM } from './config.js';
+import { DEFAULT_POSITION, GSI_ATTRIBUTION, MAP_MAX_ZOOM, MAP_MIN_ZOOM, BASE_LAYERS, DEFAULT_BASE_LAYER, OVERLAY_LAYERS, WAYPOINT_CATEGORIES, DEFAULT_WAYPOINT_CATEGORY, DEFAULT_EXTERNAL_COLOR, TRACK_COLOR_MODES, DEFAULT_TRACK_COLOR_MODE, TRACK_COLOR_RAMP, TRACK_COLOR_NO_VALUE, TRACK_COLOR_RANGE_PERCENTILE } from './config.js';
 import * as state from './state.js';
-import { getLastPosition, getAllPhotos, getExternalPhoto } from './db.js';
-import { calculateHeading } from './utils.js';
+import { getLastPosition, getRoutePhotos, getExternalPhoto, getRouteWaypoints } from './db.js';
+import { calculateHeading, calculateDistance, splitTrackSegments, escapeXml } from './utils.js';
+
+// 保存済みトラックの区間（追記記録時に現在の記録と合わせて描画する）
+let storedTrackSegments = [];
+// 軌跡の描画状態 {mode, range, hasNoValue, part, bin}（記録中は最後のパーツに点を追記する）
+let trackRender = null;
+// 記録中の軌跡 {points, segmentStarts, firstPoint, count, renderedCount}
+// count: 描画済みの点の数、renderedCount: 全体を描き直したときの点の数
+let liveTrack = null;
+// 表示しているルートの色（読み込んだルートなど。色分けでは値のない区間に使う）
+let trackRouteColor = null;
+
+// 外部データごとのレイヤー（外部データのID → L.featureGroup。線・ポイント・開始/終了マーカーをまとめる）
+const externalLayerGroups = new Map();
+
+// 色分け表示の段階ごとの線（TRACK_COLOR_RAMPの順、最後は値のない区間）と凡例
+const colorTrackLines = [];
+let colorLegend = null;
+
+// 背景地図・重ねる地図のタイルレイヤー（キー → L.tileLayer）
+const baseTileLayers = {};
+const overlayTileLayers = {};
 
 /** ポップアップ内の外部リンク画像をlightboxで表示 */
 window._showPhotoLightbox = function(url) {
@@ -115,15 +136,31 @@ export function createPhotoIcon(color = null) {
     });
 }
 
+/**
+ * ウェイポイントアイコンを作成
+ * @param {string} category - WAYPOINT_CATEGORIESのキー
+ * @returns {L.DivIcon}
+ */
+export function createWaypointIcon(category) {
+    const def = WAYPOINT_CATEGORIES[category] || WAYPOINT_CATEGORIES[DEFAULT_WAYPOINT_CATEGORY];
+    return L.divIcon({
+        className: 'waypoint-marker',
+        html: `<div class="waypoint-marker-badge" style="background-color:${def.color};">${def.icon}</div>`,
+        iconSize: [24, 24],
+        iconAnchor: [12, 12]
+    });
+}
+
 /**
  * 地図を初期化
  */
 export async function initMap() {
     let initialPosition = DEFAULT_POSITION;
 
-    // 現在位置を取得して初期化
-    if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(
+    // 現在位置を取得して初期化（シミュレーション設定時は再生する位置）
+    const geolocation = state.getGeolocation();
+    if (geolocation) {
+        geolocation.getCurrentPosition(
             (position) => {
                 const lat = position.coords.latitude;
                 const lng = position.coords.longitude;
@@ -169,12 +206,7 @@ export async function initMap() {
         position: 'topleft'
     }).addTo(mapInstance);
 
-    L.tileLayer(GSI_TILE_URL, {
-        attribution: GSI_ATTRIBUTION,
-        maxNativeZoom: MAP_MAX_NATIVE_ZOOM,
-        maxZoom: MAP_MAX_ZOOM,
-        minZoom: MAP_MIN_ZOOM
-    }).addTo(mapInstance);
+    initMapLayers(mapInstance);
 
     const trackingPathInstance = L.polyline([], {
         color: '#000080',
@@ -183,11 +215,334 @@ export async function initMap() {
     }).addTo(mapInstance);
     state.setTrackingPath(trackingPathInstance);
 
+    initTrackColor(mapInstance);
+
+
+}
+
+/**
+ * タイルレイヤーを作成
+ * @param {{url: string, attribution?: string, minNativeZoom?: number, maxNativeZoom?: number}} layer - BASE_LAYERS・OVERLAY_LAYERSの項目
+ * @param {Object} [options] - 追加のL.tileLayerオプション
+ * @returns {L.TileLayer}
+ */
+function createTileLayer(layer, options = {}) {
+    const zoomRange = {};
+    if (layer.minNativeZoom !== undefined) zoomRange.minNativeZoom = layer.minNativeZoom;
+    if (layer.maxNativeZoom !== undefined) zoomRange.maxNativeZoom = layer.maxNativeZoom;
+
+    return L.tileLayer(layer.url, {
+        attribution: layer.attribution || GSI_ATTRIBUTION,
+        ...zoomRange,
+        maxZoom: MAP_MAX_ZOOM,
+        minZoom: MAP_MIN_ZOOM,
+        ...options
+    });
+}
+
+/**
+ * 背景地図・重ねる地図を作成し、保存した選択を表示してレイヤー切替を追加
+ * @param {L.Map} mapInstance
+ */
+function initMapLayers(mapInstance) {
+    loadMapLayerSettings();
+
+    const baseMaps = {};
+    Object.entries(BASE_LAYERS).forEach(([key, layer]) => {
+        baseTileLayers[key] = createTileLayer(layer);
+        baseMaps[layer.label] = baseTileLayers[key];
+    });
+    const overlayMaps = {};
+    Object.entries(OVERLAY_LAYERS).forEach(([key, layer]) => {
+        // 重ねる地図は背景地図より前面に表示する
+        overlayTileLayers[key] = createTileLayer(layer, { opacity: state.mapOverlayOpacity, zIndex: 10 });
+        overlayMaps[layer.label] = overlayTileLayers[key];
+    });
+
+    baseTileLayers[state.mapBaseLayer].addTo(mapInstance);
+    state.mapOverlayLayers.forEach(key => overlayTileLayers[key].addTo(mapInstance));
+
+    L.control.layers(baseMaps, overlayMaps, { position: 'topleft' }).addTo(mapInstance);
+
+    const findKey = (layers, layer) => Object.keys(layers).find(key => layers[key] === layer);
+    mapInstance.on('baselayerchange', (e) => {
+        const key = findKey(baseTileLayers, e.layer);
+        if (!key) return;
+        state.setMapBaseLayer(key);
+        localStorage.setItem('routeLogger_baseLayer', key);
+    });
+    mapInstance.on('overlayadd overlayremove', () => {
+        state.setMapOverlayLayers(Object.keys(overlayTileLayers).filter(key => mapInstance.hasLayer(overlayTileLayers[key])));
+        localStorage.setItem('routeLogger_overlayLayers', JSON.stringify(state.mapOverlayLayers));
+    });
+}
+
+/**
+ * 保存した背景地図・重ねる地図の選択を読み込む（存在しないキーは無視）
+ */
+function loadMapLayerSettings() {
+    const savedBase = localStorage.getItem('routeLogger_baseLayer');
+    state.setMapBaseLayer(BASE_LAYERS[savedBase] ? savedBase : DEFAULT_BASE_LAYER);
+
+    try {
+        const savedOverlays = JSON.parse(localStorage.getItem('routeLogger_overlayLayers') || '[]');
+        state.setMapOverlayLayers(Array.isArray(savedOverlays) ? savedOverlays.filter(key => OVERLAY_LAYERS[key]) : []);
+    } catch (e) {
+        state.setMapOverlayLayers([]);
+    }
+
+    const savedOpacity = parseFloat(localStorage.getItem('routeLogger_overlayOpacity'));
+    if (!isNaN(savedOpacity)) {
+        state.setMapOverlayOpacity(Math.min(1, Math.max(0, savedOpacity)));
+    }
+}
+
+/**
+ * 重ねる地図の不透明度を変更して保存
+ * @param {number} opacity - 0〜1
+ */
+export function setOverlayOpacity(opacity) {
+    state.setMapOverlayOpacity(opacity);
+    Object.values(overlayTileLayers).forEach(layer => layer.setOpacity(opacity));
+    localStorage.setItem('routeLogger_overlayOpacity', opacity);
+}
+
+/**
+ * 軌跡の色分けの線と凡例を作成し、保存した表示方法を読み込む
+ * @param {L.Map} mapInstance
+ */
+function initTrackColor(mapInstance) {
+    const savedMode = localStorage.getItem('routeLogger_trackColorMode');
+    state.setTrackColorMode(TRACK_COLOR_MODES[savedMode] ? savedMode : DEFAULT_TRACK_COLOR_MODE);
+
+    [...TRACK_COLOR_RAMP, TRACK_COLOR_NO_VALUE].forEach(color => {
+        colorTrackLines.push(L.polyline([], { color, weight: 4, opacity: 0.9 }).addTo(mapInstance));
+    });
+
+    colorLegend = L.control({ position: 'topleft' });
+    colorLegend.onAdd = () => L.DomUtil.create('div', 'track-color-legend hidden');
+    colorLegend.addTo(mapInstance);
+}
+
+/**
+ * 軌跡の色分けを変更して保存し、表示中の軌跡を描き直す
+ * @param {string} mode - TRACK_COLOR_MODESのキー
+ */
+export function setTrackColorMode(mode) {
+    state.setTrackColorMode(TRACK_COLOR_MODES[mode] ? mode : DEFAULT_TRACK_COLOR_MODE);
+    localStorage.setItem('routeLogger_trackColorMode', state.trackColorMode);
+    redrawTrack();
+}
+
+/**
+ * 記録点の色分けに使う値（値がなければnull）
+ * 速度は記録した値、なければ直前の点との距離と時間から求める
+ * @param {string} mode - TRACK_COLOR_MODESのキー
+ * @param {Object} point
+ * @param {Object|undefined} prev - 同じ区間の直前の点
+ * @param {number|null} startTime - トラックの最初の点の時刻（ミリ秒）
+ * @returns {number|null}
+ */
+function getTrackColorValue(mode, point, prev, startTime) {
+    switch (mode) {
+        case 'speed': {
+            if (typeof point.speed === 'number') return point.speed * 3.6;
+            if (!prev || !point.timestamp || !prev.timestamp) return null;
+            const seconds = (new Date(point.timestamp) - new Date(prev.timestamp)) / 1000;
+            return seconds > 0 ? calculateDistance(prev.lat, prev.lng, point.lat, point.lng) / seconds * 3.6 : null;
+        }
+        case 'altitude':
+            return typeof point.altitude === 'number' ? point.altitude : null;
+        case 'accuracy':
+            return typeof point.accuracy === 'number' ? point.accuracy : null;
+        case 'time':
+            return startTime !== null && point.timestamp ? (new Date(point.timestamp).getTime() - startTime) / 60000 : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * 色分けの範囲（上下の外れ値を除く）
+ * @param {Array<number|null>} values
+ * @returns {{min: number, max: number}|null} 値がなければnull
+ */
+function getTrackColorRange(values) {
+    const sorted = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+    if (sorted.length === 0) return null;
+
+    const cut = Math.floor(sorted.length * TRACK_COLOR_RANGE_PERCENTILE);
+    const min = sorted[cut];
+    const max = sorted[sorted.length - 1 - cut];
+    return { min, max: max > min ? max : min + 1 };
+}
 
+/**
+ * 値の色の段階（値がなければ最後の段階）
+ * @param {number|null} value
+ * @param {{min: number, max: number}|null} range
+ * @returns {number} colorTrackLinesのインデックス
+ */
+function getTrackColorBin(value, range) {
+    if (value === null || !range || !isFinite(value)) return TRACK_COLOR_RAMP.length;
+    const bin = Math.floor((value - range.min) / (range.max - range.min) * TRACK_COLOR_RAMP.length);
+    return Math.min(TRACK_COLOR_RAMP.length - 1, Math.max(0, bin));
 }
 
 /**
- * 写真マーカーを地図上に表示
+ * 凡例を更新（単色のときは隠す）
+ * @param {string} mode
+ * @param {{min: number, max: number}|null} range
+ * @param {boolean} hasNoValue - 値のない区間があるかどうか
+ */
+function updateTrackColorLegend(mode, range, hasNoValue) {
+    const container = colorLegend && colorLegend.getContainer();
+    if (!container) return;
+
+    const modeInfo = TRACK_COLOR_MODES[mode];
+    if (mode === 'none' || !modeInfo) {
+        container.classList.add('hidden');
+        return;
+    }
+
+    const format = value => `${value.toFixed(mode === 'speed' ? 1 : 0)} ${modeInfo.unit}`;
+    container.innerHTML = `
+        <div class="track-color-legend-title">${modeInfo.label}</div>
+        <div class="track-color-legend-bar" style="background: linear-gradient(to right, ${TRACK_COLOR_RAMP.join(', ')});"></div>
+        <div class="track-color-legend-range">
+            <span>${range ? format(range.min) : '-'}</span><span>${range ? format(range.max) : '-'}</span>
+        </div>
+        ${hasNoValue ? `<div class="track-color-legend-none"><span style="background: ${trackNoValueColor()};"></span>値なし</div>` : ''}
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * 値のない区間の色（ルートの色が指定されていればその色）
+ * @returns {string}
+ */
+function trackNoValueColor() {
+    return trackRouteColor || TRACK_COLOR_NO_VALUE;
+}
+
+/**
+ * トラックの点列を区間に分ける（色分けの経過時間はトラックの最初の点から数える）
+ * @param {Array} points
+ * @param {Array<number>} [segmentStarts]
+ * @returns {Array<{points: Array, startTime: number|null}>}
+ */
+function toTrackSegments(points, segmentStarts) {
+    const first = points && points[0];
+    const startTime = first && first.timestamp ? new Date(first.timestamp).getTime() : null;
+    return splitTrackSegments(points, segmentStarts).map(segmentPoints => ({ points: segmentPoints, startTime }));
+}
+
+/**
+ * 線に新しいパーツ（複数線の1本）を追加
+ * @param {L.Polyline} line
+ * @param {Object} point - パーツの最初の点
+ * @returns {Array<L.LatLng>} 追加したパーツ（addLatLngで点を追記する）
+ */
+function startTrackPart(line, point) {
+    const part = [L.latLng(point.lat, point.lng)];
+    line.getLatLngs().push(part);
+    return part;
+}
+
+/**
+ * 軌跡を描画（単色は1本の線、色分けは段階ごとの線）
+ * 色分けでは、点ごとの値で区間を段階に分け、同じ段階が続く部分を1本の線の1パーツにまとめる
+ * 最後の区間の描画状態をtrackRenderに残し、記録中はappendTrackPoint()でその続きに追記する
+ * @param {Array<{points: Array, startTime: number|null}>} segments - 区間ごとの点列
+ */
+function renderTrack(segments) {
+    if (!state.trackingPath) return;
+
+    const mode = TRACK_COLOR_MODES[state.trackColorMode] ? state.trackColorMode : 'none';
+    const lastSegment = segments[segments.length - 1];
+    trackRender = { mode, range: null, hasNoValue: false, part: null, bin: -1 };
+
+    if (mode === 'none') {
+        colorTrackLines.forEach(line => line.setLatLngs([]));
+        updateTrackColorLegend(mode, null, false);
+        state.trackingPath.setLatLngs(segments.map(segment => segment.points.map(point => [point.lat, point.lng])));
+        if (lastSegment && lastSegment.points.length > 0) {
+            const rings = state.trackingPath.getLatLngs();
+            trackRender.part = rings[rings.length - 1];
+        }
+        return;
+    }
+
+    const values = segments.map(segment => segment.points.map((point, i) => getTrackColorValue(mode, point, segment.points[i - 1], segment.startTime)));
+    const range = getTrackColorRange(values.flat());
+
+    // 点iの値で点i-1から点iまでを塗る
+    const binParts = colorTrackLines.map(() => []);
+    segments.forEach((segment, s) => {
+        const points = segment.points;
+        let part = null;
+        let partBin = -1;
+        for (let i = 1; i < points.length; i++) {
+            const bin = getTrackColorBin(values[s][i], range);
+            if (bin !== partBin) {
+                part = [[points[i - 1].lat, points[i - 1].lng]];
+                binParts[bin].push(part);
+                partBin = bin;
+            }
+            part.push([points[i].lat, points[i].lng]);
+        }
+        if (segment === lastSegment) trackRender.bin = partBin;
+    });
+
+    state.trackingPath.setLatLngs([]);
+    colorTrackLines[TRACK_COLOR_RAMP.length].setStyle({ color: trackNoValueColor() });
+    colorTrackLines.forEach((line, bin) => line.setLatLngs(binParts[bin]));
+    if (trackRender.bin >= 0) {
+        const parts = colorTrackLines[trackRender.bin].getLatLngs();
+        trackRender.part = parts[parts.length - 1];
+    }
+    trackRender.range = range;
+    trackRender.hasNoValue = binParts[TRACK_COLOR_RAMP.length].length > 0;
+    updateTrackColorLegend(mode, range, trackRender.hasNoValue);
+}
+
+/**
+ * 記録中の軌跡に1点を追記（renderTrack()で描いた最後の区間の続き）
+ * 色分けの範囲は描き直すまで変えず、点の段階が直前と同じならその線のパーツに、違えば新しいパーツに追加する
+ * @param {Object} point
+ * @param {Object|null} prev - 同じ区間の直前の点（区間の最初の点ならnull）
+ * @param {number|null} startTime - トラックの最初の点の時刻（ミリ秒）
+ */
+function appendTrackPoint(point, prev, startTime) {
+    if (!prev) {
+        // 区間の最初の点は次の点と結ぶときに線にする
+        trackRender.part = null;
+        trackRender.bin = -1;
+        return;
+    }
+
+    if (trackRender.mode === 'none') {
+        if (!trackRender.part) trackRender.part = startTrackPart(state.trackingPath, prev);
+        state.trackingPath.addLatLng([point.lat, point.lng], trackRender.part);
+        return;
+    }
+
+    const bin = getTrackColorBin(getTrackColorValue(trackRender.mode, point, prev, startTime), trackRender.range);
+    const line = colorTrackLines[bin];
+    if (bin !== trackRender.bin || !trackRender.part) {
+        trackRender.part = startTrackPart(line, prev);
+        trackRender.bin = bin;
+    }
+    line.addLatLng([point.lat, point.lng], trackRender.part);
+
+    if (bin === TRACK_COLOR_RAMP.length && !trackRender.hasNoValue) {
+        trackRender.hasNoValue = true;
+        updateTrackColorLegend(trackRender.mode, trackRender.range, true);
+    }
+}
+
+/**
+ * 開いているルートの写真マーカーを地図上に表示
  * @param {Function} onMarkerClick - マーカークリック時のコールバック
  */
 export async function displayPhotoMarkers(onMarkerClick, color = null) {
@@ -196,7 +551,7 @@ export async function displayPhotoMarkers(onMarkerClick, color = null) {
         state.photoMarkers.forEach(marker => state.map.removeLayer(marker));
         state.clearPhotoMarkers();
 
-        const allPhotos = await getAllPhotos();
+        const allPhotos = await getRoutePhotos(state.currentRouteId);
 
 
         let markerCount = 0;
@@ -236,31 +591,68 @@ export async function displayPhotoMarkers(onMarkerClick, color = null) {
  */
 export function clearMapData(options = { keepExternal: false }) {
     if (state.trackingPath) {
-        state.trackingPath.setLatLngs([]);
         state.trackingPath.setStyle({ color: '#000080' });
     }
+    storedTrackSegments = [];
+    trackRouteColor = null;
+    liveTrack = null;
+    renderTrack([]);
 
     state.photoMarkers.forEach(marker => state.map.removeLayer(marker));
     state.clearPhotoMarkers();
 
+    state.waypointMarkers.forEach(marker => state.map.removeLayer(marker));
+    state.clearWaypointMarkers();
+
     state.routeMarkers.forEach(marker => state.map.removeLayer(marker));
     state.clearRouteMarkers();
 
     if (!options.keepExternal) {
         state.externalLayers.forEach(layer => state.map.removeLayer(layer));
         state.clearExternalLayers();
+        externalLayerGroups.clear();
     }
 }
 
 /**
  * 軌跡を更新
+ * 区間ごとに別の線として描画し、一時停止中の空白を直線で結ばない
+ * 色分けが選ばれていれば、保存済みトラックと合わせて記録中も色分けで描画する
+ * 前回描画した記録の続きなら、新しい点だけを追記する（色分けの範囲は描き直すまで変えない）
  * @param {Array} points - 位置データ配列
+ * @param {Array<number>} [segmentStarts] - 区間の開始インデックス
  */
-export function updateTrackingPath(points) {
-    if (state.trackingPath) {
-        const latlngs = points.map(point => [point.lat, point.lng]);
-        state.trackingPath.setLatLngs(latlngs);
+export function updateTrackingPath(points, segmentStarts) {
+    // 色分けの範囲が決まっていない・描き直してから点の数が倍になったときは全体を描き直す（範囲を今の記録に合わせる）
+    const canAppend = liveTrack && trackRender && points.length > 0 &&
+        points[0] === liveTrack.firstPoint && points.length >= liveTrack.count &&
+        points.length < liveTrack.renderedCount * 2 &&
+        trackRender.mode === (TRACK_COLOR_MODES[state.trackColorMode] ? state.trackColorMode : 'none') &&
+        (trackRender.mode === 'none' || trackRender.range);
+
+    if (canAppend) {
+        const starts = new Set(segmentStarts || []);
+        const startTime = points[0].timestamp ? new Date(points[0].timestamp).getTime() : null;
+        for (let i = liveTrack.count; i < points.length; i++) {
+            appendTrackPoint(points[i], starts.has(i) ? null : points[i - 1], startTime);
+        }
+        liveTrack = { ...liveTrack, points, segmentStarts, count: points.length };
+        return;
     }
+
+    liveTrack = points.length > 0
+        ? { points, segmentStarts, firstPoint: points[0], count: points.length, renderedCount: points.length }
+        : null;
+    redrawTrack();
+}
+
+/**
+ * 保存済みトラックと記録中の軌跡を合わせて全体を描き直す
+ */
+function redrawTrack() {
+    const live = liveTrack ? toTrackSegments(liveTrack.points.slice(0, liveTrack.count), liveTrack.segmentStarts) : [];
+    if (liveTrack) liveTrack.renderedCount = liveTrack.count;
+    renderTrack([...storedTrackSegments, ...live]);
 }
 
 /**
@@ -319,6 +711,41 @@ export function removePhotoMarker(photoId) {
     }
 }
 
+/**
+ * ウェイポイントマーカーを1つ追加
+ * @param {Object} waypoint - {name, category, note, location, timestamp}
+ */
+export function addWaypointMarker(waypoint) {
+    if (!state.map || !waypoint.location) return;
+
+    const def = WAYPOINT_CATEGORIES[waypoint.category] || WAYPOINT_CATEGORIES[DEFAULT_WAYPOINT_CATEGORY];
+    const marker = L.marker([waypoint.location.lat, waypoint.location.lng], {
+        icon: createWaypointIcon(waypoint.category),
+        title: `${waypoint.name} (${def.label})`
+    }).addTo(state.map);
+
+    const note = waypoint.note ? `<br>${escapeXml(waypoint.note)}` : '';
+    marker.bindPopup(`<b>${escapeXml(waypoint.name)}</b> (${def.label})<br>${new Date(waypoint.timestamp).toLocaleString('ja-JP')}${note}`);
+    marker.waypointId = waypoint.id;
+
+    state.addWaypointMarker(marker);
+}
+
+/**
+ * 開いているルートのウェイポイントマーカーを地図上に表示
+ */
+export async function displayWaypointMarkers() {
+    try {
+        state.waypointMarkers.forEach(marker => state.map.removeLayer(marker));
+        state.clearWaypointMarkers();
+
+        const waypoints = await getRouteWaypoints(state.currentRouteId);
+        waypoints.forEach(waypoint => addWaypointMarker(waypoint));
+    } catch (error) {
+        console.error('ウェイポイントマーカー表示エラー:', error);
+    }
+}
+
 /**
  * 開始マーカーを表示
  * @param {number} lat - 緯度
@@ -355,18 +782,24 @@ export function removeCurrentMarker() {
 /**
  * 外部GeoJSONデータを表示
  * @param {Object} geoJson - GeoJSONデータ
+ * @param {Object} [options]
+ * @param {number|null} [options.externalId] - 外部データのID（指定するとレイヤー管理で表示・色を切り替えられる）
+ * @param {string|null} [options.color] - 線・ポイントの色（省略時は既定の色）
+ * @param {boolean} [options.visible=true] - 地図に表示するかどうか
+ * @param {boolean} [options.fit=true] - データの範囲に合わせてズームするかどうか
  */
-export function displayExternalGeoJSON(geoJson) {
+export function displayExternalGeoJSON(geoJson, { externalId = null, color = null, visible = true, fit = true } = {}) {
     if (!state.map) return;
 
     try {
+        const group = L.featureGroup();
         const layer = L.geoJSON(geoJson, {
             // ポイントデータの表示スタイル設定
             pointToLayer: function (feature, latlng) {
                 return L.circleMarker(latlng, {
                     radius: 6,
-                    fillColor: "#0055ff",
-                    color: "#0055ff",
+                    fillColor: color || DEFAULT_EXTERNAL_COLOR,
+                    color: color || DEFAULT_EXTERNAL_COLOR,
                     weight: 2,
                     opacity: 1,
                     fillOpacity: 0.8
@@ -374,7 +807,7 @@ export function displayExternalGeoJSON(geoJson) {
             },
             style: function (feature) {
                 return {
-                    color: '#0055ff',
+                    color: color || DEFAULT_EXTERNAL_COLOR,
                     weight: 4,
                     opacity: 0.7,
                     fillOpacity: 0.7
@@ -459,14 +892,12 @@ export function displayExternalGeoJSON(geoJson) {
                     }
                 }
             }
-        }).addTo(state.map);
-
-        state.addExternalLayer(layer);
+        }).addTo(group);
 
         // トラックの開始・終了マーカーを追加
-        const trackColor = '#4682b4';
+        const trackColor = color || '#4682b4';
         let allTrackPoints = [];
-        geoJson.features.forEach(feature => {
+        (geoJson.features || []).forEach(feature => {
             if (!feature.geometry) return;
             if (feature.geometry.type === 'LineString') {
                 allTrackPoints = allTrackPoints.concat(feature.geometry.coordinates);
@@ -478,22 +909,27 @@ export function displayExternalGeoJSON(geoJson) {
             const startCoord = allTrackPoints[0];
             const endCoord = allTrackPoints[allTrackPoints.length - 1];
 
-            const startMarker = L.marker([startCoord[1], startCoord[0]], {
+            L.marker([startCoord[1], startCoord[0]], {
                 icon: createSquareIcon(trackColor), title: 'Start Point', zIndexOffset: 1000
-            }).addTo(state.map);
-            state.addExternalLayer(startMarker);
+            }).addTo(group);
 
             const historyPoints = allTrackPoints.map(p => ({ lat: p[1], lng: p[0] }));
             const heading = calculateHeading({ lat: endCoord[1], lng: endCoord[0] }, historyPoints);
-            const endMarker = L.marker([endCoord[1], endCoord[0]], {
+            L.marker([endCoord[1], endCoord[0]], {
                 icon: createArrowIcon(heading, trackColor), title: 'End Point', zIndexOffset: 1000
-            }).addTo(state.map);
-            state.addExternalLayer(endMarker);
+            }).addTo(group);
+        }
+
+        if (visible) group.addTo(state.map);
+        state.addExternalLayer(group);
+        if (externalId !== null) {
+            removeExternalLayer(externalId);
+            externalLayerGroups.set(externalId, group);
         }
 
         // データの範囲に合わせてズーム
         const bounds = layer.getBounds();
-        if (bounds.isValid()) {
+        if (visible && fit && bounds.isValid()) {
             state.map.fitBounds(bounds, { padding: [50, 50] });
         }
     } catch (error) {
@@ -502,6 +938,48 @@ export function displayExternalGeoJSON(geoJson) {
     }
 }
 
+/**
+ * 外部データの表示・非表示を切り替え
+ * @param {number} externalId
+ * @param {boolean} visible
+ */
+export function setExternalLayerVisible(externalId, visible) {
+    const group = externalLayerGroups.get(externalId);
+    if (!group || !state.map) return;
+    if (visible) {
+        group.addTo(state.map);
+    } else {
+        state.map.removeLayer(group);
+    }
+}
+
+/**
+ * 外部データの範囲に合わせてズーム
+ * @param {number} externalId
+ * @returns {boolean} ズームしたかどうか（範囲がなければfalse）
+ */
+export function fitExternalLayer(externalId) {
+    const group = externalLayerGroups.get(externalId);
+    if (!group || !state.map) return false;
+
+    const bounds = group.getBounds();
+    if (!bounds.isValid()) return false;
+    state.map.fitBounds(bounds, { padding: [50, 50] });
+    return true;
+}
+
+/**
+ * 外部データを地図から取り除く（削除・色を変えて表示し直すとき）
+ * @param {number} externalId
+ */
+export function removeExternalLayer(externalId) {
+    const group = externalLayerGroups.get(externalId);
+    if (!group) return;
+    if (state.map) state.map.removeLayer(group);
+    state.removeExternalLayer(group);
+    externalLayerGroups.delete(externalId);
+}
+
 /**
  * 箕面緊急ポイントを地図に表示
  */
@@ -556,15 +1034,15 @@ export function clearEmergencyPoints() {
 export function displayAllTracks(tracks, color = null) {
     if (!state.map || !tracks || !state.trackingPath) return;
 
-    const allPoints = [];
+    // トラック・区間ごとに分けて描画（トラック間・区間間は線で結ばない）
+    const segments = [];
     tracks.forEach(track => {
-        if (track.points && track.points.length > 0) {
-            track.points.forEach(p => allPoints.push([p.lat, p.lng]));
-        }
+        segments.push(...toTrackSegments(track.points, track.segmentStarts));
     });
 
-    if (allPoints.length > 0) {
-        state.trackingPath.setLatLngs(allPoints);
-        if (color) state.trackingPath.setStyle({ color });
-    }
+    storedTrackSegments = segments;
+    trackRouteColor = color;
+    liveTrack = null;
+    renderTrack(segments);
+    if (segments.length > 0 && color) state.trackingPath.setStyle({ color });
 }
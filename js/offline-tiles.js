@@ -0,0 +1,375 @@
+// RouteLogger - オフライン地図（地図タイルの事前ダウンロード）
+// 表示中の範囲、または外部データのルート周辺のタイルを、表示中の背景地図・重ねる地図についてダウンロードし、
+// Cache Storage（OFFLINE_TILE_CACHE_NAME）に保存する。オフライン時はservice-worker.jsがこのキャッシュから返す
+// ダウンロードした範囲とタイルのURLはtile_areasストアに記録し、範囲を削除するときは他の範囲で使っていないタイルだけを削除する
+// タイルはCache Storageに保存するため、データの暗号化（encryption.js）の対象外
+
+import { BASE_LAYERS, OVERLAY_LAYERS, MAP_MIN_ZOOM, MAP_MAX_ZOOM, OFFLINE_TILE_CACHE_NAME, OFFLINE_TILE_MAX_COUNT, OFFLINE_TILE_CONCURRENCY, OFFLINE_ROUTE_BUFFER_M } from './config.js';
+import * as state from './state.js';
+import { getAllExternalData, saveTileArea, getAllTileAreas, deleteTileArea } from './db.js';
+import { listReferenceCandidates } from './route-guide.js';
+import { getStorageEstimate } from './storage-quota.js';
+import { formatDataSize } from './utils.js';
+import { updateStatus, showOfflineMapsDialog, updateOfflineAreaList, setOfflineDownloadProgress, closeOfflineMapsDialog, closeSettingsDialog } from './ui.js';
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+// ダイアログに表示している外部データのルート
+let routeCandidates = [];
+// ダウンロード中ならtrue、中止が要求されたらcancelRequestedをtrueにする
+let isDownloading = false;
+let cancelRequested = false;
+
+function lngToTileX(lng, zoom) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
+}
+
+function latToTileY(lat, zoom) {
+    const rad = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * Math.pow(2, zoom));
+}
+
+/**
+ * 表示中の背景地図と重ねる地図
+ * @returns {Array<{key: string, layer: Object}>}
+ */
+function getVisibleLayers() {
+    const layers = [{ key: state.mapBaseLayer, layer: BASE_LAYERS[state.mapBaseLayer] }];
+    state.mapOverlayLayers.forEach(key => layers.push({ key, layer: OVERLAY_LAYERS[key] }));
+    return layers.filter(item => item.layer);
+}
+
+/**
+ * レイヤーのタイルが提供されているズームに範囲を絞る（範囲外のズームでは提供範囲のタイルを拡大・縮小して表示するため）
+ * @returns {Array<number>} ダウンロードするズームの一覧
+ */
+function layerZooms(layer, minZoom, maxZoom) {
+    const from = Math.max(minZoom, layer.minNativeZoom ?? MAP_MIN_ZOOM);
+    const to = Math.min(maxZoom, layer.maxNativeZoom ?? MAP_MAX_ZOOM);
+    const zooms = [];
+    for (let z = from; z <= to; z++) zooms.push(z);
+    return zooms;
+}
+
+/**
+ * 緯度経度の範囲に含まれるタイルを追加
+ * @param {Set<string>} urls
+ * @param {string} template - タイルURLのテンプレート
+ * @param {number} zoom
+ * @param {{south: number, west: number, north: number, east: number}} bounds
+ */
+function addTilesInBounds(urls, template, zoom, bounds) {
+    const max = Math.pow(2, zoom) - 1;
+    const clamp = value => Math.min(max, Math.max(0, value));
+    const xFrom = clamp(lngToTileX(bounds.west, zoom));
+    const xTo = clamp(lngToTileX(bounds.east, zoom));
+    const yFrom = clamp(latToTileY(bounds.north, zoom));
+    const yTo = clamp(latToTileY(bounds.south, zoom));
+    for (let x = xFrom; x <= xTo; x++) {
+        for (let y = yFrom; y <= yTo; y++) {
+            urls.add(template.replace('{z}', zoom).replace('{x}', x).replace('{y}', y));
+        }
+    }
+}
+
+/**
+ * 点の周囲bufferMの範囲
+ */
+function boundsAround(lat, lng, bufferM) {
+    const dLat = bufferM / METERS_PER_DEGREE_LAT;
+    const dLng = bufferM / (METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180));
+    return { south: lat - dLat, west: lng - dLng, north: lat + dLat, east: lng + dLng };
+}
+
+/**
+ * ルートに沿って、bufferMの半分以下の間隔で点を取る
+ * MultiLineStringの線の間は点を取らない
+ * @param {Array<Array>} parts - 線ごとのGeoJSONの座標 [lng, lat]
+ * @param {number} bufferM
+ * @returns {Array<{lat: number, lng: number}>}
+ */
+function sampleRoute(parts, bufferM) {
+    const spacingM = Math.max(1, bufferM / 2);
+    const samples = [];
+    parts.forEach(coordinates => sampleLine(coordinates, spacingM, samples));
+    return samples;
+}
+
+/**
+ * 1本の線に沿ってspacingM以下の間隔で点を取り、samplesに追加する
+ * @param {Array} coordinates - GeoJSONの座標 [lng, lat]
+ * @param {number} spacingM
+ * @param {Array<{lat: number, lng: number}>} samples
+ */
+function sampleLine(coordinates, spacingM, samples) {
+    for (let i = 0; i < coordinates.length; i++) {
+        const [lng, lat] = coordinates[i];
+        samples.push({ lat, lng });
+        if (i === coordinates.length - 1) break;
+
+        const [nextLng, nextLat] = coordinates[i + 1];
+        const dy = (nextLat - lat) * METERS_PER_DEGREE_LAT;
+        const dx = (nextLng - lng) * METERS_PER_DEGREE_LAT * Math.cos(lat * Math.PI / 180);
+        const steps = Math.floor(Math.hypot(dx, dy) / spacingM);
+        for (let s = 1; s <= steps; s++) {
+            const t = s / (steps + 1);
+            samples.push({ lat: lat + (nextLat - lat) * t, lng: lng + (nextLng - lng) * t });
+        }
+    }
+}
+
+/**
+ * ダウンロードする範囲のタイルURLの一覧を作る
+ * @param {Object} request - ダイアログの入力 {source: 'view'|ルートの番号, bufferM, minZoom, maxZoom}
+ * @returns {{bounds: Object, layers: Array<{key: string, layer: Object}>, tiles: Array<string>, estimatedBytes: number}}
+ */
+function planDownload(request) {
+    const layers = getVisibleLayers();
+    let bounds;
+    let addTiles;
+
+    if (request.source === 'view') {
+        const view = state.map.getBounds();
+        bounds = { south: view.getSouth(), west: view.getWest(), north: view.getNorth(), east: view.getEast() };
+        addTiles = (urls, template, zoom) => addTilesInBounds(urls, template, zoom, bounds);
+    } else {
+        const candidate = routeCandidates[request.source];
+        if (!candidate) throw new Error('ルートが見つかりません');
+        const bufferM = request.bufferM > 0 ? request.bufferM : OFFLINE_ROUTE_BUFFER_M;
+        const samples = sampleRoute(candidate.parts, bufferM);
+        const around = samples.map(p => boundsAround(p.lat, p.lng, bufferM));
+        bounds = around.reduce((all, b) => ({
+            south: Math.min(all.south, b.south),
+            west: Math.min(all.west, b.west),
+            north: Math.max(all.north, b.north),
+            east: Math.max(all.east, b.east)
+        }));
+        addTiles = (urls, template, zoom) => around.forEach(b => addTilesInBounds(urls, template, zoom, b));
+    }
+
+    let estimatedBytes = 0;
+    const tiles = new Set();
+    layers.forEach(({ layer }) => {
+        const before = tiles.size;
+        layerZooms(layer, request.minZoom, request.maxZoom).forEach(zoom => addTiles(tiles, layer.url, zoom));
+        estimatedBytes += (tiles.size - before) * (layer.tileKB || 20) * 1024;
+    });
+
+    return { bounds, layers, tiles: [...tiles], estimatedBytes };
+}
+
+/**
+ * 入力に対するタイル数と容量の見積もり（ダイアログに表示）
+ * @param {Object} request
+ * @returns {string}
+ */
+function estimateDownload(request) {
+    try {
+        const plan = planDownload(request);
+        const layerNames = plan.layers.map(item => item.layer.label).join('・');
+        const over = plan.tiles.length > OFFLINE_TILE_MAX_COUNT ? `（上限${OFFLINE_TILE_MAX_COUNT}枚を超えています）` : '';
+        return `${layerNames}: ${plan.tiles.length}枚・約${formatDataSize(plan.estimatedBytes)}${over}`;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+/**
+ * タイルをダウンロードしてキャッシュに保存（保存済みのタイルはダウンロードしない）
+ * @param {Array<string>} urls
+ * @param {function(number, number): void} onProgress
+ * @returns {Promise<{bytes: number, saved: Array<string>, failed: number}>}
+ */
+async function downloadTiles(urls, onProgress) {
+    const cache = await caches.open(OFFLINE_TILE_CACHE_NAME);
+    const saved = [];
+    let bytes = 0;
+    let failed = 0;
+    let done = 0;
+    let next = 0;
+
+    const worker = async () => {
+        while (next < urls.length && !cancelRequested) {
+            const url = urls[next++];
+            try {
+                let response = await cache.match(url);
+                if (!response) {
+                    const fetched = await fetch(url, { mode: 'cors' });
+                    // タイルのない場所（海上など）は404になるので保存しない
+                    if (fetched.ok) {
+                        await cache.put(url, fetched.clone());
+                        response = fetched;
+                    } else if (fetched.status !== 404) {
+                        failed++;
+                    }
+                }
+                if (response) {
+                    bytes += (await response.blob()).size;
+                    saved.push(url);
+                }
+            } catch (e) {
+                failed++;
+            }
+            onProgress(++done, urls.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: OFFLINE_TILE_CONCURRENCY }, worker));
+    return { bytes, saved, failed };
+}
+
+/**
+ * 範囲を指定してダウンロードし、範囲を記録する
+ * @param {Object} request - {name, source, bufferM, minZoom, maxZoom}
+ */
+async function handleDownload(request) {
+    if (isDownloading) {
+        // ダウンロード中のボタンは中止ボタンを兼ねる
+        cancelRequested = true;
+        return;
+    }
+    if (!('caches' in window)) {
+        alert('このブラウザではオフライン地図を保存できません。');
+        return;
+    }
+    if (!navigator.onLine) {
+        alert('オフラインのためダウンロードできません。');
+        return;
+    }
+
+    let plan;
+    try {
+        plan = planDownload(request);
+    } catch (e) {
+        alert(e.message);
+        return;
+    }
+    if (plan.tiles.length === 0) {
+        alert('ダウンロードするタイルがありません。ズームの範囲を確認してください。');
+        return;
+    }
+    if (plan.tiles.length > OFFLINE_TILE_MAX_COUNT) {
+        alert(`タイルが${plan.tiles.length}枚あり、上限（${OFFLINE_TILE_MAX_COUNT}枚）を超えています。範囲を狭くするか、最大ズームを下げてください。`);
+        return;
+    }
+
+    const estimate = await getStorageEstimate();
+    const available = estimate ? `\n端末の空き容量: ${formatDataSize(estimate.available)}` : '';
+    if (!confirm(`${plan.tiles.length}枚・約${formatDataSize(plan.estimatedBytes)}のタイルをダウンロードします。${available}\nモバイル通信の場合は通信量に注意してください。`)) {
+        return;
+    }
+
+    isDownloading = true;
+    cancelRequested = false;
+    try {
+        const result = await downloadTiles(plan.tiles, (done, total) => {
+            setOfflineDownloadProgress(`ダウンロード中... (${done}/${total})`, true);
+        });
+
+        if (result.saved.length > 0) {
+            await saveTileArea({
+                name: request.name || new Date().toLocaleString('ja-JP'),
+                bounds: plan.bounds,
+                minZoom: request.minZoom,
+                maxZoom: request.maxZoom,
+                layers: plan.layers.map(item => item.key),
+                tiles: result.saved,
+                bytes: result.bytes,
+                createdAt: new Date().toISOString()
+            });
+        }
+
+        const failedNote = result.failed > 0 ? `（${result.failed}枚は失敗）` : '';
+        const message = cancelRequested
+            ? `中止しました。保存したタイル: ${result.saved.length}枚${failedNote}`
+            : `${result.saved.length}枚・${formatDataSize(result.bytes)}を保存しました${failedNote}`;
+        setOfflineDownloadProgress(message, false);
+        updateStatus(`オフライン地図: ${message}`);
+    } catch (error) {
+        console.error('オフライン地図のダウンロードエラー:', error);
+        setOfflineDownloadProgress('', false);
+        alert('オフライン地図のダウンロードに失敗しました: ' + error.message);
+    } finally {
+        isDownloading = false;
+        cancelRequested = false;
+    }
+    await refreshAreaList();
+}
+
+/**
+ * 範囲を削除し、他の範囲で使っていないタイルをキャッシュから削除
+ * @param {Object} area
+ */
+async function handleDelete(area) {
+    if (isDownloading) {
+        alert('ダウンロード中は削除できません。');
+        return;
+    }
+    if (!confirm(`オフライン地図「${area.name}」を削除しますか？`)) return;
+
+    try {
+        const areas = await getAllTileAreas();
+        const inUse = new Set(areas.filter(a => a.id !== area.id).flatMap(a => a.tiles || []));
+        const cache = await caches.open(OFFLINE_TILE_CACHE_NAME);
+        for (const url of area.tiles || []) {
+            if (!inUse.has(url)) await cache.delete(url);
+        }
+        await deleteTileArea(area.id);
+        updateStatus(`オフライン地図を削除しました: ${area.name}`);
+    } catch (error) {
+        console.error('オフライン地図の削除エラー:', error);
+        alert('オフライン地図の削除に失敗しました: ' + error.message);
+    }
+    await refreshAreaList();
+}
+
+/**
+ * 範囲を地図に表示
+ * @param {Object} area
+ */
+function handleShow(area) {
+    const { south, west, north, east } = area.bounds;
+    closeOfflineMapsDialog();
+    state.map.fitBounds([[south, west], [north, east]]);
+}
+
+/**
+ * 保存した範囲の一覧（新しい順）と、一覧の表示・操作に使う情報
+ */
+async function getAreaListContent() {
+    const areas = (await getAllTileAreas()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const layerLabels = Object.fromEntries(
+        Object.entries({ ...BASE_LAYERS, ...OVERLAY_LAYERS }).map(([key, layer]) => [key, layer.label])
+    );
+    return { areas, layerLabels, onShow: handleShow, onDelete: handleDelete };
+}
+
+async function refreshAreaList() {
+    try {
+        updateOfflineAreaList(await getAreaListContent());
+    } catch (error) {
+        console.error('オフライン地図の取得エラー:', error);
+    }
+}
+
+/**
+ * オフライン地図ダイアログを表示（設定ダイアログから開く）
+ */
+export async function showOfflineMaps() {
+    try {
+        closeSettingsDialog();
+        routeCandidates = listReferenceCandidates(await getAllExternalData());
+        showOfflineMapsDialog({
+            ...(await getAreaListContent()),
+            routeNames: routeCandidates.map(candidate => candidate.name),
+            defaultBufferM: OFFLINE_ROUTE_BUFFER_M,
+            currentZoom: state.map.getZoom(),
+            isDownloading,
+            onEstimate: estimateDownload,
+            onDownload: handleDownload
+        });
+    } catch (error) {
+        console.error('オフライン地図の取得エラー:', error);
+        alert('オフライン地図の一覧を取得できませんでした: ' + error.message);
+    }
+}
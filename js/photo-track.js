@@ -0,0 +1,204 @@
+// RouteLogger - 写真とトラックの対応付け
+// 写真ごとにトラックID・最寄りのトラック点のインデックス・トラック始点からの距離を記録し、
+// 写真一覧をルート上の順に並べたり、位置情報のない写真をトラック上に配置したりする
+
+import { PHOTO_TRACK_TIME_MARGIN_SEC } from './config.js';
+import * as state from './state.js';
+import { getAllPhotos, getRouteTracks, updatePhoto } from './db.js';
+import { calculateDistance } from './utils.js';
+
+/**
+ * トラック始点から各点までの累積距離（メートル）
+ * 一時停止で分かれた区間の間は距離に含めない
+ * @param {Array} points - 位置データ配列
+ * @param {Array<number>} [segmentStarts] - 各区間の開始インデックス
+ * @returns {Array<number>}
+ */
+export function calculateCumulativeDistances(points, segmentStarts = [0]) {
+    const starts = new Set(segmentStarts || []);
+    const distances = [];
+    let total = 0;
+    (points || []).forEach((point, i) => {
+        if (i > 0 && !starts.has(i)) {
+            const prev = points[i - 1];
+            total += calculateDistance(prev.lat, prev.lng, point.lat, point.lng);
+        }
+        distances.push(total);
+    });
+    return distances;
+}
+
+/**
+ * トラック上の位置（写真レコードに保存する形）
+ * @param {Object} track
+ * @param {number} pointIndex
+ * @returns {{trackId: number, trackPointIndex: number, distanceFromStart: number}}
+ */
+function toTrackPosition(track, pointIndex) {
+    const distances = calculateCumulativeDistances(track.points.slice(0, pointIndex + 1), track.segmentStarts);
+    return {
+        trackId: track.id,
+        trackPointIndex: pointIndex,
+        distanceFromStart: Math.round(distances[pointIndex])
+    };
+}
+
+/**
+ * 撮影時刻に最も近いトラック点を探す（トラックの記録時間内の写真のみ）
+ * @param {Array} tracks
+ * @param {number} time - 撮影時刻（ミリ秒）
+ * @returns {{track: Object, index: number}|null}
+ */
+function findNearestPointByTime(tracks, time) {
+    const margin = PHOTO_TRACK_TIME_MARGIN_SEC * 1000;
+    let best = null;
+    let bestDiff = Infinity;
+
+    tracks.forEach(track => {
+        const points = track.points || [];
+        if (points.length === 0 || !points[0].timestamp) return;
+        const first = new Date(points[0].timestamp).getTime();
+        const last = new Date(points[points.length - 1].timestamp).getTime();
+        if (time < first - margin || time > last + margin) return;
+
+        points.forEach((point, index) => {
+            if (!point.timestamp) return;
+            const diff = Math.abs(new Date(point.timestamp).getTime() - time);
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                best = { track, index };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * 撮影地点に最も近いトラック点を探す
+ * @param {Array} tracks
+ * @param {{lat: number, lng: number}} location
+ * @returns {{track: Object, index: number}|null}
+ */
+function findNearestPointByLocation(tracks, location) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    tracks.forEach(track => {
+        (track.points || []).forEach((point, index) => {
+            const distance = calculateDistance(location.lat, location.lng, point.lat, point.lng);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { track, index };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * 写真に対応するトラック上の位置を求める
+ * 往復ルートで行きと帰りを取り違えないよう、撮影時刻で探せる場合は時刻を優先し、なければ撮影地点で探す
+ * @param {Object} photo - 写真レコード
+ * @param {Array} tracks - ルートのトラック
+ * @returns {{trackId: number, trackPointIndex: number, distanceFromStart: number}|null}
+ */
+export function findPhotoTrackPosition(photo, tracks) {
+    const candidates = (tracks || []).filter(track => track.id !== undefined && track.points && track.points.length > 0);
+    if (candidates.length === 0) return null;
+
+    const time = photo.timestamp ? new Date(photo.timestamp).getTime() : NaN;
+    let nearest = !isNaN(time) ? findNearestPointByTime(candidates, time) : null;
+    if (!nearest && photo.location) {
+        nearest = findNearestPointByLocation(candidates, photo.location);
+    }
+    return nearest ? toTrackPosition(nearest.track, nearest.index) : null;
+}
+
+/**
+ * 撮影した写真のトラック上の位置を求める
+ * 記録中は記録中のトラックの最新の点、記録していなければ開いているルートのトラックから探す
+ * @param {{lat: number, lng: number}|null} location - 撮影地点
+ * @param {string} timestamp - 撮影時刻
+ * @returns {Promise<{trackId: number, trackPointIndex: number, distanceFromStart: number}|null>}
+ */
+export async function locatePhotoOnTrack(location, timestamp) {
+    if (state.isTracking && state.currentTrackId && state.trackingData.length > 0) {
+        return toTrackPosition({
+            id: state.currentTrackId,
+            points: state.trackingData,
+            segmentStarts: state.trackingSegmentStarts
+        }, state.trackingData.length - 1);
+    }
+    if (state.currentRouteId === null) return null;
+
+    const tracks = await getRouteTracks(state.currentRouteId);
+    return findPhotoTrackPosition({ location, timestamp }, tracks);
+}
+
+/**
+ * トラック上の位置が未設定の写真（この機能の導入前の写真・読み込んだ写真）に位置を設定する
+ * 対応するトラックがない写真はtrackIdをnullにして、次回以降は対象にしない
+ * @returns {Promise<number>} 設定した件数
+ */
+export async function backfillPhotoTrackPositions() {
+    const photos = (await getAllPhotos()).filter(photo => photo.trackId === undefined);
+    if (photos.length === 0) return 0;
+
+    const tracksByRoute = new Map();
+    let count = 0;
+    for (const photo of photos) {
+        try {
+            const routeId = photo.routeId ?? null;
+            if (!tracksByRoute.has(routeId)) {
+                tracksByRoute.set(routeId, routeId !== null ? await getRouteTracks(routeId) : []);
+            }
+            const position = findPhotoTrackPosition(photo, tracksByRoute.get(routeId));
+            await updatePhoto({ ...photo, trackId: null, trackPointIndex: null, distanceFromStart: null, ...position });
+            if (position) count++;
+        } catch (e) {
+            console.warn('写真のトラック位置の設定エラー:', photo.id, e);
+        }
+    }
+    return count;
+}
+
+/**
+ * 写真をルート上の順（トラックの記録順 → トラック点の順）に並べる
+ * トラック上の位置がない写真は撮影時刻順で最後に並べる
+ * @param {Array} photos
+ * @param {Array} tracks - ルートのトラック
+ * @returns {Array} 並べ替えた新しい配列
+ */
+export function sortPhotosAlongRoute(photos, tracks) {
+    const trackOrder = new Map(
+        [...(tracks || [])]
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+            .map((track, i) => [track.id, i])
+    );
+    const key = photo => trackOrder.has(photo.trackId) && photo.trackPointIndex !== null && photo.trackPointIndex !== undefined
+        ? [trackOrder.get(photo.trackId), photo.trackPointIndex]
+        : [Infinity, 0];
+
+    return [...photos].sort((a, b) => {
+        const [trackA, indexA] = key(a);
+        const [trackB, indexB] = key(b);
+        if (trackA !== trackB) return trackA - trackB;
+        if (indexA !== indexB) return indexA - indexB;
+        return String(a.timestamp).localeCompare(String(b.timestamp));
+    });
+}
+
+/**
+ * エクスポート用の写真の位置
+ * 撮影時に位置が取れなかった写真は、対応するトラック点の位置を使う
+ * @param {Object} photo
+ * @param {Array} tracks - ルートのトラック
+ * @returns {{lat: number, lng: number}|null}
+ */
+export function getPhotoExportLocation(photo, tracks) {
+    if (photo.location) return photo.location;
+
+    const track = (tracks || []).find(t => t.id === photo.trackId);
+    const point = track && track.points ? track.points[photo.trackPointIndex] : null;
+    return point ? { lat: point.lat, lng: point.lng } : null;
+}
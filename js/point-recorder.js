@@ -0,0 +1,112 @@
+// RouteLogger - 記録中の測位値1つを記録点にする処理
+// 外れ値除去・平滑化 → 自動一時停止の判定 → 記録間隔・距離の条件 → 記録点と移動統計の更新 の順に行う
+// 記録中の状態（state）だけを更新し、地図・画面・書き込みは呼び出し側（tracking.js updatePosition）で行う
+
+import * as state from './state.js';
+import { calculateDistance, encodePointMeta } from './utils.js';
+import { filterPosition } from './gps-filter.js';
+import { detectAutoPause } from './auto-pause.js';
+import { addPointToTripStats } from './trip-stats.js';
+
+/**
+ * 測位値を判定し、記録する場合は記録点を追加する
+ * 自動一時停止・再開の切り替わりはトラックのイベントに残し、state.isAutoPausedを切り替える
+ * @param {GeolocationPosition} position
+ * @returns {{filtered: Object, transition: Object|null, point: Object|null}}
+ *   filtered: filterPosition()の戻り値、transition: 自動一時停止・再開の切り替わり、point: 記録した点（記録しなければnull）
+ */
+export function recordPosition(position) {
+    const { accuracy, altitude, altitudeAccuracy } = position.coords;
+    const currentTime = position.timestamp || Date.now();
+    const policy = state.activeRecordingPolicy || state.getRecordingPolicy();
+
+    // 外れ値除去・平滑化（除外された測位は診断リストに残る）
+    const filtered = filterPosition(position, policy);
+
+    // 自動一時停止の判定（停止中も測位は続け、移動再開を検出する）
+    let transition = null;
+    if (filtered.accepted && state.isAutoPauseEnabled) {
+        transition = detectAutoPause({
+            lat: filtered.lat,
+            lng: filtered.lng,
+            accuracy,
+            speed: position.coords.speed,
+            time: currentTime
+        });
+        if (transition) {
+            applyAutoPauseTransition(transition);
+        }
+    }
+
+    if (!filtered.accepted || state.isAutoPaused || !shouldRecord(filtered, accuracy, currentTime, policy)) {
+        return { filtered, transition, point: null };
+    }
+
+    const point = {
+        lat: parseFloat(filtered.lat.toFixed(5)),
+        lng: parseFloat(filtered.lng.toFixed(5)),
+        altitude: altitude !== null ? parseFloat(altitude.toFixed(1)) : null,
+        timestamp: new Date(currentTime).toISOString(),
+        accuracy: parseFloat(accuracy.toFixed(1)),
+        altitudeAccuracy: altitudeAccuracy !== null ? parseFloat(altitudeAccuracy.toFixed(1)) : null,
+        ...encodePointMeta({
+            speed: position.coords.speed,
+            heading: position.coords.heading,
+            source: state.simulatedGeolocation ? 'simulated' : (filtered.smoothed ? 'filtered' : 'gps')
+        })
+    };
+
+    state.addTrackingPoint(point);
+    const pointIndex = state.trackingData.length - 1;
+    if (state.tripStats) {
+        addPointToTripStats(state.tripStats, point,
+            pointIndex > 0 && state.trackingSegmentStarts.includes(pointIndex));
+    }
+    state.setLastRecordedPoint({
+        lat: filtered.lat,
+        lng: filtered.lng,
+        time: currentTime
+    });
+
+    return { filtered, transition, point };
+}
+
+/**
+ * 記録間隔以上経過、または記録距離以上移動した場合に記録する
+ * ただし、距離条件はGPS精度より大きい移動のみ有効とする
+ * かつ、最低記録間隔は空ける（高頻度記録防止）
+ * @returns {boolean}
+ */
+function shouldRecord(filtered, accuracy, currentTime, policy) {
+    const last = state.lastRecordedPoint;
+    if (last === null) return true;
+
+    const elapsedSeconds = (currentTime - last.time) / 1000;
+    const distance = calculateDistance(last.lat, last.lng, filtered.lat, filtered.lng);
+    const significantMovement = distance >= policy.distanceM && distance > accuracy;
+    const isMinIntervalPassed = elapsedSeconds >= policy.minIntervalSec;
+
+    return isMinIntervalPassed && (elapsedSeconds >= policy.intervalSec || significantMovement);
+}
+
+/**
+ * 自動一時停止・再開の切り替わりをトラックのイベントに残し、状態を切り替える
+ * @param {{type: string, lat: number, lng: number, time: number}} transition
+ */
+function applyAutoPauseTransition(transition) {
+    state.addTrackingEvent({
+        type: transition.type,
+        timestamp: new Date(transition.time || Date.now()).toISOString(),
+        lat: parseFloat(transition.lat.toFixed(5)),
+        lng: parseFloat(transition.lng.toFixed(5)),
+        pointIndex: state.trackingData.length
+    });
+
+    if (transition.type === 'autoPause') {
+        state.setIsAutoPaused(true);
+    } else {
+        state.setIsAutoPaused(false);
+        // 再開後の最初の位置は間隔に関係なく記録する
+        state.setLastRecordedPoint(null);
+    }
+}
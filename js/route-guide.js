@@ -0,0 +1,244 @@
+// RouteLogger - 参照ルートとの比較（ルート外れ警告・残り距離）
+// 外部データ（externals）のLineString（MultiLineString）を1本選び、現在地からの横断距離と残り距離を求める
+
+import { OFF_ROUTE_CONFIRM_FIXES, OFF_ROUTE_REPEAT_SEC, ROUTE_PROGRESS_AHEAD_M, ROUTE_PROGRESS_BACK_M } from './config.js';
+import * as state from './state.js';
+import { getAllExternalData } from './db.js';
+import { updateRouteGuidePanel } from './ui.js';
+
+// 参照ルート {externalId, featureIndex, name, points: [{lat, lng}], partStarts: Set<number>, cumulative: [m], totalM}
+// MultiLineStringの各線はpointsに順に並べ、線の間（partStartsの点の手前）は線分にも距離にも含めない
+let referenceRoute = null;
+// ルート外れの判定状態
+let offRouteCount = 0;
+let isOffRoute = false;
+let lastAlertTime = 0;
+let audioContext = null;
+// ルート上で最後に確認した位置（始点からの距離m。まだ乗っていなければnull）
+let lastAlongM = null;
+
+/**
+ * 外部データからLineString・MultiLineStringを列挙
+ * 座標は線ごとの配列partsで返す（LineStringは1本、MultiLineStringは各線。点が2つ未満の線は除く）
+ * @param {Array} externalDataList - getAllExternalData()の戻り値
+ * @returns {Array<{externalId: number, featureIndex: number, name: string, parts: Array<Array>}>}
+ */
+export function listReferenceCandidates(externalDataList) {
+    const candidates = [];
+    externalDataList.forEach(item => {
+        if (item.type !== 'geojson' || !item.data || !item.data.features) return;
+        item.data.features.forEach((feature, featureIndex) => {
+            const geometry = feature.geometry;
+            if (!geometry) return;
+
+            let parts = [];
+            if (geometry.type === 'LineString') {
+                parts = [geometry.coordinates];
+            } else if (geometry.type === 'MultiLineString') {
+                parts = geometry.coordinates;
+            }
+            parts = (parts || []).filter(part => Array.isArray(part) && part.length >= 2);
+            if (parts.length === 0) return;
+
+            const featureName = feature.properties && feature.properties.name;
+            candidates.push({
+                externalId: item.id,
+                featureIndex,
+                name: featureName ? `${item.name} / ${featureName}` : `${item.name} #${featureIndex + 1}`,
+                parts
+            });
+        });
+    });
+    return candidates;
+}
+
+/**
+ * 参照ルートを設定（nullで解除）
+ * @param {{externalId: number, featureIndex: number, name: string, parts: Array<Array>}|null} candidate
+ */
+export function setReferenceRoute(candidate) {
+    offRouteCount = 0;
+    isOffRoute = false;
+    lastAlertTime = 0;
+    lastAlongM = null;
+
+    if (!candidate) {
+        referenceRoute = null;
+        updateRouteGuidePanel(null);
+        return;
+    }
+
+    const points = [];
+    const partStarts = new Set();
+    candidate.parts.forEach(part => {
+        partStarts.add(points.length);
+        part.forEach(c => points.push({ lat: c[1], lng: c[0] }));
+    });
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+        const length = partStarts.has(i) ? 0 : toLocal(points[i - 1], points[i]).length;
+        cumulative.push(cumulative[i - 1] + length);
+    }
+
+    referenceRoute = {
+        externalId: candidate.externalId,
+        featureIndex: candidate.featureIndex,
+        name: candidate.name,
+        points,
+        partStarts,
+        cumulative,
+        totalM: cumulative[cumulative.length - 1]
+    };
+}
+
+/**
+ * 現在の参照ルート（未設定ならnull）
+ * @returns {{externalId: number, featureIndex: number, name: string, totalM: number}|null}
+ */
+export function getReferenceRoute() {
+    return referenceRoute;
+}
+
+/**
+ * 保存済みの参照ルート指定を外部データから復元（起動時）
+ */
+export async function loadReferenceRoute() {
+    const saved = localStorage.getItem('routeLogger_referenceRoute');
+    if (!saved) return;
+
+    try {
+        const { externalId, featureIndex } = JSON.parse(saved);
+        const candidates = listReferenceCandidates(await getAllExternalData());
+        const candidate = candidates.find(c => c.externalId === externalId && c.featureIndex === featureIndex);
+        if (candidate) {
+            setReferenceRoute(candidate);
+        } else {
+            // 外部データが削除されている
+            localStorage.removeItem('routeLogger_referenceRoute');
+        }
+    } catch (e) {
+        console.error('参照ルート復元エラー:', e);
+    }
+}
+
+/**
+ * 2点間のローカル平面座標（m、aを原点とする東・北方向）
+ */
+function toLocal(a, b) {
+    const mPerDegLat = 111320;
+    const mPerDegLng = 111320 * Math.cos(a.lat * Math.PI / 180);
+    const x = (b.lng - a.lng) * mPerDegLng;
+    const y = (b.lat - a.lat) * mPerDegLat;
+    return { x, y, length: Math.hypot(x, y) };
+}
+
+/**
+ * 現在地と参照ルートを比較
+ * 最も近い線分への垂線の長さを横断距離とし、その足からルート終点までを残り距離とする
+ * MultiLineStringの線の間は線分として扱わない
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number|null} [fromAlongM=null] - 指定すると、この位置から後方ROUTE_PROGRESS_BACK_M・前方ROUTE_PROGRESS_AHEAD_Mの線分だけで探す
+ * @returns {{crossTrackM: number, alongM: number, remainingM: number}|null}
+ */
+export function measureAgainstRoute(lat, lng, fromAlongM = null) {
+    if (!referenceRoute) return null;
+
+    const position = { lat, lng };
+    const { points, partStarts, cumulative, totalM } = referenceRoute;
+    let best = null;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        if (partStarts.has(i + 1)) continue;
+        if (fromAlongM !== null &&
+            (cumulative[i + 1] < fromAlongM - ROUTE_PROGRESS_BACK_M || cumulative[i] > fromAlongM + ROUTE_PROGRESS_AHEAD_M)) {
+            continue;
+        }
+        const segment = toLocal(points[i], points[i + 1]);
+        const toPosition = toLocal(points[i], position);
+        const lengthSq = segment.x * segment.x + segment.y * segment.y;
+        const t = lengthSq > 0
+            ? Math.max(0, Math.min(1, (toPosition.x * segment.x + toPosition.y * segment.y) / lengthSq))
+            : 0;
+        const distance = Math.hypot(toPosition.x - t * segment.x, toPosition.y - t * segment.y);
+
+        if (!best || distance < best.crossTrackM) {
+            best = { crossTrackM: distance, alongM: cumulative[i] + t * segment.length };
+        }
+    }
+    if (!best) return null;
+
+    return { ...best, remainingM: Math.max(0, totalM - best.alongM) };
+}
+
+/**
+ * 測位ごとに参照ルートと比較し、ルート外れを判定・警告する
+ * 閾値超えがOFF_ROUTE_CONFIRM_FIXES回続いたら警告し、外れている間はOFF_ROUTE_REPEAT_SEC秒ごとに繰り返す
+ * 閾値の8割以内に戻ったら復帰とする（境界付近での警告の連発を防ぐ）
+ * 進み具合は前回の位置の前後だけで探し、その範囲で外れているときだけルート全体から探し直す
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} accuracy - 測位精度（精度より小さい外れは判定しない）
+ */
+export function checkOffRoute(lat, lng, accuracy) {
+    if (!referenceRoute) return;
+
+    const threshold = Math.max(state.offRouteThresholdM, accuracy || 0);
+    const nearby = lastAlongM === null ? null : measureAgainstRoute(lat, lng, lastAlongM);
+    let result = nearby;
+    if (!nearby || nearby.crossTrackM > threshold) {
+        // ルート上の別の場所にいる（近道・途中から歩き始めたなど）ときは、そこから数え直す
+        const nearest = measureAgainstRoute(lat, lng);
+        if (!nearby || nearest.crossTrackM <= threshold) result = nearest;
+    }
+    if (!result) return;
+    if (result.crossTrackM <= threshold) lastAlongM = result.alongM;
+
+    if (result.crossTrackM > threshold) {
+        offRouteCount++;
+        if (offRouteCount >= OFF_ROUTE_CONFIRM_FIXES) {
+            const now = Date.now();
+            if (!isOffRoute || now - lastAlertTime >= OFF_ROUTE_REPEAT_SEC * 1000) {
+                raiseOffRouteAlert();
+                lastAlertTime = now;
+            }
+            isOffRoute = true;
+        }
+    } else if (result.crossTrackM <= threshold * 0.8) {
+        offRouteCount = 0;
+        isOffRoute = false;
+    }
+
+    updateRouteGuidePanel({ ...result, isOffRoute, name: referenceRoute.name });
+}
+
+/**
+ * ルート外れの警告（振動・警告音。表示はパネル側で行う）
+ */
+function raiseOffRouteAlert() {
+    if ('vibrate' in navigator) {
+        navigator.vibrate([300, 150, 300]);
+    }
+
+    try {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return;
+        if (!audioContext) audioContext = new AudioCtx();
+        if (audioContext.state === 'suspended') audioContext.resume();
+
+        // 短い警告音を2回
+        [0, 0.35].forEach(offset => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = 880;
+            gain.gain.value = 0.2;
+            oscillator.connect(gain);
+            gain.connect(audioContext.destination);
+            oscillator.start(audioContext.currentTime + offset);
+            oscillator.stop(audioContext.currentTime + offset + 0.2);
+        });
+    } catch (e) {
+        console.warn('警告音の再生に失敗しました:', e);
+    }
+}
@@ -0,0 +1,236 @@
+// RouteLogger - ルートライブラリ（記録・読み込んだルートを個別に保存し、開く・名前変更・削除する）
+// トラック・写真・ウェイポイントはrouteIdでルートに属する。地図に表示するのは開いているルートのみ
+
+import * as state from './state.js';
+import {
+    createRoute, updateRoute, getRoute, getAllRoutes, deleteRoute,
+    getRouteTracks, getRoutePhotos, getRouteWaypoints,
+    restoreTrack, savePhoto, saveWaypoint
+} from './db.js';
+import { calculateTripStats } from './trip-stats.js';
+import { calculateHeading, formatDateTime } from './utils.js';
+import { displayAllTracks, clearMapData, displayPhotoMarkers, displayWaypointMarkers, addStartMarker, addEndMarker } from './map.js';
+import { updateStatus, showPhotoFromMarker, showRouteLibraryDialog, closeRouteLibraryDialog, showDocNameDialog } from './ui.js';
+
+// ルートの入手元ごとの軌跡の色（記録したルートは既定の色）
+const ROUTE_SOURCE_COLORS = {
+    imported: '#000080',
+    cloud: '#00BFFF'
+};
+
+/**
+ * 開いているルートを設定（再読み込み後も同じルートを開く）
+ * @param {number|null} routeId
+ */
+function setCurrentRoute(routeId) {
+    state.setCurrentRouteId(routeId);
+    if (routeId === null) {
+        localStorage.removeItem('routeLogger_currentRoute');
+    } else {
+        localStorage.setItem('routeLogger_currentRoute', routeId);
+    }
+}
+
+/**
+ * 記録用の新しいルートを作成して開いているルートにする
+ * @param {Date} startDate - 記録開始日時
+ * @returns {Promise<number>} ルートID
+ */
+export async function createRecordingRoute(startDate) {
+    const timestamp = formatDateTime(startDate);
+    const routeId = await createRoute({
+        name: `RLog ${timestamp.replace('T', ' ')}`,
+        timestamp,
+        source: 'recorded'
+    });
+    setCurrentRoute(routeId);
+    return routeId;
+}
+
+/**
+ * トラック・写真・ウェイポイントからルートの統計を作り直して保存
+ * @param {number} routeId
+ * @returns {Promise<Object|null>} 更新後のルート
+ */
+export async function refreshRouteStats(routeId) {
+    const route = await getRoute(routeId);
+    if (!route) return null;
+
+    const [tracks, photos, waypoints] = await Promise.all([
+        getRouteTracks(routeId), getRoutePhotos(routeId), getRouteWaypoints(routeId)
+    ]);
+    const trip = calculateTripStats(tracks);
+
+    route.stats = {
+        distanceM: Math.round(trip.distanceM),
+        elapsedTimeSec: Math.round(trip.elapsedTimeSec),
+        movingTimeSec: Math.round(trip.movingTimeSec),
+        ascentM: Math.round(trip.ascentM),
+        descentM: Math.round(trip.descentM),
+        totalPoints: tracks.reduce((sum, track) => sum + (track.points ? track.points.length : 0), 0),
+        photoCount: photos.length,
+        waypointCount: waypoints.length
+    };
+    // 移行したルートなどで日時がない場合は最初のトラックの日時を使う
+    if (!route.timestamp && tracks.length > 0) {
+        route.timestamp = tracks.map(track => track.timestamp).filter(Boolean).sort()[0] || null;
+    }
+
+    await updateRoute(route);
+    return route;
+}
+
+/**
+ * 読み込んだデータを新しいルートとして保存（既存のルートはそのまま）
+ * @param {string} name - ルート名
+ * @param {{tracks: Array, photos: Array, waypoints: Array}} data
+ * @param {string} [source='imported'] - 'imported' | 'cloud'
+ * @returns {Promise<number>} ルートID
+ */
+export async function importRoute(name, data, source = 'imported') {
+    const tracks = data.tracks || [];
+    const firstTimestamp = tracks.map(track => track.timestamp).filter(Boolean).sort()[0] || null;
+    const routeId = await createRoute({ name, timestamp: firstTimestamp, source });
+
+    for (const track of tracks) {
+        await restoreTrack({ ...track, routeId });
+    }
+    for (const photo of data.photos || []) {
+        const { id, ...record } = photo;
+        await savePhoto({ ...record, routeId });
+    }
+    for (const waypoint of data.waypoints || []) {
+        const { id, ...record } = waypoint;
+        await saveWaypoint({ ...record, trackId: null, routeId });
+    }
+
+    await refreshRouteStats(routeId);
+    return routeId;
+}
+
+/**
+ * ルートを開いて地図に表示（他のルートの表示は消す）
+ * @param {number|null} routeId - nullの場合は何も開かない
+ * @param {Object} [options]
+ * @param {boolean} [options.fit=true] - ルート全体が見えるように地図を動かす
+ * @returns {Promise<Object|null>} 開いたルート
+ */
+export async function openRoute(routeId, { fit = true } = {}) {
+    const route = routeId !== null ? await getRoute(routeId) : null;
+    clearMapData({ keepExternal: true });
+    setCurrentRoute(route ? route.id : null);
+    if (!route) return null;
+
+    const color = ROUTE_SOURCE_COLORS[route.source] || null;
+    const tracks = await getRouteTracks(route.id);
+    displayAllTracks(tracks, color);
+
+    const allPoints = tracks.flatMap(track => track.points || []);
+    if (allPoints.length > 0) {
+        // 読み込んだルートは開始/終了マーカーも表示
+        if (color) {
+            const startPt = allPoints[0];
+            const endPt = allPoints[allPoints.length - 1];
+            addStartMarker(startPt.lat, startPt.lng, color);
+            addEndMarker(endPt.lat, endPt.lng, calculateHeading(endPt, allPoints), color);
+        }
+        if (fit && state.map) {
+            state.map.fitBounds(allPoints.map(p => [p.lat, p.lng]), { padding: [30, 30] });
+        }
+    }
+
+    await displayPhotoMarkers(showPhotoFromMarker, color);
+    await displayWaypointMarkers();
+    return route;
+}
+
+/**
+ * 起動時に前回開いていたルートを開く（なければ最新のルート）
+ * @returns {Promise<Object|null>}
+ */
+export async function openLastRoute() {
+    const savedId = parseInt(localStorage.getItem('routeLogger_currentRoute'));
+    const routes = await getAllRoutes();
+    let route = routes.find(r => r.id === savedId);
+    if (!route && routes.length > 0) {
+        route = sortRoutes(routes)[0];
+    }
+    return openRoute(route ? route.id : null, { fit: false });
+}
+
+/**
+ * 新しい順に並べる（日時のないルートは作成日時で比べる）
+ */
+function sortRoutes(routes) {
+    const key = (route) => route.timestamp || route.createdAt || '';
+    return [...routes].sort((a, b) => key(b).localeCompare(key(a)));
+}
+
+/**
+ * ルート一覧ダイアログを表示
+ */
+export async function showRouteLibrary() {
+    try {
+        const routes = await getAllRoutes();
+        // 統計のないルート（移行したルート）は一覧を開くときに計算する
+        for (let i = 0; i < routes.length; i++) {
+            if (!routes[i].stats) {
+                routes[i] = await refreshRouteStats(routes[i].id) || routes[i];
+            }
+        }
+
+        showRouteLibraryDialog(sortRoutes(routes), {
+            onOpen: handleOpen,
+            onRename: handleRename,
+            onDelete: handleDelete
+        });
+    } catch (error) {
+        console.error('ルート一覧取得エラー:', error);
+        alert('ルート一覧の取得に失敗しました: ' + error.message);
+    }
+}
+
+async function handleOpen(route) {
+    if (state.isTracking) {
+        alert('GPS記録中は他のルートを開けません。記録を停止してから開いてください。');
+        return;
+    }
+    closeRouteLibraryDialog();
+    await openRoute(route.id);
+    updateStatus(`ルートを開きました: ${route.name}`);
+}
+
+async function handleRename(route) {
+    closeRouteLibraryDialog();
+    const name = await showDocNameDialog(route.name, 'Rename route');
+    if (name && name !== route.name) {
+        try {
+            await updateRoute({ ...route, name });
+            updateStatus(`ルート名を変更しました: ${name}`);
+        } catch (error) {
+            console.error('ルート名変更エラー:', error);
+            alert('ルート名の変更に失敗しました: ' + error.message);
+        }
+    }
+    await showRouteLibrary();
+}
+
+async function handleDelete(route) {
+    if (state.isTracking && route.id === state.currentRouteId) {
+        alert('記録中のルートは削除できません。');
+        return;
+    }
+    if (!confirm(`ルート「${route.name}」をごみ箱に移しますか？\nトラック・写真・ウェイポイントも一緒に移します。`)) return;
+
+    try {
+        await deleteRoute(route.id);
+        if (route.id === state.currentRouteId) {
+            await openRoute(null);
+        }
+        updateStatus(`ルートをごみ箱に移しました: ${route.name}`);
+    } catch (error) {
+        console.error('ルート削除エラー:', error);
+        alert('ルートの削除に失敗しました: ' + error.message);
+    }
+    await showRouteLibrary();
+}
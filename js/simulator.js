@@ -0,0 +1,253 @@
+// RouteLogger - GPSシミュレーション（記録済み・読み込んだルートの再生）
+// navigator.geolocation と同じ形のオブジェクトを作り、watchPosition経由でupdatePositionに測位値を渡す
+
+import { calculateDistance } from './utils.js';
+
+// 時刻のない点列を再生するときの想定速度（km/h、徒歩）
+const DEFAULT_SPEED_KMH = 4;
+// 再生時の最短の発火間隔（ms、倍速が大きいときに測位間隔を広げる）
+const MIN_EMIT_INTERVAL_MS = 100;
+
+/**
+ * GPX / KML / KMZ ファイルから点列を読み込む
+ * KMLは gx:Track（時刻付き）を優先し、なければ LineString の座標を使う
+ * @param {File} file
+ * @returns {Promise<Array<{lat: number, lng: number, altitude: number|null, timestamp: string|null}>>}
+ */
+export async function parseTrackFile(file) {
+    const name = file.name.toLowerCase();
+    let text;
+    if (name.endsWith('.kmz') || name.endsWith('.zip')) {
+        const zip = await JSZip.loadAsync(file);
+        const kmlFile = Object.values(zip.files).find(f => f.name.endsWith('.kml'));
+        if (!kmlFile) throw new Error('KMZファイル内にKMLが見つかりません。');
+        text = await kmlFile.async('string');
+    } else {
+        text = await file.text();
+    }
+
+    const dom = new DOMParser().parseFromString(text, 'text/xml');
+    const points = name.endsWith('.gpx') ? parseGpx(dom) : parseKml(dom);
+    if (points.length < 2) {
+        throw new Error('ファイルに再生できるルート（2点以上）がありません。');
+    }
+    return points;
+}
+
+function parseGpx(dom) {
+    let nodes = [...dom.getElementsByTagName('trkpt')];
+    if (nodes.length === 0) nodes = [...dom.getElementsByTagName('rtept')];
+    return nodes.map(node => {
+        const ele = node.getElementsByTagName('ele')[0];
+        const time = node.getElementsByTagName('time')[0];
+        return {
+            lat: parseFloat(node.getAttribute('lat')),
+            lng: parseFloat(node.getAttribute('lon')),
+            altitude: ele ? parseFloat(ele.textContent) : null,
+            timestamp: time ? time.textContent.trim() : null
+        };
+    }).filter(p => !isNaN(p.lat) && !isNaN(p.lng));
+}
+
+function parseKml(dom) {
+    // gx:Track（when と gx:coord が対になる）
+    const whens = [...dom.getElementsByTagName('when')];
+    const coords = [...dom.getElementsByTagName('gx:coord')];
+    if (coords.length > 1 && coords.length === whens.length) {
+        return coords.map((node, i) => {
+            const [lng, lat, alt] = node.textContent.trim().split(/\s+/).map(parseFloat);
+            return { lat, lng, altitude: isNaN(alt) ? null : alt, timestamp: whens[i].textContent.trim() };
+        }).filter(p => !isNaN(p.lat) && !isNaN(p.lng));
+    }
+
+    const points = [];
+    for (const line of dom.getElementsByTagName('LineString')) {
+        const coordsText = line.getElementsByTagName('coordinates')[0]?.textContent.trim() || '';
+        coordsText.split(/\s+/).filter(s => s.trim()).forEach(coord => {
+            const [lng, lat, alt] = coord.split(',').map(parseFloat);
+            if (!isNaN(lat) && !isNaN(lng)) {
+                points.push({ lat, lng, altitude: isNaN(alt) || alt === 0 ? null : alt, timestamp: null });
+            }
+        });
+    }
+    return points;
+}
+
+/**
+ * 合成ルート（指定地点を起点に一周する多角形）を作成
+ * @param {{lat: number, lng: number}} origin - 起点
+ * @param {Object} [options]
+ * @param {number} [options.lengthM=2000] - 一周の距離（m）
+ * @param {number} [options.vertices=12] - 頂点数
+ * @returns {Array<{lat: number, lng: number, altitude: number, timestamp: null}>}
+ */
+export function createSyntheticPath(origin, { lengthM = 2000, vertices = 12 } = {}) {
+    const radius = lengthM / (2 * Math.PI);
+    const mPerDegLat = 111320;
+    const mPerDegLng = 111320 * Math.cos(origin.lat * Math.PI / 180);
+    // 起点が円周上に来るよう、中心を南にずらす
+    const center = { lat: origin.lat - radius / mPerDegLat, lng: origin.lng };
+
+    const points = [];
+    for (let i = 0; i <= vertices; i++) {
+        const angle = (i / vertices) * 2 * Math.PI;
+        points.push({
+            lat: center.lat + (radius * Math.cos(angle)) / mPerDegLat,
+            lng: center.lng + (radius * Math.sin(angle)) / mPerDegLng,
+            altitude: 100 + 20 * Math.sin(angle),
+            timestamp: null
+        });
+    }
+    return points;
+}
+
+/**
+ * 点列から再生する測位値の列を作成
+ * 点の間は直線補間し、fixIntervalSec（ルート上の時間）ごとに1つの測位値を作る
+ * @param {Array} points - {lat, lng, altitude, timestamp}
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - 再生倍速
+ * @param {number} [options.noiseM=0] - 位置に加える誤差の標準偏差（m）
+ * @param {number} [options.fixIntervalSec=1] - 測位間隔（ルート上の秒）
+ * @param {Function} [options.random=Math.random] - 乱数関数（再現性のある再生用）
+ * @returns {Array<{offsetMs: number, delayMs: number, coords: Object}>}
+ *   offsetMs: ルート上の経過時間、delayMs: 直前の測位値からの再生待ち時間
+ */
+export function buildSimulatedFixes(points, { speed = 1, noiseM = 0, fixIntervalSec = 1, random = Math.random } = {}) {
+    if (!points || points.length === 0) return [];
+
+    const times = routeTimes(points);
+    const step = Math.max(fixIntervalSec, (MIN_EMIT_INTERVAL_MS / 1000) * speed);
+    const duration = times[times.length - 1];
+
+    const fixes = [];
+    let segment = 0;
+    for (let t = 0; t <= duration; t += step) {
+        while (segment < points.length - 2 && times[segment + 1] < t) segment++;
+        const a = points[segment];
+        const b = points[Math.min(segment + 1, points.length - 1)];
+        const span = times[segment + 1] - times[segment];
+        const ratio = span > 0 ? Math.min(1, (t - times[segment]) / span) : 0;
+        const distance = calculateDistance(a.lat, a.lng, b.lat, b.lng);
+
+        const [dNorth, dEast] = noiseM > 0 ? gaussianPair(random).map(v => v * noiseM) : [0, 0];
+        const lat = a.lat + (b.lat - a.lat) * ratio + dNorth / 111320;
+        const lng = a.lng + (b.lng - a.lng) * ratio + dEast / (111320 * Math.cos(a.lat * Math.PI / 180));
+        const altitude = (a.altitude !== null && a.altitude !== undefined && b.altitude !== null && b.altitude !== undefined)
+            ? a.altitude + (b.altitude - a.altitude) * ratio
+            : null;
+
+        fixes.push({
+            offsetMs: t * 1000,
+            delayMs: fixes.length === 0 ? 0 : (step * 1000) / speed,
+            coords: {
+                latitude: lat,
+                longitude: lng,
+                altitude,
+                accuracy: Math.max(5, noiseM * 2),
+                altitudeAccuracy: altitude !== null ? 10 : null,
+                heading: distance > 0 ? bearing(a, b) : null,
+                speed: span > 0 ? distance / span : 0
+            }
+        });
+    }
+    return fixes;
+}
+
+/**
+ * 各点のルート上の経過秒を求める
+ * 時刻があればそれを使い、なければ想定速度で距離から求める
+ */
+function routeTimes(points) {
+    const hasTimes = points.every(p => p.timestamp && !isNaN(new Date(p.timestamp)));
+    const start = hasTimes ? new Date(points[0].timestamp).getTime() : 0;
+    const times = [0];
+    for (let i = 1; i < points.length; i++) {
+        if (hasTimes) {
+            times.push(Math.max(times[i - 1], (new Date(points[i].timestamp).getTime() - start) / 1000));
+        } else {
+            const d = calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+            times.push(times[i - 1] + d / (DEFAULT_SPEED_KMH / 3.6));
+        }
+    }
+    return times;
+}
+
+function gaussianPair(random) {
+    const u = Math.max(random(), Number.EPSILON);
+    const v = random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    return [r * Math.cos(2 * Math.PI * v), r * Math.sin(2 * Math.PI * v)];
+}
+
+function bearing(a, b) {
+    const toRad = Math.PI / 180;
+    const y = Math.sin((b.lng - a.lng) * toRad) * Math.cos(b.lat * toRad);
+    const x = Math.cos(a.lat * toRad) * Math.sin(b.lat * toRad) -
+        Math.sin(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.cos((b.lng - a.lng) * toRad);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
+/**
+ * navigator.geolocation 互換のシミュレーション用オブジェクトを作成
+ * clearWatch後に再びwatchPositionすると続きから再生する（一時停止・再開に対応）
+ * 測位時刻はルート上の時間で進める（倍速再生でも記録間隔の判定が実際と同じになる）
+ * @param {Array} fixes - buildSimulatedFixes()の戻り値
+ * @param {Function} [onEnd] - 最後まで再生したときのコールバック
+ * @returns {{watchPosition: Function, clearWatch: Function, getCurrentPosition: Function}}
+ */
+export function createSimulatedGeolocation(fixes, onEnd = null) {
+    let cursor = 0;
+    let timer = null;
+    let watchId = 0;
+    let baseTime = null;
+    let lastPosition = null;
+
+    const toPosition = (fix) => ({
+        coords: { ...fix.coords },
+        timestamp: baseTime + fix.offsetMs
+    });
+
+    const emitNext = (success) => {
+        if (cursor >= fixes.length) {
+            timer = null;
+            if (onEnd) onEnd();
+            return;
+        }
+        lastPosition = toPosition(fixes[cursor]);
+        cursor++;
+        success(lastPosition);
+        if (cursor < fixes.length) {
+            timer = setTimeout(() => emitNext(success), fixes[cursor].delayMs);
+        } else {
+            emitNext(success);
+        }
+    };
+
+    return {
+        watchPosition(success, error) {
+            if (timer) clearTimeout(timer);
+            if (cursor >= fixes.length) {
+                if (error) error({ code: 2, PERMISSION_DENIED: 1, POSITION_UNAVAILABLE: 2, TIMEOUT: 3, message: 'シミュレーションは終了しています' });
+                return ++watchId;
+            }
+            // 時刻が巻き戻らないよう、直前の測位時刻と現在時刻の遅い方から続ける
+            const resumeAt = Math.max(Date.now(), lastPosition ? lastPosition.timestamp + 1000 : 0);
+            baseTime = resumeAt - fixes[cursor].offsetMs;
+            timer = setTimeout(() => emitNext(success), 0);
+            return ++watchId;
+        },
+        clearWatch() {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        },
+        getCurrentPosition(success) {
+            if (lastPosition) {
+                success(lastPosition);
+            } else if (fixes.length > 0) {
+                baseTime = baseTime ?? Date.now();
+                success(toPosition(fixes[0]));
+            }
+        }
+    };
+}
@@ -1,5 +1,7 @@
 // RouteLogger - グローバル状態管理
 
+import { RECORDING_PROFILES, DEFAULT_RECORDING_PROFILE, DEFAULT_OFF_ROUTE_THRESHOLD_M, DEFAULT_BASE_LAYER, DEFAULT_OVERLAY_OPACITY, DEFAULT_TRACK_COLOR_MODE, GPS_REJECTED_FIX_MAX } from './config.js';
+
 // 地図関連
 export let map = null;
 export let currentMarker = null;
@@ -10,7 +12,9 @@ export let externalLayers = [];
 // GPS追跡関連
 export let watchId = null;
 export let isTracking = false;
+export let isPaused = false;
 export let trackingData = [];
+export let trackingSegmentStarts = [0]; // 区間（セグメント）の開始インデックス
 export let trackingStartTime = null;
 export let trackingStartDate = null;
 export let trackingStopDate = null;
@@ -18,6 +22,7 @@ export let lastRecordedPoint = null;
 export let currentHeading = 0;
 export let previousTotalPoints = 0;
 export let currentTrackId = null;
+export let currentRouteId = null; // 開いているルート（ルートライブラリのID）
 
 // Wake Lock
 export let wakeLock = null;
@@ -46,7 +51,9 @@ export function setTrackingPath(value) { trackingPath = value; }
 export function setPhotoMarkers(value) { photoMarkers = value; }
 export function setWatchId(value) { watchId = value; }
 export function setIsTracking(value) { isTracking = value; }
+export function setIsPaused(value) { isPaused = value; }
 export function setTrackingData(value) { trackingData = value; }
+export function setTrackingSegmentStarts(value) { trackingSegmentStarts = value; }
 export function setTrackingStartTime(value) { trackingStartTime = value; }
 export function setTrackingStartDate(value) { trackingStartDate = value; }
 export function setTrackingStopDate(value) { trackingStopDate = value; }
@@ -54,6 +61,7 @@ export function setLastRecordedPoint(value) { lastRecordedPoint = value; }
 export function setCurrentHeading(value) { currentHeading = value; }
 export function setPreviousTotalPoints(value) { previousTotalPoints = value; }
 export function setCurrentTrackId(value) { currentTrackId = value; }
+export function setCurrentRouteId(value) { currentRouteId = value; }
 export function setWakeLock(value) { wakeLock = value; }
 export function setCameraStream(value) { cameraStream = value; }
 
@@ -78,18 +86,85 @@ export function setIsShowFacingButtons(value) { isShowFacingButtons = value; }
 export let isMinooEmergencyEnabled = true;
 export function setIsMinooEmergencyEnabled(value) { isMinooEmergencyEnabled = value; }
 
+// 地図のレイヤー: 背景地図のキー（BASE_LAYERS）、重ねる地図のキーの配列（OVERLAY_LAYERS）と透明度
+export let mapBaseLayer = DEFAULT_BASE_LAYER;
+export function setMapBaseLayer(value) { mapBaseLayer = value; }
+export let mapOverlayLayers = [];
+export function setMapOverlayLayers(value) { mapOverlayLayers = value; }
+export let mapOverlayOpacity = DEFAULT_OVERLAY_OPACITY;
+export function setMapOverlayOpacity(value) { mapOverlayOpacity = value; }
+
+// 軌跡の色分け（TRACK_COLOR_MODESのキー）
+export let trackColorMode = DEFAULT_TRACK_COLOR_MODE;
+export function setTrackColorMode(value) { trackColorMode = value; }
+
 // 写真解像度: 0=720x1280, 1=360x640, 2=180x320
 export let photoResolutionLevel = 1;
 export function setPhotoResolutionLevel(value) { photoResolutionLevel = value; }
-export function getPhotoSize() {
+export function getPhotoSize(level = photoResolutionLevel) {
     const sizes = [
         { width: 720,  height: 1280 },
         { width: 360,  height: 640  },
         { width: 180,  height: 320  },
     ];
-    return sizes[photoResolutionLevel] || sizes[0];
+    return sizes[level] || sizes[0];
+}
+
+// GPS記録プロファイル: hiking, cycling, urban, custom
+export let recordingProfile = DEFAULT_RECORDING_PROFILE;
+export function setRecordingProfile(value) { recordingProfile = value; }
+
+// プロファイルごとのユーザー編集値 { hiking: { intervalSec, ... }, ... }
+export let recordingProfileOverrides = {};
+export function setRecordingProfileOverrides(value) { recordingProfileOverrides = value; }
+
+/**
+ * プロファイルの記録条件を取得（規定値にユーザー編集値を上書き）
+ * @param {string} [profile] - プロファイル名（省略時は選択中のプロファイル）
+ * @returns {{profile: string, intervalSec: number, distanceM: number, minIntervalSec: number, maxAccuracyM: number, maxSpeedKmh: number}}
+ */
+export function getRecordingPolicy(profile = recordingProfile) {
+    const key = RECORDING_PROFILES[profile] ? profile : DEFAULT_RECORDING_PROFILE;
+    const { label, ...defaults } = RECORDING_PROFILES[key];
+    return { profile: key, ...defaults, ...(recordingProfileOverrides[key] || {}) };
+}
+
+// GPS測位のカルマン平滑化
+export let isGpsSmoothingEnabled = false;
+export function setIsGpsSmoothingEnabled(value) { isGpsSmoothingEnabled = value; }
+
+// 自動一時停止（停止中は記録しない）
+export let isAutoPauseEnabled = false;
+export function setIsAutoPauseEnabled(value) { isAutoPauseEnabled = value; }
+export let isAutoPaused = false;
+export function setIsAutoPaused(value) { isAutoPaused = value; }
+
+// 省電力モード
+export let isBatterySaverEnabled = false;
+export function setIsBatterySaverEnabled(value) { isBatterySaverEnabled = value; }
+export let isBatterySaverWakeLockSkipped = false;
+export function setIsBatterySaverWakeLockSkipped(value) { isBatterySaverWakeLockSkipped = value; }
+
+// ルート外れ警告の閾値（m）
+export let offRouteThresholdM = DEFAULT_OFF_ROUTE_THRESHOLD_M;
+export function setOffRouteThresholdM(value) { offRouteThresholdM = value; }
+
+// GPSシミュレーション（設定時はnavigator.geolocationの代わりに使う）
+export let simulatedGeolocation = null;
+export function setSimulatedGeolocation(value) { simulatedGeolocation = value; }
+
+/**
+ * 測位元を取得（シミュレーション設定時はシミュレーション）
+ * @returns {Geolocation|Object|undefined}
+ */
+export function getGeolocation() {
+    return simulatedGeolocation || navigator.geolocation;
 }
 
+// 記録中のトラックに適用している記録条件（記録開始時に確定）
+export let activeRecordingPolicy = null;
+export function setActiveRecordingPolicy(value) { activeRecordingPolicy = value; }
+
 // JPEG品質: 60, 70, 80 (整数値、使用時に /100)
 export let photoQuality = 70;
 export function setPhotoQuality(value) { photoQuality = value; }
@@ -102,13 +177,59 @@ export function setThumbnailSize(value) { thumbnailSize = value; }
 export function addPhotoMarker(marker) { photoMarkers.push(marker); }
 export function clearPhotoMarkers() { photoMarkers = []; }
 
+// Waypoint Markers
+export let waypointMarkers = [];
+export function addWaypointMarker(marker) { waypointMarkers.push(marker); }
+export function clearWaypointMarkers() { waypointMarkers = []; }
+
 // Route/System Markers (Start, End, etc.)
 export let routeMarkers = [];
 export function addRouteMarker(marker) { routeMarkers.push(marker); }
 export function clearRouteMarkers() { routeMarkers = []; }
 
 export function addTrackingPoint(point) { trackingData.push(point); }
-export function resetTrackingData() { trackingData = []; }
+export function resetTrackingData() {
+    trackingData = [];
+    trackingSegmentStarts = [0];
+    rejectedFixes = [];
+    rejectedFixCounts = {};
+    trackingEvents = [];
+}
+
+// 記録中のトラックのイベント（autoPause / autoResume）
+export let trackingEvents = [];
+export function setTrackingEvents(value) { trackingEvents = value; }
+export function addTrackingEvent(event) { trackingEvents.push(event); }
+
+// 記録中セッションの移動統計（trip-stats.jsで逐次更新）
+export let tripStats = null;
+export function setTripStats(value) { tripStats = value; }
+
+// GPSフィルタで除外した測位（診断用、トラックと一緒に保存）
+// 測位は直近 GPS_REJECTED_FIX_MAX 件だけ残し、件数は理由ごとに rejectedFixCounts で数える
+export let rejectedFixes = [];
+export let rejectedFixCounts = {};
+export function setRejectedFixes(value) { rejectedFixes = value; }
+export function setRejectedFixCounts(value) { rejectedFixCounts = value; }
+export function addRejectedFix(fix) {
+    rejectedFixes.push(fix);
+    if (rejectedFixes.length > GPS_REJECTED_FIX_MAX) {
+        rejectedFixes.splice(0, rejectedFixes.length - GPS_REJECTED_FIX_MAX);
+    }
+    rejectedFixCounts[fix.reason] = (rejectedFixCounts[fix.reason] || 0) + 1;
+}
+
+/**
+ * 新しい区間を開始（再開時に呼び出す）
+ * 次に記録される点が新区間の先頭になる
+ */
+export function startNewSegment() {
+    const nextIndex = trackingData.length;
+    const lastStart = trackingSegmentStarts[trackingSegmentStarts.length - 1];
+    if (nextIndex > 0 && nextIndex !== lastStart) {
+        trackingSegmentStarts.push(nextIndex);
+    }
+}
 
 // Official Points Markers
 export let officialMarkers = [];
@@ -118,4 +239,5 @@ export function clearOfficialMarkers() { officialMarkers = []; }
 
 // External Layers
 export function addExternalLayer(layer) { externalLayers.push(layer); }
+export function removeExternalLayer(layer) { externalLayers = externalLayers.filter(l => l !== layer); }
 export function clearExternalLayers() { externalLayers = []; }
@@ -0,0 +1,126 @@
+// RouteLogger - ストレージ容量の監視（StorageManager）と古い写真の縮小
+// 写真が増えるとブラウザの割り当て容量を使い切るため、永続化の要求・残量の確認・写真の縮小で容量を確保する
+
+import { LOW_STORAGE_WARNING_BYTES } from './config.js';
+import * as state from './state.js';
+import { getAllPhotos, updatePhoto } from './db.js';
+import { canvasToBlob, loadImageFromBlob, formatDataSize } from './utils.js';
+
+/**
+ * StorageManagerが使えるかどうか
+ */
+function hasStorageManager() {
+    return typeof navigator !== 'undefined' && !!navigator.storage && typeof navigator.storage.estimate === 'function';
+}
+
+/**
+ * 永続ストレージを要求（起動時）
+ * 許可されるとブラウザが容量不足時にデータを自動削除しなくなる
+ * @returns {Promise<boolean|null>} 永続化されているかどうか（非対応ならnull）
+ */
+export async function requestPersistentStorage() {
+    if (!hasStorageManager() || typeof navigator.storage.persist !== 'function') return null;
+
+    try {
+        if (await navigator.storage.persisted()) return true;
+        const granted = await navigator.storage.persist();
+        if (!granted) {
+            console.warn('永続ストレージが許可されませんでした');
+        }
+        return granted;
+    } catch (e) {
+        console.warn('永続ストレージの要求に失敗しました:', e);
+        return null;
+    }
+}
+
+/**
+ * 使用容量と割り当て容量を取得
+ * @returns {Promise<{usage: number, quota: number, available: number, persisted: boolean|null}|null>} 非対応ならnull
+ */
+export async function getStorageEstimate() {
+    if (!hasStorageManager()) return null;
+
+    try {
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        const persisted = typeof navigator.storage.persisted === 'function'
+            ? await navigator.storage.persisted()
+            : null;
+        return { usage, quota, available: Math.max(0, quota - usage), persisted };
+    } catch (e) {
+        console.warn('ストレージ容量の取得に失敗しました:', e);
+        return null;
+    }
+}
+
+/**
+ * 記録開始前に空き容量を確認し、少ない場合は続けるかどうかを確認する
+ * @returns {Promise<boolean>} 記録を開始してよいかどうか
+ */
+export async function confirmStorageBeforeRecording() {
+    const estimate = await getStorageEstimate();
+    if (!estimate || estimate.available >= LOW_STORAGE_WARNING_BYTES) return true;
+
+    return confirm(
+        `端末の保存領域の空きが少なくなっています（残り ${formatDataSize(estimate.available)}）。\n` +
+        `写真や記録が保存できなくなる可能性があります。\n` +
+        `Sizeから古い写真を縮小するか、不要なルートを削除してごみ箱を空にしてください。\n\n` +
+        `このまま記録を開始しますか？`
+    );
+}
+
+/**
+ * 容量不足による保存エラーかどうか
+ * @param {Error|DOMException} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+    return !!error && (error.name === 'QuotaExceededError' || error.code === 22);
+}
+
+/**
+ * 古い写真を指定の解像度まで縮小して容量を空ける
+ * 記録中のルートの写真と、すでに指定の解像度以下の写真はそのまま
+ * @param {number} targetLevel - 縮小後の写真解像度（photoResolutionLevel）
+ * @param {number} olderThanDays - この日数より前に撮影した写真を対象にする（0ならすべて）
+ * @param {function(number, number): void} [onProgress] - (処理済み件数, 対象件数)
+ * @returns {Promise<{count: number, savedBytes: number}>}
+ */
+export async function shrinkOldPhotos(targetLevel, olderThanDays, onProgress) {
+    const { width, height } = state.getPhotoSize(targetLevel);
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+
+    const photos = (await getAllPhotos()).filter(photo =>
+        photo.blob &&
+        !(state.isTracking && photo.routeId === state.currentRouteId) &&
+        new Date(photo.timestamp).getTime() <= cutoff
+    );
+
+    let count = 0;
+    let savedBytes = 0;
+    for (let i = 0; i < photos.length; i++) {
+        const photo = photos[i];
+        try {
+            const img = await loadImageFromBlob(photo.blob);
+            const scale = Math.min(width / img.width, height / img.height);
+            if (scale < 1) {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                const blob = await canvasToBlob(canvas, 'image/jpeg', state.photoQuality / 100);
+
+                if (blob.size < photo.blob.size) {
+                    savedBytes += photo.blob.size - blob.size;
+                    await updatePhoto({ ...photo, blob });
+                    count++;
+                }
+            }
+        } catch (e) {
+            console.warn('写真の縮小に失敗しました:', photo.id, e);
+        }
+        if (onProgress) onProgress(i + 1, photos.length);
+    }
+
+    return { count, savedBytes };
+}
@@ -0,0 +1,101 @@
+// RouteLogger - 記録中トラックの書き込み
+// 記録した点は1点ごとに書き込まず、まとめてtrack_chunksストアに追記する（db.js appendTrackPoints）
+// 書き込むタイミング:
+//   - 未書き込みの点がTRACK_FLUSH_POINTS点になったとき
+//   - 未書き込みの最初の点からTRACK_FLUSH_INTERVAL_SEC秒たったとき
+//   - 画面が非表示になったとき・一時停止・自動一時停止・停止のとき
+//   - 画面が非表示の間は1点ごと（バックグラウンドではタイマーが止まることがあるため）
+// 異常終了（アプリの強制終了・電池切れなど）で失われるのは未書き込みの点だけで、画面表示中は通常
+// TRACK_FLUSH_POINTS - 1 点・TRACK_FLUSH_INTERVAL_SEC 秒分まで、非表示の間は書き込み中の点だけになる
+// 書き込みに失敗した点は次の書き込みでまとめて再度書き込む
+
+import { TRACK_FLUSH_POINTS, TRACK_FLUSH_INTERVAL_SEC } from './config.js';
+import * as state from './state.js';
+import { appendTrackPoints, compactTrackChunks } from './db.js';
+
+// 書き込み済みの点の数（state.trackingDataのうち先頭からこの数までは保存済み）
+let savedCount = 0;
+let flushTimer = null;
+// 書き込みを順に行うためのPromise（前の書き込みが終わってから次を書き込む）
+let writing = Promise.resolve();
+
+/**
+ * 書き込み状態をリセット（記録開始・復旧時）
+ * @param {number} [alreadySaved=0] - すでに保存されている点の数（復旧時は読み込んだ点の数）
+ */
+export function resetTrackWriter(alreadySaved = 0) {
+    clearFlushTimer();
+    savedCount = alreadySaved;
+}
+
+/**
+ * 記録した点を書き込み待ちにする（updatePositionで1点記録するごとに呼ぶ）
+ * 条件を満たせば書き込み、そうでなければ時間経過で書き込むようにタイマーを設定する
+ */
+export function queueTrackPoint() {
+    const pending = state.trackingData.length - savedCount;
+    if (pending >= TRACK_FLUSH_POINTS || (pending > 0 && document.visibilityState === 'hidden')) {
+        flushTrackPoints();
+    } else if (pending > 0 && !flushTimer) {
+        flushTimer = setTimeout(flushTrackPoints, TRACK_FLUSH_INTERVAL_SEC * 1000);
+    }
+}
+
+/**
+ * 未書き込みの点とトラックの区間・イベントなどを書き込む
+ * @returns {Promise<void>}
+ */
+export function flushTrackPoints() {
+    clearFlushTimer();
+    writing = writing
+        .then(writePendingPoints)
+        .catch(error => console.error('トラックの書き込みエラー:', error));
+    return writing;
+}
+
+/**
+ * 残りの点を書き込み、追記分をトラックにまとめる（記録停止時）
+ * @returns {Promise<void>}
+ */
+export async function finishTrackWriter() {
+    await flushTrackPoints();
+    if (!state.db || !state.currentTrackId) return;
+    try {
+        await compactTrackChunks(state.currentTrackId);
+    } catch (error) {
+        // まとめられなくても追記分は読み込み時につながるので、次回起動時にまとめる
+        console.error('トラックのまとめエラー:', error);
+    }
+}
+
+async function writePendingPoints() {
+    if (!state.db || !state.currentTrackId) return;
+
+    // 記録中にデータを初期化した場合など、点が減っていれば最初から書き直す
+    if (state.trackingData.length < savedCount) {
+        savedCount = 0;
+    }
+    const startIndex = savedCount;
+    const points = state.trackingData.slice(startIndex);
+
+    await appendTrackPoints({
+        id: state.currentTrackId,
+        routeId: state.currentRouteId,
+        timestamp: state.trackingStartTime,
+        segmentStarts: state.trackingSegmentStarts,
+        recordingPolicy: state.activeRecordingPolicy,
+        rejectedFixes: state.rejectedFixes,
+        rejectedFixCounts: state.rejectedFixCounts,
+        events: state.trackingEvents,
+        totalPoints: startIndex + points.length
+    }, points, startIndex);
+
+    savedCount = startIndex + points.length;
+}
+
+function clearFlushTimer() {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+}
@@ -1,12 +1,21 @@
 // RouteLogger - GPS追跡関連
 
-import { GPS_RECORD_INTERVAL_SEC, GPS_RECORD_DISTANCE_M } from './config.js';
 import * as state from './state.js';
 import { calculateDistance, formatDateTime } from './utils.js';
-import { initIndexedDB, getAllTracks, getAllPhotos, clearRouteLogData, saveLastPosition, saveTrackingDataRealtime, createInitialTrack } from './db.js';
+import { initIndexedDB, getRoute, getRouteTracks, getRoutePhotos, saveLastPosition, createInitialTrack, saveTrackingSession, clearTrackingSession } from './db.js';
 import { calculateTrackStats, calculateHeading } from './utils.js';
-import { updateCurrentMarker, updateTrackingPath, clearMapData, addStartMarker } from './map.js';
-import { updateStatus, updateCoordinates, updateDataSizeIfOpen, showClearDataDialog, updateUiForTrackingState } from './ui.js';
+import { resetGpsFilter, getRejectedFixCounts } from './gps-filter.js';
+import { resetTrackWriter, queueTrackPoint, flushTrackPoints, finishTrackWriter } from './track-writer.js';
+import { createTripStats, calculateTripStats } from './trip-stats.js';
+import { resetAutoPause } from './auto-pause.js';
+import { recordPosition } from './point-recorder.js';
+import { checkOffRoute } from './route-guide.js';
+import { createRecordingRoute, refreshRouteStats } from './route-library.js';
+import { confirmStorageBeforeRecording } from './storage-quota.js';
+import { getSamplingOptions, getSamplingMode, shouldHoldWakeLock, resetBatterySaver, evaluateSamplingLevel } from './battery-saver.js';
+import { BATTERY_SAVER_LOW_INTERVAL_SEC, TRIP_STATS_REFRESH_SEC } from './config.js';
+import { updateCurrentMarker, updateTrackingPath, clearMapData, addStartMarker, displayAllTracks } from './map.js';
+import { updateStatus, updateCoordinates, updateDataSizeIfOpen, showClearDataDialog, updateUiForTrackingState, updateTripStatsPanel } from './ui.js';
 
 /**
  * Wake Lockを取得（画面スリープ防止）
@@ -71,7 +80,12 @@ export async function handleVisibilityChange() {
         if (activeEl && activeEl !== document.body) {
             activeEl.blur();
         }
-    } else if (document.visibilityState === 'visible' && state.isTracking) {
+
+        // バックグラウンドで終了されても記録した点が残るよう、未書き込みの点を書き込む
+        if (state.isTracking) {
+            await flushTrackPoints();
+        }
+    } else if (document.visibilityState === 'visible' && state.isTracking && !state.isPaused && shouldHoldWakeLock()) {
         await requestWakeLock();
     }
 }
@@ -111,7 +125,8 @@ export async function updatePosition(position) {
     const altitude = position.coords.altitude;
     const accuracy = position.coords.accuracy;
     const altitudeAccuracy = position.coords.altitudeAccuracy;
-    const currentTime = Date.now();
+    // 測位時刻を基準にする（シミュレーションの倍速再生でも記録間隔の判定を実際と揃える）
+    const currentTime = position.timestamp || Date.now();
 
     if (position.coords.heading !== null && position.coords.heading !== undefined) {
         state.setCurrentHeading(position.coords.heading);
@@ -133,85 +148,149 @@ export async function updatePosition(position) {
 
     updateCoordinates(lat, lng, accuracy, currentDist, currentTimeDiff);
 
+    // 参照ルートとの比較（設定時のみ）
+    checkOffRoute(lat, lng, accuracy);
+
     // 記録中は地図を現在地に追従
     if (state.isTracking && state.map) {
         state.map.panTo([lat, lng], { animate: true });
     }
 
-    if (state.isTracking) {
-        let shouldRecord = false;
-
-        if (state.lastRecordedPoint === null) {
-            shouldRecord = true;
-        } else {
-            const elapsedSeconds = (currentTime - state.lastRecordedPoint.time) / 1000;
-            const distance = calculateDistance(
-                state.lastRecordedPoint.lat, state.lastRecordedPoint.lng,
-                lat, lng
-            );
-
-            // 60秒以上経過、または20m以上移動した場合に記録
-            // ただし、距離条件はGPS精度より大きい移動のみ有効とする
-            // かつ、最低でも5秒は間隔を空ける（高頻度記録防止）
-            const significantMovement = distance >= GPS_RECORD_DISTANCE_M && distance > accuracy;
-            const isMinIntervalPassed = elapsedSeconds >= 5;
-
-            if (isMinIntervalPassed && (elapsedSeconds >= GPS_RECORD_INTERVAL_SEC || significantMovement)) {
-                shouldRecord = true;
+    if (state.isTracking && !state.isPaused) {
+        // 省電力モード: 移動状況に応じて測位頻度を切り替える（シミュレーション中は切り替えない）
+        if (state.isBatterySaverEnabled && !state.simulatedGeolocation) {
+            const level = evaluateSamplingLevel(samplingLevel, {
+                lat, lng, accuracy,
+                speed: position.coords.speed,
+                time: currentTime
+            });
+            if (level !== samplingLevel) {
+                switchSamplingLevel(level, lat, lng, currentTime);
             }
         }
 
-        if (shouldRecord) {
-            const recordedPoint = {
-                lat: parseFloat(lat.toFixed(5)),
-                lng: parseFloat(lng.toFixed(5)),
-                altitude: altitude !== null ? parseFloat(altitude.toFixed(1)) : null,
-                timestamp: new Date().toISOString(),
-                accuracy: parseFloat(accuracy.toFixed(1)),
-                altitudeAccuracy: altitudeAccuracy !== null ? parseFloat(altitudeAccuracy.toFixed(1)) : null
-            };
+        // 停止中に自動一時停止の設定が無効化された場合は記録に戻る
+        if (state.isAutoPaused && !state.isAutoPauseEnabled) {
+            closeAutoPause();
+        }
 
-            state.addTrackingPoint(recordedPoint);
+        // フィルタ・自動一時停止の判定・記録条件を通し、記録する点をstateに追加する
+        const { transition, point } = recordPosition(position);
+        if (transition) {
+            await handleAutoPauseTransition(transition);
+        }
 
+        if (point) {
             // 初回記録時（Start Point）にマーカー追加
             if (state.trackingData.length === 1) {
-                addStartMarker(lat, lng);
+                addStartMarker(point.lat, point.lng);
             }
 
             // UI更新（DB保存より先に行う）
-            updateTrackingPath(state.trackingData);
+            updateTrackingPath(state.trackingData, state.trackingSegmentStarts);
             const totalPoints = state.previousTotalPoints + state.trackingData.length;
             updateStatus(`GPS記録中 (${totalPoints}点記録)`);
             updateDataSizeIfOpen();
 
-            state.setLastRecordedPoint({
-                lat: lat,
-                lng: lng,
-                time: currentTime
-            });
+            // 点はまとめて書き込む（track-writer.js）
+            queueTrackPoint();
+        }
+
+        lastSpeedMps = position.coords.speed;
+        refreshTripStatsPanel();
+    }
+}
 
-            try {
-                if (state.db) {
-                    await saveTrackingDataRealtime();
+/**
+ * 自動一時停止・再開の切り替わりを表示し、それまでの点を書き込む
+ * イベントの記録と状態の切り替えはrecordPosition（point-recorder.js）で済んでいる
+ * @param {{type: string, lat: number, lng: number, time: number}} transition
+ */
+async function handleAutoPauseTransition(transition) {
+    const totalPoints = state.previousTotalPoints + state.trackingData.length;
+    if (transition.type === 'autoPause') {
+        updateStatus(`自動一時停止中 (${totalPoints}点記録)`);
+    } else {
+        updateStatus(`GPS記録中 (${totalPoints}点記録)`);
+    }
 
-                }
-            } catch (saveError) {
-                console.error('GPS位置のIndexedDB保存エラー:', saveError);
-            }
-        } else {
-            // 記録しない場合のデバッグログ
-            if (state.lastRecordedPoint) {
-                const elapsedSeconds = (currentTime - state.lastRecordedPoint.time) / 1000;
-                const distance = calculateDistance(
-                    state.lastRecordedPoint.lat, state.lastRecordedPoint.lng,
-                    lat, lng
-                );
+    await flushTrackPoints();
+}
 
-            }
-        }
+/**
+ * 自動一時停止中なら停止を終了する（手動の一時停止・記録停止時）
+ * 停止イベントと対になるautoResumeを最後の記録点の位置で残す
+ */
+function closeAutoPause() {
+    resetAutoPause();
+    if (!state.isAutoPaused) return;
+
+    state.setIsAutoPaused(false);
+    const lastPoint = state.trackingData[state.trackingData.length - 1];
+    const pauseEvent = [...state.trackingEvents].reverse().find(e => e.type === 'autoPause');
+    const location = pauseEvent || lastPoint;
+    state.addTrackingEvent({
+        type: 'autoResume',
+        timestamp: new Date().toISOString(),
+        lat: location ? location.lat : null,
+        lng: location ? location.lng : null,
+        pointIndex: state.trackingData.length
+    });
+}
+
+// 最後に記録を再開した時刻（再開前の点から一時停止中の時間を経過時間に含めないため）
+let resumedAt = 0;
+// 端末が最後に報告した現在速度（m/s）。タイマーでの更新でも同じ値を表示する
+let lastSpeedMps = null;
+// 統計パネルの経過時間を進めるタイマー（記録中で一時停止していない間だけ動かす）
+let tripStatsTimer = null;
+
+/**
+ * 統計パネルの経過時間を測位とは別にTRIP_STATS_REFRESH_SEC秒ごとに進める
+ * 測位が来ない間（停止中・低頻度測位中）も経過時間が止まって見えないようにする。画面が隠れている間は描画しない
+ */
+function startTripStatsTimer() {
+    stopTripStatsTimer();
+    tripStatsTimer = setInterval(() => {
+        if (document.visibilityState === 'visible') refreshTripStatsPanel();
+    }, TRIP_STATS_REFRESH_SEC * 1000);
+}
+
+/**
+ * 統計パネルのタイマーを止める
+ */
+function stopTripStatsTimer() {
+    if (tripStatsTimer !== null) {
+        clearInterval(tripStatsTimer);
+        tripStatsTimer = null;
     }
 }
 
+/**
+ * 記録中セッションの統計パネルを更新
+ * 経過時間は一時停止中を除き、最後の記録点（または再開時刻）から現在までを加算する
+ * 現在速度は端末が最後に報告した値（なければ記録点から求めた値）を表示する
+ */
+function refreshTripStatsPanel() {
+    const stats = state.tripStats;
+    if (!stats) return;
+
+    let elapsedSec = stats.elapsedTimeSec;
+    if (!state.isPaused && stats.lastPoint) {
+        const since = Math.max(new Date(stats.lastPoint.timestamp).getTime(), resumedAt);
+        elapsedSec += Math.max(0, (Date.now() - since) / 1000);
+    }
+
+    let currentSpeedKmh = null;
+    if (!state.isPaused) {
+        currentSpeedKmh = (lastSpeedMps !== null && lastSpeedMps !== undefined && !isNaN(lastSpeedMps))
+            ? lastSpeedMps * 3.6
+            : stats.currentSpeedKmh;
+    }
+
+    updateTripStatsPanel(stats, elapsedSec, currentSpeedKmh);
+}
+
 /**
  * GPSエラー処理
  * @param {GeolocationPositionError} error
@@ -239,7 +318,7 @@ export function handlePositionError(error) {
  * GPS追跡を開始
  */
 export async function startTracking() {
-    if (!navigator.geolocation) {
+    if (!state.getGeolocation()) {
         alert('このブラウザは位置情報に対応していません');
         return;
     }
@@ -259,19 +338,26 @@ export async function startTracking() {
         }
     }
 
-    // 既存データの確認
+    // 保存領域の空きが少ない場合は記録前に確認
+    if (!(await confirmStorageBeforeRecording())) return;
+
+    // 開いているルートの確認（新しいルートを作るか、開いているルートに追記するか）
+    let startNewRoute = true;
     try {
-        const allTracks = await getAllTracks();
-        const allPhotos = await getAllPhotos();
-        const trackStats = calculateTrackStats(allTracks);
-        const hasData = (allTracks.length > 0 || allPhotos.length > 0);
+        const currentRoute = state.currentRouteId !== null ? await getRoute(state.currentRouteId) : null;
+        const routeTracks = await getRouteTracks(currentRoute ? currentRoute.id : null);
+        const routePhotos = await getRoutePhotos(currentRoute ? currentRoute.id : null);
+        const trackStats = calculateTrackStats(routeTracks);
+        const hasData = (routeTracks.length > 0 || routePhotos.length > 0);
 
         let confirmMessage;
         if (hasData) {
             confirmMessage =
-                `IndexedDBに既存のデータがあります。\n` +
+                `表示中のルート: ${currentRoute.name}\n` +
                 `記録点数: ${trackStats.totalPoints}件\n` +
-                `写真: ${allPhotos.length}件\n\n`;
+                `写真: ${routePhotos.length}件\n\n` +
+                `新しいルートを作成するか、このルートに追記します。\n` +
+                `（表示中のルートはルート一覧に残ります）`;
         } else {
             confirmMessage = `新規記録を開始しますか？`;
         }
@@ -279,14 +365,16 @@ export async function startTracking() {
         const result = await showClearDataDialog(confirmMessage, hasData);
 
         if (result === 'init') {
+            // データのないルートを開いている場合はそのルートに記録する
+            startNewRoute = !currentRoute || hasData;
             if (hasData) {
                 clearMapData({ keepExternal: true });
-                await clearRouteLogData();
-                localStorage.removeItem('routeLogger_loadedData');
             }
         } else if (result === 'append') {
-
+            // 既存トラックを区間ごとに描画し、新しい記録はその後に別の線として追加
+            displayAllTracks(routeTracks);
             state.setPreviousTotalPoints(trackStats.totalPoints);
+            startNewRoute = false;
         } else {
 
             return;
@@ -298,10 +386,19 @@ export async function startTracking() {
     }
 
     state.setIsTracking(true);
+    state.setIsPaused(false);
     state.resetTrackingData();
     state.setPhotosInSession(0);
     state.setLastRecordedPoint(null);
     state.setPreviousTotalPoints(0);
+    state.setActiveRecordingPolicy({ ...state.getRecordingPolicy(), ...getSamplingMode() });
+    state.setTripStats(createTripStats());
+    state.setIsAutoPaused(false);
+    resetGpsFilter();
+    resetAutoPause();
+    lastSpeedMps = null;
+    refreshTripStatsPanel();
+    startTripStatsTimer();
 
     // UI更新 (ボタン状態など)
     updateUiForTrackingState();
@@ -314,9 +411,13 @@ export async function startTracking() {
     // 初期トラックを作成
     try {
         if (state.db) {
-            const trackId = await createInitialTrack(state.trackingStartTime);
+            if (startNewRoute) {
+                await createRecordingRoute(now);
+            }
+            const trackId = await createInitialTrack(state.trackingStartTime, state.activeRecordingPolicy, state.currentRouteId);
             state.setCurrentTrackId(trackId);
-
+            resetTrackWriter();
+            await persistTrackingSession();
         }
     } catch (e) {
         console.error('初期トラック作成エラー:', e);
@@ -324,8 +425,10 @@ export async function startTracking() {
 
 
 
-    // Wake Lock取得
-    await requestWakeLock();
+    // Wake Lock取得（省電力モードで無効にしている場合は取得しない）
+    if (shouldHoldWakeLock()) {
+        await requestWakeLock();
+    }
 
     // iOS DeviceOrientation許可
     if (typeof DeviceOrientationEvent.requestPermission === 'function') {
@@ -341,24 +444,153 @@ export async function startTracking() {
     }
 
     // GPS監視開始
-    const id = navigator.geolocation.watchPosition(
+    startWatchingPosition();
+
+    updateStatus(state.simulatedGeolocation ? 'GPS記録を開始しました（シミュレーション）' : 'GPS記録を開始しました');
+}
+
+// 省電力モードの測位レベル（'normal': 連続測位, 'low': 低頻度測位）
+let samplingLevel = 'normal';
+// 低頻度測位の次の測位のタイマー
+let lowSamplingTimer = null;
+// 低頻度測位の世代（停止後に届いた測位の続きを予約しないため）
+let lowSamplingGeneration = 0;
+
+/**
+ * GPS監視を開始（通常の連続測位）
+ */
+function startWatchingPosition() {
+    samplingLevel = 'normal';
+    resetBatterySaver();
+    const id = state.getGeolocation().watchPosition(
         updatePosition,
         handlePositionError,
-        {
-            enableHighAccuracy: true,
-            timeout: 10000,
-            maximumAge: 0
-        }
+        getSamplingOptions('normal')
     );
     state.setWatchId(id);
+}
 
-    // UI更新
-    // updateUiForTrackingState called above (Wait, I should call it here to be safe and clear)
-    // Actually, I removed the earlier call.
-    // However, isTracking is set to true at line 283.
-    // So updateUiForTrackingState() will see isTracking=true.
+/**
+ * 低頻度測位を開始
+ * 連続測位は止め、前の測位が終わってからBATTERY_SAVER_LOW_INTERVAL_SEC秒後に次の1回を測る
+ */
+function startLowSampling() {
+    samplingLevel = 'low';
+    const generation = ++lowSamplingGeneration;
+
+    const scheduleNext = () => {
+        if (generation !== lowSamplingGeneration) return;
+        lowSamplingTimer = setTimeout(sampleOnce, BATTERY_SAVER_LOW_INTERVAL_SEC * 1000);
+    };
+    const sampleOnce = () => {
+        lowSamplingTimer = null;
+        state.getGeolocation().getCurrentPosition(
+            async (position) => {
+                if (generation !== lowSamplingGeneration) return;
+                await updatePosition(position);
+                scheduleNext();
+            },
+            (error) => {
+                if (generation !== lowSamplingGeneration) return;
+                handlePositionError(error);
+                scheduleNext();
+            },
+            getSamplingOptions('low')
+        );
+    };
+    scheduleNext();
+}
+
+/**
+ * GPS監視を停止（低頻度測位中は次の測位の予約も取り消す）
+ */
+function stopWatchingPosition() {
+    if (state.watchId !== null) {
+        state.getGeolocation().clearWatch(state.watchId);
+        state.setWatchId(null);
+    }
+    lowSamplingGeneration++;
+    if (lowSamplingTimer !== null) {
+        clearTimeout(lowSamplingTimer);
+        lowSamplingTimer = null;
+    }
+}
+
+/**
+ * 省電力モードの測位レベルを切り替え、切り替えをトラックのイベントに残す
+ * @param {'normal'|'low'} level
+ * @param {number} lat
+ * @param {number} lng
+ * @param {number} time - 測位時刻
+ */
+function switchSamplingLevel(level, lat, lng, time) {
+    stopWatchingPosition();
+
+    if (level === 'low') {
+        startLowSampling();
+    } else {
+        startWatchingPosition();
+    }
+
+    state.addTrackingEvent({
+        type: level === 'low' ? 'samplingLow' : 'samplingNormal',
+        timestamp: new Date(time).toISOString(),
+        lat: parseFloat(lat.toFixed(5)),
+        lng: parseFloat(lng.toFixed(5)),
+        pointIndex: state.trackingData.length
+    });
+}
+
+/**
+ * GPS記録を一時停止
+ * セッション（トラックレコード）は維持し、GPS監視のみ停止する
+ */
+export async function pauseTracking() {
+    if (!state.isTracking || state.isPaused) return;
+
+    closeAutoPause();
+    state.setIsPaused(true);
+    stopWatchingPosition();
+    stopTripStatsTimer();
+    await releaseWakeLock();
+
+    updateUiForTrackingState();
+    refreshTripStatsPanel();
+    await persistTrackingSession();
+
+    await flushTrackPoints();
+
+    const totalPoints = state.previousTotalPoints + state.trackingData.length;
+    updateStatus(`GPS記録を一時停止しました (${totalPoints}点記録)`);
+}
+
+/**
+ * GPS記録を再開
+ * 同じトラックレコード内に新しい区間を開始する
+ */
+export async function resumeTracking() {
+    if (!state.isTracking || !state.isPaused) return;
+
+    state.startNewSegment();
+    // 再開後の最初の位置を区間の始点として必ず記録する
+    state.setLastRecordedPoint(null);
+    resetGpsFilter();
+    resetAutoPause();
+    resumedAt = Date.now();
+    lastSpeedMps = null;
+    state.setIsPaused(false);
+
+    updateUiForTrackingState();
+    refreshTripStatsPanel();
+    startTripStatsTimer();
+    await persistTrackingSession();
+
+    if (shouldHoldWakeLock()) {
+        await requestWakeLock();
+    }
+    startWatchingPosition();
 
-    updateStatus('GPS記録を開始しました');
+    updateStatus('GPS記録を再開しました');
 }
 
 /**
@@ -367,26 +599,126 @@ export async function startTracking() {
 export async function stopTracking() {
     if (!state.isTracking) return;
 
+    closeAutoPause();
     state.setIsTracking(false);
+    state.setIsPaused(false);
     state.setTrackingStopDate(new Date());
 
     await releaseWakeLock();
 
-    if (state.watchId !== null) {
-        navigator.geolocation.clearWatch(state.watchId);
-        state.setWatchId(null);
-    }
+    stopWatchingPosition();
+    stopTripStatsTimer();
 
     // UI更新
     updateUiForTrackingState();
+    updateTripStatsPanel(null);
+    // 残りの点を書き込み、追記分をトラックにまとめてからセッションを終了する
+    await finishTrackWriter();
+    await clearTrackingSession();
 
     if (state.trackingData.length > 0) {
         const lastPoint = state.trackingData[state.trackingData.length - 1];
         await saveLastPosition(lastPoint.lat, lastPoint.lng, state.map.getZoom());
-        await saveTrackingDataRealtime(); // 最終更新 (新規作成ではなく更新)
         const totalPoints = state.previousTotalPoints + state.trackingData.length;
         updateStatus(`GPS記録を停止しました (${totalPoints}点記録)`);
     } else {
         updateStatus('GPS記録を停止しました');
     }
+
+    // ルート一覧に表示する統計を更新
+    if (state.currentRouteId !== null) {
+        try {
+            await refreshRouteStats(state.currentRouteId);
+        } catch (error) {
+            console.error('ルート統計更新エラー:', error);
+        }
+    }
+}
+
+/**
+ * 記録セッションの状態をIndexedDBに保存
+ * 開始・一時停止・再開の時点で更新し、停止時に削除する
+ */
+async function persistTrackingSession() {
+    if (!state.currentTrackId) return;
+    await saveTrackingSession({
+        trackId: state.currentTrackId,
+        startTime: state.trackingStartTime,
+        startDate: state.trackingStartDate ? state.trackingStartDate.toISOString() : null,
+        previousTotalPoints: state.previousTotalPoints,
+        isPaused: state.isPaused
+    });
+}
+
+/**
+ * 終了していない記録セッションを復旧して記録を続ける
+ * 既存の点・開始時刻はそのまま使い、中断していた間は区間を分ける
+ * @param {Object} session - getTrackingSession()の戻り値
+ * @param {Object} track - セッションのトラックレコード
+ * @param {Array} allTracks - 全トラック（他のトラックを描画するため）
+ */
+export async function recoverTracking(session, track, allTracks) {
+    if (state.isTracking) return;
+
+    const points = track.points || [];
+
+    state.setIsTracking(true);
+    state.setIsPaused(!!session.isPaused);
+    state.setIsAutoPaused(false);
+    state.setCurrentTrackId(track.id);
+    state.setTrackingStartTime(session.startTime || track.timestamp);
+    state.setTrackingStartDate(session.startDate ? new Date(session.startDate) : new Date());
+    state.setPreviousTotalPoints(session.previousTotalPoints || 0);
+    state.setActiveRecordingPolicy(track.recordingPolicy || state.getRecordingPolicy());
+    state.setTrackingData(points);
+    resetTrackWriter(points.length);
+    state.setTrackingSegmentStarts(track.segmentStarts && track.segmentStarts.length > 0 ? [...track.segmentStarts] : [0]);
+    state.setRejectedFixes(track.rejectedFixes || []);
+    state.setRejectedFixCounts({ ...getRejectedFixCounts(track) });
+    state.setTrackingEvents(track.events || []);
+    state.setPhotosInSession(0);
+    state.setTripStats(calculateTripStats([track]));
+
+    // 中断時に自動一時停止中だった場合は対になる再開イベントを補う
+    const lastEvent = state.trackingEvents[state.trackingEvents.length - 1];
+    if (lastEvent && lastEvent.type === 'autoPause') {
+        state.addTrackingEvent({
+            type: 'autoResume',
+            timestamp: new Date().toISOString(),
+            lat: lastEvent.lat,
+            lng: lastEvent.lng,
+            pointIndex: points.length
+        });
+    }
+
+    // 中断していた間の移動は線で結ばない
+    state.startNewSegment();
+    state.setLastRecordedPoint(null);
+    resetGpsFilter();
+    resetAutoPause();
+    resumedAt = Date.now();
+
+    // 他のトラックは保存済みとして描画し、このトラックは記録中として描画
+    displayAllTracks(allTracks.filter(t => t.id !== track.id));
+    updateTrackingPath(state.trackingData, state.trackingSegmentStarts);
+    if (points.length > 0) {
+        addStartMarker(points[0].lat, points[0].lng);
+    }
+
+    updateUiForTrackingState();
+    refreshTripStatsPanel();
+    await persistTrackingSession();
+
+    const totalPoints = state.previousTotalPoints + points.length;
+    if (state.isPaused) {
+        updateStatus(`GPS記録を一時停止しました (${totalPoints}点記録)`);
+        return;
+    }
+
+    startTripStatsTimer();
+    if (shouldHoldWakeLock()) {
+        await requestWakeLock();
+    }
+    startWatchingPosition();
+    updateStatus(`GPS記録を復旧しました (${totalPoints}点記録)`);
 }
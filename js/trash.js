@@ -0,0 +1,126 @@
+// RouteLogger - ごみ箱（削除したルート・写真・外部データの復元と完全削除）
+// 削除はdb.jsでごみ箱ストアに移すだけで、TRASH_RETENTION_DAYS日を過ぎたものを起動時に完全に削除する
+
+import { TRASH_RETENTION_DAYS, UNDO_TOAST_SEC, STORE_PHOTOS, STORE_EXTERNALS } from './config.js';
+import * as state from './state.js';
+import { getAllTrash, restoreFromTrash, purgeTrashEntry, purgeExpiredTrash, clearIndexedDBSilent, getAllExternalData, getRoutePhotos } from './db.js';
+import { clearMapData, addPhotoMarkerToMap } from './map.js';
+import { displayExternalData } from './external-layers.js';
+import { openLastRoute } from './route-library.js';
+import { updateStatus, showPhotoFromMarker, showTrashDialog, closeRouteLibraryDialog, showUndoToast } from './ui.js';
+
+/**
+ * 保存期間を過ぎたものをごみ箱から完全に削除（起動時）
+ */
+export async function purgeExpiredTrashEntries() {
+    try {
+        await purgeExpiredTrash(TRASH_RETENTION_DAYS);
+    } catch (e) {
+        console.error('ごみ箱の整理エラー:', e);
+    }
+}
+
+/**
+ * 全データ（ルート・外部データ）をごみ箱に移し、数秒間「元に戻す」を表示（Clearボタン）
+ */
+export async function clearAllData() {
+    clearMapData();
+    const trashId = await clearIndexedDBSilent();
+    updateStatus('データを初期化しました');
+
+    if (trashId !== null) {
+        showUndoToast('データを初期化しました', async () => {
+            try {
+                const entry = await restoreFromTrash(trashId);
+                if (entry) await redisplayRestored(entry);
+                updateStatus('初期化を取り消しました');
+            } catch (error) {
+                console.error('元に戻すエラー:', error);
+                alert('元に戻せませんでした。Routes > Trash から復元してください: ' + error.message);
+            }
+        }, UNDO_TOAST_SEC);
+    }
+}
+
+/**
+ * ごみ箱ダイアログを表示
+ */
+export async function showTrash() {
+    try {
+        closeRouteLibraryDialog();
+        const entries = await getAllTrash();
+        showTrashDialog(entries, TRASH_RETENTION_DAYS, {
+            onRestore: handleRestore,
+            onPurge: handlePurge
+        });
+    } catch (error) {
+        console.error('ごみ箱取得エラー:', error);
+        alert('ごみ箱の取得に失敗しました: ' + error.message);
+    }
+}
+
+/**
+ * ごみ箱を空にする（すべて完全に削除）
+ */
+export async function emptyTrash() {
+    if (!confirm('ごみ箱の中身をすべて完全に削除しますか？\n元に戻すことはできません。')) return;
+
+    try {
+        await purgeExpiredTrash(0);
+        updateStatus('ごみ箱を空にしました');
+    } catch (error) {
+        console.error('ごみ箱削除エラー:', error);
+        alert('ごみ箱を空にできませんでした: ' + error.message);
+    }
+    await showTrash();
+}
+
+async function handleRestore(entry) {
+    try {
+        const restored = await restoreFromTrash(entry.id);
+        if (restored) await redisplayRestored(restored);
+        updateStatus(`復元しました: ${entry.label}`);
+    } catch (error) {
+        console.error('ごみ箱復元エラー:', error);
+        alert('復元に失敗しました: ' + error.message);
+    }
+    await showTrash();
+}
+
+async function handlePurge(entry) {
+    if (!confirm(`「${entry.label}」を完全に削除しますか？\n元に戻すことはできません。`)) return;
+
+    try {
+        await purgeTrashEntry(entry.id);
+        updateStatus(`完全に削除しました: ${entry.label}`);
+    } catch (error) {
+        console.error('ごみ箱削除エラー:', error);
+        alert('削除に失敗しました: ' + error.message);
+    }
+    await showTrash();
+}
+
+/**
+ * 復元したデータを地図に表示し直す
+ * @param {Object} entry - restoreFromTrash()の戻り値（restoredIdsに戻したレコードのID）
+ */
+async function redisplayRestored(entry) {
+    const externalIds = entry.restoredIds[STORE_EXTERNALS] || [];
+    if (externalIds.length > 0) {
+        const items = await getAllExternalData();
+        items.filter(item => externalIds.includes(item.id)).forEach(item => displayExternalData(item));
+    }
+
+    // 開いているルートの写真は地図に戻す
+    const photoIds = entry.restoredIds[STORE_PHOTOS] || [];
+    if (photoIds.length > 0 && state.currentRouteId !== null) {
+        const photos = await getRoutePhotos(state.currentRouteId);
+        photos.filter(photo => photoIds.includes(photo.id) && photo.location)
+            .forEach(photo => addPhotoMarkerToMap(photo, showPhotoFromMarker));
+    }
+
+    // ルートを開いていなければ復元したルートを開く（記録中は表示を変えない）
+    if (state.currentRouteId === null && !state.isTracking) {
+        await openLastRoute();
+    }
+}
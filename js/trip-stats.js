@@ -0,0 +1,136 @@
+// RouteLogger - 移動統計（距離・時間・速度・累積標高）
+
+import { MOVING_SPEED_THRESHOLD_MPS, ELEVATION_THRESHOLD_M } from './config.js';
+import { calculateDistance, splitTrackSegments } from './utils.js';
+
+/**
+ * 空の統計を作成
+ * @returns {Object} 統計（addPointToTripStatsで逐次更新する）
+ */
+export function createTripStats() {
+    return {
+        distanceM: 0,
+        movingTimeSec: 0,
+        elapsedTimeSec: 0,
+        ascentM: 0,
+        descentM: 0,
+        currentSpeedKmh: null,
+        pointCount: 0,
+        lastPoint: null,
+        altitudeRef: null
+    };
+}
+
+/**
+ * 点を1つ追加して統計を逐次更新
+ * 区間の先頭点は直前の点と結ばない（一時停止中の移動を距離に含めない）
+ * @param {Object} stats - createTripStats()の戻り値
+ * @param {Object} point - 記録点 {lat, lng, altitude, timestamp}
+ * @param {boolean} [isSegmentStart] - 新しい区間の先頭点かどうか
+ * @returns {Object} stats
+ */
+export function addPointToTripStats(stats, point, isSegmentStart = false) {
+    const prev = stats.lastPoint;
+    stats.pointCount++;
+
+    if (prev && !isSegmentStart) {
+        const distance = calculateDistance(prev.lat, prev.lng, point.lat, point.lng);
+        const seconds = (new Date(point.timestamp) - new Date(prev.timestamp)) / 1000;
+        stats.distanceM += distance;
+        stats.elapsedTimeSec += Math.max(0, seconds);
+
+        if (seconds > 0) {
+            const speedMps = distance / seconds;
+            stats.currentSpeedKmh = speedMps * 3.6;
+            if (speedMps >= MOVING_SPEED_THRESHOLD_MPS) {
+                stats.movingTimeSec += seconds;
+            }
+        }
+    } else {
+        // 区間の先頭では標高の基準も取り直す
+        stats.altitudeRef = null;
+    }
+
+    // 累積標高（閾値以上の変化のみ計上）
+    if (point.altitude !== null && point.altitude !== undefined) {
+        if (stats.altitudeRef === null) {
+            stats.altitudeRef = point.altitude;
+        } else {
+            const diff = point.altitude - stats.altitudeRef;
+            if (diff >= ELEVATION_THRESHOLD_M) {
+                stats.ascentM += diff;
+                stats.altitudeRef = point.altitude;
+            } else if (diff <= -ELEVATION_THRESHOLD_M) {
+                stats.descentM += -diff;
+                stats.altitudeRef = point.altitude;
+            }
+        }
+    }
+
+    stats.lastPoint = point;
+    return stats;
+}
+
+/**
+ * トラック配列全体の統計を計算
+ * @param {Array} tracks - トラックデータの配列
+ * @returns {Object} 統計
+ */
+export function calculateTripStats(tracks) {
+    const stats = createTripStats();
+    (tracks || []).forEach(track => {
+        splitTrackSegments(track.points, track.segmentStarts).forEach(segment => {
+            segment.forEach((point, i) => addPointToTripStats(stats, point, i === 0));
+        });
+    });
+    return stats;
+}
+
+/**
+ * 平均移動速度（km/h、停止時間を除く）
+ * @param {Object} stats
+ * @returns {number|null}
+ */
+export function getAverageSpeedKmh(stats) {
+    if (!stats || stats.movingTimeSec <= 0) return null;
+    return stats.distanceM / stats.movingTimeSec * 3.6;
+}
+
+/**
+ * 秒数を h:mm:ss 形式に変換
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(total / 3600);
+    const m = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+    const s = String(total % 60).padStart(2, '0');
+    return `${h}:${m}:${s}`;
+}
+
+/**
+ * 距離を表示用文字列に変換
+ * @param {number} meters
+ * @returns {string}
+ */
+export function formatDistance(meters) {
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(2)} km`;
+}
+
+/**
+ * 統計の要約を表示用の行配列に変換（ダイアログ・KMZ・クラウド保存で共通）
+ * @param {Object} stats
+ * @returns {Array<{label: string, value: string}>}
+ */
+export function formatTripStatsRows(stats) {
+    const avgSpeed = getAverageSpeedKmh(stats);
+    return [
+        { label: '距離', value: formatDistance(stats.distanceM) },
+        { label: '経過時間', value: formatDuration(stats.elapsedTimeSec) },
+        { label: '移動時間', value: formatDuration(stats.movingTimeSec) },
+        { label: '平均速度', value: avgSpeed !== null ? `${avgSpeed.toFixed(1)} km/h` : '-' },
+        { label: '累積標高', value: `+${Math.round(stats.ascentM)} m / -${Math.round(stats.descentM)} m` }
+    ];
+}
@@ -1,9 +1,12 @@
 // RouteLogger - UI 共通機能
 
-import { isTracking } from './state.js';
+import { isTracking, isPaused } from './state.js';
+import { formatDistance, formatDuration, getAverageSpeedKmh } from './trip-stats.js';
 
 // Save/Load中のスリープ防止用Wake Lock
 let _busyWakeLock = null;
+// 「元に戻す」トーストを消すタイマー
+let _undoToastTimer = null;
 
 /**
  * UIのビジー状態を設定（Save/Load中など）
@@ -13,6 +16,7 @@ export function setUiBusy(isBusy) {
     const startBtn = document.getElementById('startBtn');
     const stopBtn = document.getElementById('stopBtn');
     const photoBtn = document.getElementById('photoBtn');
+    const waypointBtn = document.getElementById('waypointBtn');
     const dataBtn = document.getElementById('dataBtn');
     const settingsBtn = document.getElementById('settingsBtn');
     const dataSaveBtn = document.getElementById('dataSaveBtn');
@@ -22,6 +26,7 @@ export function setUiBusy(isBusy) {
         if (startBtn) startBtn.disabled = true;
         if (stopBtn) stopBtn.disabled = true;
         if (photoBtn) photoBtn.disabled = true;
+        if (waypointBtn) waypointBtn.disabled = true;
         if (dataBtn) dataBtn.disabled = true;
         if (settingsBtn) settingsBtn.disabled = true;
         if (dataSaveBtn) dataSaveBtn.disabled = true;
@@ -53,15 +58,20 @@ export function updateUiForTrackingState() {
     const startBtn = document.getElementById('startBtn');
     const stopBtn = document.getElementById('stopBtn');
     const photoBtn = document.getElementById('photoBtn');
+    const waypointBtn = document.getElementById('waypointBtn');
     const dataBtn = document.getElementById('dataBtn');
     const settingsBtn = document.getElementById('settingsBtn');
     const dataSaveBtn = document.getElementById('dataSaveBtn');
     const dataReloadBtn = document.getElementById('dataReloadBtn');
 
+    updateStartButtonMode();
+
     if (isTracking) {
-        if (startBtn) startBtn.disabled = true;
+        // 記録中のStartボタンは一時停止/再開ボタンとして使用
+        if (startBtn) startBtn.disabled = false;
         if (stopBtn) stopBtn.disabled = false;
         if (photoBtn) photoBtn.disabled = false;
+        if (waypointBtn) waypointBtn.disabled = false;
         if (dataBtn) dataBtn.disabled = false;
         if (settingsBtn) settingsBtn.disabled = false;
         if (dataSaveBtn) dataSaveBtn.disabled = true;
@@ -70,6 +80,7 @@ export function updateUiForTrackingState() {
         if (startBtn) startBtn.disabled = false;
         if (stopBtn) stopBtn.disabled = true;
         if (photoBtn) photoBtn.disabled = true;
+        if (waypointBtn) waypointBtn.disabled = true;
         if (dataBtn) dataBtn.disabled = false;
         if (settingsBtn) settingsBtn.disabled = false;
         if (dataSaveBtn) dataSaveBtn.disabled = false;
@@ -77,6 +88,33 @@ export function updateUiForTrackingState() {
     }
 }
 
+/**
+ * Startボタンの表示を記録状態（開始/一時停止/再開）に合わせて切り替え
+ */
+function updateStartButtonMode() {
+    const startBtn = document.getElementById('startBtn');
+    if (!startBtn) return;
+
+    const mode = !isTracking ? 'start' : (isPaused ? 'resume' : 'pause');
+    const labels = {
+        start: { text: 'Start', title: 'Start Tracking' },
+        pause: { text: 'Pause', title: 'Pause Tracking' },
+        resume: { text: 'Resume', title: 'Resume Tracking' }
+    };
+
+    const label = startBtn.querySelector('span');
+    if (label) label.textContent = labels[mode].text;
+    startBtn.title = labels[mode].title;
+
+    const playIcon = startBtn.querySelector('.icon-play');
+    const pauseIcon = startBtn.querySelector('.icon-pause');
+    if (playIcon) playIcon.classList.toggle('hidden', mode === 'pause');
+    if (pauseIcon) pauseIcon.classList.toggle('hidden', mode !== 'pause');
+
+    const iconBox = startBtn.querySelector('.icon-box');
+    if (iconBox) iconBox.classList.toggle('paused', mode === 'resume');
+}
+
 /**
  * HTML要素の表示・非表示を切り替え
  * @param {string} elementId - 要素ID
@@ -92,6 +130,36 @@ export function toggleVisibility(elementId, isVisible) {
     }
 }
 
+/**
+ * 「元に戻す」ボタン付きのトーストを一定時間表示
+ * 別のトーストを表示すると前のトーストは元に戻せなくなる
+ * @param {string} message - メッセージ
+ * @param {function(): void} onUndo - Undoを押したときの処理
+ * @param {number} seconds - 表示する秒数
+ */
+export function showUndoToast(message, onUndo, seconds) {
+    const toast = document.getElementById('undoToast');
+    const messageEl = document.getElementById('undoToastMessage');
+    const undoBtn = document.getElementById('undoToastBtn');
+    if (!toast || !messageEl || !undoBtn) return;
+
+    const hide = () => {
+        clearTimeout(_undoToastTimer);
+        _undoToastTimer = null;
+        undoBtn.onclick = null;
+        toast.classList.add('hidden');
+    };
+
+    hide();
+    messageEl.textContent = message;
+    undoBtn.onclick = () => {
+        hide();
+        onUndo();
+    };
+    toast.classList.remove('hidden');
+    _undoToastTimer = setTimeout(hide, seconds * 1000);
+}
+
 /**
  * ステータス表示を更新
  * @param {string} message - メッセージ
@@ -128,3 +196,64 @@ export function updateCoordinates(lat, lng, accuracy, distance, elapsed) {
         </div>
     `;
 }
+
+/**
+ * 移動統計パネルを更新
+ * @param {Object|null} stats - trip-stats.jsの統計（nullで非表示）
+ * @param {number} elapsedSec - 経過時間 (秒)
+ * @param {number|null} currentSpeedKmh - 現在速度 (km/h)
+ */
+export function updateTripStatsPanel(stats, elapsedSec, currentSpeedKmh) {
+    const panel = document.getElementById('tripStats');
+    if (!panel) return;
+
+    if (!stats) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    const avgSpeed = getAverageSpeedKmh(stats);
+    const speedText = currentSpeedKmh !== null && currentSpeedKmh !== undefined
+        ? currentSpeedKmh.toFixed(1) : '-';
+
+    panel.innerHTML = `
+        <div class="trip-stats-row">
+            <span>距離 ${formatDistance(stats.distanceM)}</span>
+            <span>経過 ${formatDuration(elapsedSec)}</span>
+            <span>移動 ${formatDuration(stats.movingTimeSec)}</span>
+        </div>
+        <div class="trip-stats-row">
+            <span>速度 ${speedText} km/h</span>
+            <span>平均 ${avgSpeed !== null ? avgSpeed.toFixed(1) : '-'} km/h</span>
+            <span>↑${Math.round(stats.ascentM)}m ↓${Math.round(stats.descentM)}m</span>
+        </div>
+    `;
+    panel.classList.remove('hidden');
+}
+
+/**
+ * 参照ルートとの比較結果を表示
+ * @param {{crossTrackM: number, remainingM: number, isOffRoute: boolean, name: string}|null} guide - nullで非表示
+ */
+export function updateRouteGuidePanel(guide) {
+    const panel = document.getElementById('routeGuide');
+    const statusEl = document.getElementById('status');
+    if (!panel) return;
+
+    if (!guide) {
+        panel.classList.add('hidden');
+        if (statusEl) statusEl.classList.remove('off-route');
+        return;
+    }
+
+    const warning = guide.isOffRoute ? '<div class="route-guide-warning">ルートから外れています</div>' : '';
+    panel.innerHTML = `
+        ${warning}
+        <div class="trip-stats-row">
+            <span>ルートまで ${formatDistance(guide.crossTrackM)}</span>
+            <span>残り ${formatDistance(guide.remainingM)}</span>
+        </div>
+    `;
+    panel.classList.remove('hidden');
+    if (statusEl) statusEl.classList.toggle('off-route', guide.isOffRoute);
+}
@@ -1,9 +1,14 @@
 // RouteLogger - ダイアログ関連UI
 
 import * as state from './state.js';
-import { getAllTracks, getAllPhotos } from './db.js';
-import { calculateTrackStats, formatDataSize } from './utils.js';
+import { WAYPOINT_CATEGORIES, DEFAULT_WAYPOINT_CATEGORY, DEFAULT_EXTERNAL_COLOR, LOW_STORAGE_WARNING_BYTES, ENCRYPTION_MIN_PASSPHRASE_LENGTH } from './config.js';
+import { getRouteTracks, getRoutePhotos, getRoute } from './db.js';
+import { calculateTrackStats, formatDataSize, loadImageFromBlob, escapeXml } from './utils.js';
 import { toggleVisibility, updateStatus } from './ui-common.js';
+import { summarizeRejectedFixes } from './gps-filter.js';
+import { calculateTripStats, formatTripStatsRows, formatDuration, formatDistance } from './trip-stats.js';
+import { summarizeStops } from './auto-pause.js';
+import { getStorageEstimate, shrinkOldPhotos } from './storage-quota.js';
 
 /**
  * ドキュメント名入力ダイアログを表示
@@ -61,6 +66,65 @@ export function showDocNameDialog(defaultName, title) {
     });
 }
 
+/**
+ * ウェイポイント入力ダイアログを表示
+ * @param {string} defaultName - デフォルト名
+ * @returns {Promise<{name: string, category: string, note: string}|null>}
+ */
+export function showWaypointDialog(defaultName) {
+    return new Promise((resolve) => {
+        const dialogId = 'waypointDialog';
+        const nameInput = document.getElementById('waypointNameInput');
+        const categorySelect = document.getElementById('waypointCategorySelect');
+        const noteInput = document.getElementById('waypointNoteInput');
+        const okBtn = document.getElementById('waypointOkBtn');
+        const cancelBtn = document.getElementById('waypointCancelBtn');
+
+        if (categorySelect.options.length === 0) {
+            Object.entries(WAYPOINT_CATEGORIES).forEach(([key, def]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = def.label;
+                categorySelect.appendChild(option);
+            });
+        }
+
+        nameInput.value = defaultName;
+        categorySelect.value = DEFAULT_WAYPOINT_CATEGORY;
+        noteInput.value = '';
+
+        const handleOk = () => {
+            const name = nameInput.value.trim();
+            if (!name) {
+                alert('名前を入力してください');
+                return;
+            }
+            cleanup();
+            resolve({ name, category: categorySelect.value, note: noteInput.value.trim() });
+        };
+
+        const handleCancel = () => {
+            cleanup();
+            resolve(null);
+        };
+
+        okBtn.addEventListener('click', handleOk);
+        cancelBtn.addEventListener('click', handleCancel);
+
+        const cleanup = () => {
+            okBtn.removeEventListener('click', handleOk);
+            cancelBtn.removeEventListener('click', handleCancel);
+            nameInput.blur();
+            noteInput.blur();
+            toggleVisibility(dialogId, false);
+        };
+
+        toggleVisibility(dialogId, true);
+        nameInput.focus();
+        nameInput.select();
+    });
+}
+
 /**
  * ドキュメント選択ダイアログを表示
  * @param {Array} documents - ドキュメント配列
@@ -108,6 +172,395 @@ export function showDocumentListDialog(documents, onLoad) {
     toggleVisibility('documentListDialog', true);
 }
 
+/**
+ * ルート一覧ダイアログを表示
+ * @param {Array} routes - ルートの配列（表示順）
+ * @param {{onOpen: Function, onRename: Function, onDelete: Function}} handlers - 各操作のコールバック（ルートを渡す）
+ */
+export function showRouteLibraryDialog(routes, handlers) {
+    const routeList = document.getElementById('routeList');
+    routeList.innerHTML = '';
+
+    if (routes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'doc-item-meta';
+        empty.textContent = '保存されているルートはありません';
+        routeList.appendChild(empty);
+    }
+
+    routes.forEach(route => {
+        const item = document.createElement('div');
+        item.className = 'doc-item route-item';
+        if (route.id === state.currentRouteId) item.classList.add('current');
+
+        const title = document.createElement('div');
+        title.className = 'doc-item-title';
+        title.textContent = route.id === state.currentRouteId ? `${route.name}（表示中）` : route.name;
+
+        const stats = route.stats || {};
+        const meta = document.createElement('div');
+        meta.className = 'doc-item-meta';
+        const dateStr = route.timestamp ? route.timestamp.replace('T', ' ') : '日時不明';
+        meta.textContent = `${dateStr} | ${formatDistance(stats.distanceM || 0)} | ${formatDuration(stats.elapsedTimeSec || 0)}`;
+
+        const counts = document.createElement('div');
+        counts.className = 'doc-item-meta';
+        counts.textContent = `記録点数: ${stats.totalPoints || 0} | 写真: ${stats.photoCount || 0} | ウェイポイント: ${stats.waypointCount || 0}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'route-item-actions';
+        [
+            { label: 'Open', handler: handlers.onOpen },
+            { label: 'Rename', handler: handlers.onRename },
+            { label: 'Delete', handler: handlers.onDelete, danger: true }
+        ].forEach(({ label, handler, danger }) => {
+            const button = document.createElement('button');
+            button.className = danger ? 'secondary-btn danger-btn' : 'secondary-btn';
+            button.textContent = label;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                handler(route);
+            };
+            actions.appendChild(button);
+        });
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(counts);
+        item.appendChild(actions);
+        routeList.appendChild(item);
+    });
+
+    toggleVisibility('routeLibraryDialog', true);
+}
+
+/**
+ * ルート一覧ダイアログを閉じる
+ */
+export function closeRouteLibraryDialog() {
+    toggleVisibility('routeLibraryDialog', false);
+}
+
+/**
+ * ごみ箱ダイアログを表示
+ * @param {Array} entries - ごみ箱のエントリ（新しい順）
+ * @param {number} retentionDays - 保存日数
+ * @param {{onRestore: function(Object), onPurge: function(Object)}} handlers
+ */
+export function showTrashDialog(entries, retentionDays, handlers) {
+    const trashList = document.getElementById('trashList');
+    const note = document.getElementById('trashRetentionNote');
+    trashList.innerHTML = '';
+    if (note) note.textContent = `削除したデータは${retentionDays}日後に完全に削除されます`;
+
+    if (entries.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'doc-item-meta';
+        empty.textContent = 'ごみ箱は空です';
+        trashList.appendChild(empty);
+    }
+
+    const kindLabels = { photo: '写真', route: 'ルート', all: '全データ', external: '外部データ' };
+    const storeLabels = { routes: 'ルート', tracks: 'トラック', photos: '写真', waypoints: 'ウェイポイント', externals: '外部データ', external_photos: '外部写真' };
+
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'doc-item route-item trash-item';
+
+        const title = document.createElement('div');
+        title.className = 'doc-item-title';
+        const name = document.createElement('span');
+        name.textContent = entry.label;
+        const kind = document.createElement('span');
+        kind.className = 'doc-item-meta';
+        kind.textContent = kindLabels[entry.kind] || entry.kind;
+        title.appendChild(name);
+        title.appendChild(kind);
+
+        const deletedAt = new Date(entry.deletedAt);
+        const daysLeft = Math.max(0, Math.ceil(retentionDays - (Date.now() - deletedAt.getTime()) / (24 * 60 * 60 * 1000)));
+        const meta = document.createElement('div');
+        meta.className = 'doc-item-meta';
+        meta.textContent = `削除: ${deletedAt.toLocaleString('ja-JP')} | あと${daysLeft}日`;
+
+        const counts = document.createElement('div');
+        counts.className = 'doc-item-meta';
+        counts.textContent = Object.entries(entry.counts || {})
+            .filter(([storeName, count]) => count > 0 && storeLabels[storeName])
+            .map(([storeName, count]) => `${storeLabels[storeName]}: ${count}`)
+            .join(' | ');
+
+        const actions = document.createElement('div');
+        actions.className = 'route-item-actions';
+        [
+            { label: 'Restore', handler: handlers.onRestore },
+            { label: 'Delete', handler: handlers.onPurge, danger: true }
+        ].forEach(({ label, handler, danger }) => {
+            const button = document.createElement('button');
+            button.className = danger ? 'secondary-btn danger-btn' : 'secondary-btn';
+            button.textContent = label;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                handler(entry);
+            };
+            actions.appendChild(button);
+        });
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(counts);
+        item.appendChild(actions);
+        trashList.appendChild(item);
+    });
+
+    const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+    if (emptyTrashBtn) emptyTrashBtn.disabled = entries.length === 0;
+
+    toggleVisibility('trashDialog', true);
+}
+
+/**
+ * ごみ箱ダイアログを閉じる
+ */
+export function closeTrashDialog() {
+    toggleVisibility('trashDialog', false);
+}
+
+/**
+ * 外部データのレイヤー管理ダイアログを表示
+ * @param {Array} items - 外部データ（getAllExternalData()のレコード）
+ * @param {{onToggle: function(Object, boolean), onZoom: function(Object), onColor: function(Object, string), onRename: function(Object), onDelete: function(Object)}} handlers
+ */
+export function showExternalLayersDialog(items, handlers) {
+    const list = document.getElementById('externalLayerList');
+    list.innerHTML = '';
+
+    if (items.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'doc-item-meta';
+        empty.textContent = '読み込んだ外部データはありません';
+        list.appendChild(empty);
+    }
+
+    items.forEach(external => {
+        const item = document.createElement('div');
+        item.className = 'doc-item route-item';
+
+        const title = document.createElement('div');
+        title.className = 'doc-item-title';
+        title.textContent = external.name;
+
+        const features = (external.data && external.data.features) || [];
+        const countType = types => features.filter(f => f.geometry && types.includes(f.geometry.type)).length;
+        const meta = document.createElement('div');
+        meta.className = 'doc-item-meta';
+        const dateStr = external.timestamp ? new Date(external.timestamp).toLocaleString('ja-JP') : '日時不明';
+        meta.textContent = `${dateStr} | 線: ${countType(['LineString', 'MultiLineString'])} | ポイント: ${countType(['Point', 'MultiPoint'])}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'route-item-actions';
+
+        // 表示・非表示（保存した設定がなければ表示）
+        const visibleLabel = document.createElement('label');
+        visibleLabel.className = 'external-layer-toggle';
+        const visibleCheckbox = document.createElement('input');
+        visibleCheckbox.type = 'checkbox';
+        visibleCheckbox.checked = external.visible !== false;
+        visibleCheckbox.onchange = () => handlers.onToggle(external, visibleCheckbox.checked);
+        visibleLabel.appendChild(visibleCheckbox);
+        visibleLabel.appendChild(document.createTextNode('Show'));
+        actions.appendChild(visibleLabel);
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.className = 'external-layer-color';
+        colorInput.title = '色';
+        colorInput.value = external.color || DEFAULT_EXTERNAL_COLOR;
+        colorInput.onchange = () => handlers.onColor(external, colorInput.value);
+        actions.appendChild(colorInput);
+
+        [
+            { label: 'Zoom', handler: handlers.onZoom },
+            { label: 'Rename', handler: handlers.onRename },
+            { label: 'Delete', handler: handlers.onDelete, danger: true }
+        ].forEach(({ label, handler, danger }) => {
+            const button = document.createElement('button');
+            button.className = danger ? 'secondary-btn danger-btn' : 'secondary-btn';
+            button.textContent = label;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                handler(external);
+            };
+            actions.appendChild(button);
+        });
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+
+    toggleVisibility('externalLayersDialog', true);
+}
+
+/**
+ * 外部データのレイヤー管理ダイアログを閉じる
+ */
+export function closeExternalLayersDialog() {
+    toggleVisibility('externalLayersDialog', false);
+}
+
+/**
+ * オフライン地図ダイアログを表示（範囲の指定と、ダウンロードした範囲の一覧）
+ * @param {Object} options
+ * @param {Array} options.areas - ダウンロードした範囲
+ * @param {Object<string, string>} options.layerLabels - レイヤーのキー → 表示名
+ * @param {Array<string>} options.routeNames - 外部データのルート名（範囲の選択肢）
+ * @param {number} options.defaultBufferM - ルート周辺の規定の幅（m）
+ * @param {number} options.currentZoom - 地図の現在のズーム（最小ズームの初期値）
+ * @param {boolean} options.isDownloading
+ * @param {function(Object): string} options.onEstimate - 入力 → 見積もりの表示文字列
+ * @param {function(Object): void} options.onDownload - ダウンロード（ダウンロード中は中止）
+ * @param {function(Object): void} options.onShow
+ * @param {function(Object): void} options.onDelete
+ */
+export function showOfflineMapsDialog(options) {
+    const nameInput = document.getElementById('offlineAreaNameInput');
+    const sourceSelect = document.getElementById('offlineAreaSourceSelect');
+    const bufferInput = document.getElementById('offlineBufferInput');
+    const bufferRow = document.getElementById('offlineBufferRow');
+    const minZoomInput = document.getElementById('offlineMinZoomInput');
+    const maxZoomInput = document.getElementById('offlineMaxZoomInput');
+    const estimateEl = document.getElementById('offlineEstimate');
+    const downloadBtn = document.getElementById('offlineDownloadBtn');
+
+    sourceSelect.innerHTML = '';
+    const viewOption = document.createElement('option');
+    viewOption.value = 'view';
+    viewOption.textContent = '表示中の範囲';
+    sourceSelect.appendChild(viewOption);
+    options.routeNames.forEach((name, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = `ルート周辺: ${name}`;
+        sourceSelect.appendChild(option);
+    });
+
+    nameInput.value = '';
+    bufferInput.value = options.defaultBufferM;
+    minZoomInput.value = Math.round(options.currentZoom);
+    maxZoomInput.value = Math.max(Math.round(options.currentZoom), 16);
+
+    const readRequest = () => ({
+        name: nameInput.value.trim(),
+        source: sourceSelect.value === 'view' ? 'view' : parseInt(sourceSelect.value),
+        bufferM: parseInt(bufferInput.value),
+        minZoom: parseInt(minZoomInput.value),
+        maxZoom: parseInt(maxZoomInput.value)
+    });
+    const updateEstimate = () => {
+        const request = readRequest();
+        bufferRow.classList.toggle('hidden', request.source === 'view');
+        estimateEl.textContent = isNaN(request.minZoom) || isNaN(request.maxZoom) || request.minZoom > request.maxZoom
+            ? 'ズームの範囲を確認してください'
+            : options.onEstimate(request);
+    };
+
+    [sourceSelect, bufferInput, minZoomInput, maxZoomInput].forEach(input => { input.onchange = updateEstimate; });
+    downloadBtn.onclick = () => {
+        const request = readRequest();
+        if (isNaN(request.minZoom) || isNaN(request.maxZoom) || request.minZoom > request.maxZoom) {
+            alert('ズームの範囲を確認してください');
+            return;
+        }
+        options.onDownload(request);
+    };
+
+    setOfflineDownloadProgress('', options.isDownloading);
+    updateEstimate();
+    updateOfflineAreaList(options);
+    toggleVisibility('offlineMapsDialog', true);
+}
+
+/**
+ * オフライン地図ダイアログの範囲の一覧を表示し直す
+ * @param {{areas: Array, layerLabels: Object<string, string>, onShow: function(Object): void, onDelete: function(Object): void}} content
+ */
+export function updateOfflineAreaList({ areas, layerLabels, onShow, onDelete }) {
+    const list = document.getElementById('offlineAreaList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (areas.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'doc-item-meta';
+        empty.textContent = 'ダウンロードした地図はありません';
+        list.appendChild(empty);
+    }
+
+    areas.forEach(area => {
+        const item = document.createElement('div');
+        item.className = 'doc-item route-item';
+
+        const title = document.createElement('div');
+        title.className = 'doc-item-title';
+        title.textContent = area.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'doc-item-meta';
+        const layers = (area.layers || []).map(key => layerLabels[key] || key).join('・');
+        meta.textContent = `${layers} | ズーム${area.minZoom}〜${area.maxZoom} | ${(area.tiles || []).length}枚 | ${formatDataSize(area.bytes || 0)}`;
+
+        const created = document.createElement('div');
+        created.className = 'doc-item-meta';
+        created.textContent = `保存: ${new Date(area.createdAt).toLocaleString('ja-JP')}`;
+
+        const actions = document.createElement('div');
+        actions.className = 'route-item-actions';
+        [
+            { label: 'Show', handler: onShow },
+            { label: 'Delete', handler: onDelete, danger: true }
+        ].forEach(({ label, handler, danger }) => {
+            const button = document.createElement('button');
+            button.className = danger ? 'secondary-btn danger-btn' : 'secondary-btn';
+            button.textContent = label;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                handler(area);
+            };
+            actions.appendChild(button);
+        });
+
+        item.appendChild(title);
+        item.appendChild(meta);
+        item.appendChild(created);
+        item.appendChild(actions);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * オフライン地図のダウンロードの進み具合を表示（ダウンロード中はボタンを中止ボタンにする）
+ * @param {string} text
+ * @param {boolean} isDownloading
+ */
+export function setOfflineDownloadProgress(text, isDownloading) {
+    const progress = document.getElementById('offlineProgress');
+    if (progress) progress.textContent = text;
+    const downloadBtn = document.getElementById('offlineDownloadBtn');
+    if (downloadBtn) {
+        downloadBtn.textContent = isDownloading ? 'Stop' : 'Download';
+        downloadBtn.classList.toggle('danger-btn', isDownloading);
+    }
+}
+
+/**
+ * オフライン地図ダイアログを閉じる
+ */
+export function closeOfflineMapsDialog() {
+    toggleVisibility('offlineMapsDialog', false);
+}
+
 /**
  * ドキュメント選択ダイアログを閉じる
  */
@@ -124,8 +577,10 @@ export function closeDocumentListDialog() {
  */
 export async function showDataSize() {
     try {
-        const allTracks = await getAllTracks();
-        const allPhotos = await getAllPhotos();
+        // 開いているルートのデータ
+        const route = state.currentRouteId !== null ? await getRoute(state.currentRouteId) : null;
+        const allTracks = await getRouteTracks(state.currentRouteId);
+        const allPhotos = await getRoutePhotos(state.currentRouteId);
         const trackStats = calculateTrackStats(allTracks);
 
         // GPSデータサイズ
@@ -134,29 +589,52 @@ export async function showDataSize() {
             gpsDataSizeBytes += new Blob([JSON.stringify(track)]).size;
         });
 
+        // GPSフィルタで除外した測位
+        const rejected = summarizeRejectedFixes(allTracks);
+
+        // 移動統計
+        const tripRows = formatTripStatsRows(calculateTripStats(allTracks));
+        const stops = summarizeStops(allTracks);
+        if (stops.length > 0) {
+            const stopSec = stops.reduce((sum, stop) => sum + stop.durationSec, 0);
+            tripRows.push({ label: '自動停止', value: `${stops.length}回 (${formatDuration(stopSec)})` });
+        }
+        // 省電力モードで記録したトラックがあれば測位モードを表示
+        const savedTracks = allTracks.filter(track => track.recordingPolicy && track.recordingPolicy.samplingMode === 'batterySaver');
+        if (savedTracks.length > 0) {
+            const lowCount = savedTracks.reduce((sum, track) =>
+                sum + (track.events || []).filter(e => e.type === 'samplingLow').length, 0);
+            tripRows.push({ label: '測位モード', value: `省電力 (低頻度測位 ${lowCount}回)` });
+        }
+
         // 写真データサイズと解像度
         let photosTotalSize = 0;
         let photosResolution = '-';
 
         if (allPhotos.length > 0) {
             allPhotos.forEach(photo => {
-                photosTotalSize += new Blob([photo.data]).size;
+                photosTotalSize += (photo.blob ? photo.blob.size : 0) + (photo.thumbBlob ? photo.thumbBlob.size : 0);
             });
 
             const lastPhoto = allPhotos[allPhotos.length - 1];
-            const img = new Image();
-            await new Promise((resolve) => {
-                img.onload = () => {
+            if (lastPhoto.blob) {
+                try {
+                    const img = await loadImageFromBlob(lastPhoto.blob);
                     photosResolution = `${img.width} × ${img.height}`;
-                    resolve();
-                };
-                img.onerror = resolve;
-                img.src = lastPhoto.data;
-            });
+                } catch (e) { /* 解像度は不明のまま */ }
+            }
         }
 
+        // 端末の保存領域（ブラウザの割り当て容量）
+        const storage = await getStorageEstimate();
+        const storageLow = storage && storage.available < LOW_STORAGE_WARNING_BYTES;
+
         const statsHTML = `
             <div class="stat-section">
+                <div class="stat-row">
+                    <span class="stat-label">ルート:</span>
+                    <span class="stat-value">${route ? escapeXml(route.name) : '-'}</span>
+                </div>
                 <div class="stat-row">
                     <span class="stat-label">記録点数:</span>
                     <span class="stat-value">${trackStats.totalPoints}点</span>
@@ -165,6 +643,17 @@ export async function showDataSize() {
                     <span class="stat-label">GPSサイズ:</span>
                     <span class="stat-value">${formatDataSize(gpsDataSizeBytes)}</span>
                 </div>
+                <div class="stat-row">
+                    <span class="stat-label">除外した測位:</span>
+                    <span class="stat-value">${rejected.total}件${rejected.total > 0 ? ` (精度 ${rejected.accuracy} / 速度 ${rejected.speed})` : ''}</span>
+                </div>
+            </div>
+            <div class="stat-section">
+                ${tripRows.map(row => `
+                <div class="stat-row">
+                    <span class="stat-label">${row.label}:</span>
+                    <span class="stat-value">${row.value}</span>
+                </div>`).join('')}
             </div>
             <div class="stat-section">
                 <div class="stat-row">
@@ -180,9 +669,40 @@ export async function showDataSize() {
                     <span class="stat-value">${photosResolution}</span>
                 </div>
             </div>
+            <div class="stat-section">
+                <div class="stat-row">
+                    <span class="stat-label">使用容量:</span>
+                    <span class="stat-value">${storage ? `${formatDataSize(storage.usage)} / ${formatDataSize(storage.quota)}` : '不明'}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">空き容量:</span>
+                    <span class="stat-value"${storageLow ? ' style="color:#FF3B30;"' : ''}>${storage ? formatDataSize(storage.available) : '不明'}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">永続化:</span>
+                    <span class="stat-value">${!storage || storage.persisted === null ? '不明' : (storage.persisted ? '有効' : '無効（容量不足時に削除される可能性あり）')}</span>
+                </div>
+                <div class="stat-row">
+                    <span class="stat-label">古い写真:</span>
+                    <span class="stat-value">
+                        <select id="shrinkPhotosAge">
+                            <option value="30">30日より前</option>
+                            <option value="7">7日より前</option>
+                            <option value="0">すべて</option>
+                        </select>
+                        <select id="shrinkPhotosLevel">
+                            <option value="1">360×640</option>
+                            <option value="2">180×320</option>
+                        </select>
+                        <button id="shrinkPhotosBtn" class="secondary-btn" style="padding:2px 10px;">縮小</button>
+                    </span>
+                </div>
+            </div>
         `;
 
         document.getElementById('statsBody').innerHTML = statsHTML;
+        const shrinkPhotosBtn = document.getElementById('shrinkPhotosBtn');
+        if (shrinkPhotosBtn) shrinkPhotosBtn.onclick = handleShrinkPhotos;
         toggleVisibility('statsDialog', true);
     } catch (error) {
         console.error('データサイズ取得エラー:', error);
@@ -190,6 +710,32 @@ export async function showDataSize() {
     }
 }
 
+/**
+ * Sizeダイアログの「縮小」: 選択した期間より前の写真を選択した解像度まで縮小
+ */
+async function handleShrinkPhotos() {
+    const days = parseInt(document.getElementById('shrinkPhotosAge').value);
+    const level = parseInt(document.getElementById('shrinkPhotosLevel').value);
+    const { width, height } = state.getPhotoSize(level);
+    const target = days > 0 ? `${days}日より前の写真` : 'すべての写真';
+    if (!confirm(`${target}を${width}×${height}に縮小します（記録中のルートを除く）。\n元の解像度には戻せません。よろしいですか？`)) return;
+
+    const button = document.getElementById('shrinkPhotosBtn');
+    if (button) button.disabled = true;
+    try {
+        const result = await shrinkOldPhotos(level, days, (done, total) => {
+            updateStatus(`写真を縮小中... (${done}/${total})`);
+        });
+        updateStatus(`写真を${result.count}枚縮小しました（${formatDataSize(result.savedBytes)}削減）`);
+        await showDataSize();
+    } catch (error) {
+        console.error('写真縮小エラー:', error);
+        alert('写真の縮小に失敗しました: ' + error.message);
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
 /**
  * Sizeダイアログが開いている場合はデータサイズを更新
  */
@@ -212,10 +758,10 @@ export function closeStatsDialog() {
 }
 
 /**
- * 既存データ確認ダイアログを表示
+ * 記録開始時の確認ダイアログを表示
  * @param {string} message - メッセージ
- * @param {boolean} hasData - 既存データがあるかどうか
- * @returns {Promise<string>} 'init', 'append', 'cancel'
+ * @param {boolean} hasData - 開いているルートにデータがあるかどうか
+ * @returns {Promise<string>} 'init'（新しいルート）, 'append'（開いているルートに追記）, 'cancel'
  */
 export function showClearDataDialog(message, hasData) {
     return new Promise((resolve) => {
@@ -235,9 +781,9 @@ export function showClearDataDialog(message, hasData) {
         body.innerText = message;
 
         if (hasData) {
-            title.textContent = 'Existing Data Found';
-            initBtn.textContent = 'Start New (Clear Data)';
-            initBtn.classList.add('danger-btn');
+            title.textContent = 'Current Route';
+            initBtn.textContent = 'Start New Route';
+            initBtn.classList.remove('danger-btn');
             appendBtn.textContent = 'Continue (Append)';
             appendBtn.style.display = 'block';
             if (cancelBtn) cancelBtn.style.display = 'block';
@@ -283,3 +829,190 @@ export function showClearDataDialog(message, hasData) {
         toggleVisibility(dialogId, true);
     });
 }
+
+/**
+ * バックアップの復元方法を選択するダイアログを表示
+ * @param {string} message - バックアップの内容の説明
+ * @returns {Promise<'merge'|'replace'|'cancel'>}
+ */
+export function showRestoreBackupDialog(message) {
+    return new Promise((resolve) => {
+        const dialogId = 'restoreBackupDialog';
+        const body = document.getElementById('restoreBackupBody');
+        const mergeBtn = document.getElementById('restoreBackupMergeBtn');
+        const replaceBtn = document.getElementById('restoreBackupReplaceBtn');
+        const cancelBtn = document.getElementById('restoreBackupCancelBtn');
+
+        if (!body || !mergeBtn || !replaceBtn || !cancelBtn) {
+            console.error('showRestoreBackupDialog: 必要なDOM要素が見つかりません');
+            resolve('cancel');
+            return;
+        }
+
+        body.innerText = message;
+
+        const cleanup = () => {
+            mergeBtn.onclick = null;
+            replaceBtn.onclick = null;
+            cancelBtn.onclick = null;
+            toggleVisibility(dialogId, false);
+        };
+
+        mergeBtn.onclick = () => { cleanup(); resolve('merge'); };
+        replaceBtn.onclick = () => { cleanup(); resolve('replace'); };
+        cancelBtn.onclick = () => { cleanup(); resolve('cancel'); };
+
+        toggleVisibility(dialogId, true);
+    });
+}
+
+/**
+ * パスフレーズ入力ダイアログを表示（データの暗号化の有効化・パスフレーズ変更・解除）
+ * 忘れると復元できないことの警告は、新しいパスフレーズを入力する場合に表示する
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.message]
+ * @param {boolean} [options.askCurrent=false] - 現在のパスフレーズを入力させる
+ * @param {boolean} [options.askNew=false] - 新しいパスフレーズ（と確認）を入力させる
+ * @param {function(string, string): Promise<void>} options.onSubmit - (現在, 新しい)。失敗した場合はエラーを投げる（メッセージをダイアログに表示）
+ * @returns {Promise<boolean>} 実行した場合true、キャンセルした場合false
+ */
+export function showPassphraseDialog({ title, message = '', askCurrent = false, askNew = false, onSubmit }) {
+    return new Promise((resolve) => {
+        const dialogId = 'passphraseDialog';
+        const currentInput = document.getElementById('passphraseCurrentInput');
+        const newInput = document.getElementById('passphraseNewInput');
+        const confirmInput = document.getElementById('passphraseConfirmInput');
+        const errorEl = document.getElementById('passphraseError');
+        const okBtn = document.getElementById('passphraseOkBtn');
+        const cancelBtn = document.getElementById('passphraseCancelBtn');
+
+        if (!currentInput || !newInput || !confirmInput || !errorEl || !okBtn || !cancelBtn) {
+            console.error('showPassphraseDialog: 必要なDOM要素が見つかりません');
+            resolve(false);
+            return;
+        }
+
+        document.getElementById('passphraseTitle').textContent = title;
+        document.getElementById('passphraseMessage').innerText = message;
+        document.getElementById('passphraseWarning').classList.toggle('hidden', !askNew);
+        currentInput.classList.toggle('hidden', !askCurrent);
+        newInput.classList.toggle('hidden', !askNew);
+        confirmInput.classList.toggle('hidden', !askNew);
+        [currentInput, newInput, confirmInput].forEach(input => { input.value = ''; });
+        errorEl.textContent = '';
+
+        const handleOk = async () => {
+            if (askCurrent && !currentInput.value) {
+                errorEl.textContent = '現在のパスフレーズを入力してください';
+                return;
+            }
+            if (askNew && newInput.value.length < ENCRYPTION_MIN_PASSPHRASE_LENGTH) {
+                errorEl.textContent = `パスフレーズは${ENCRYPTION_MIN_PASSPHRASE_LENGTH}文字以上にしてください`;
+                return;
+            }
+            if (askNew && newInput.value !== confirmInput.value) {
+                errorEl.textContent = '確認のパスフレーズが一致しません';
+                return;
+            }
+
+            okBtn.disabled = true;
+            cancelBtn.disabled = true;
+            errorEl.textContent = '処理中...';
+            try {
+                await onSubmit(currentInput.value, newInput.value);
+                cleanup();
+                resolve(true);
+            } catch (error) {
+                errorEl.textContent = error.message;
+            } finally {
+                okBtn.disabled = false;
+                cancelBtn.disabled = false;
+            }
+        };
+
+        const handleCancel = () => {
+            cleanup();
+            resolve(false);
+        };
+
+        const cleanup = () => {
+            okBtn.onclick = null;
+            cancelBtn.onclick = null;
+            [currentInput, newInput, confirmInput].forEach(input => {
+                input.value = '';
+                input.blur();
+            });
+            toggleVisibility(dialogId, false);
+        };
+
+        okBtn.onclick = handleOk;
+        cancelBtn.onclick = handleCancel;
+
+        toggleVisibility(dialogId, true);
+        (askCurrent ? currentInput : newInput).focus();
+    });
+}
+
+/**
+ * 起動時の解錠ダイアログを表示（正しいパスフレーズが入力されるまで閉じない）
+ * @param {function(string): Promise<void>} unlock - 解錠する。パスフレーズが違う場合はエラーを投げる
+ * @param {function(): Promise<void>} reset - パスフレーズを忘れた場合に、端末内のデータをすべて削除して起動し直す
+ * @returns {Promise<void>} 解錠したら解決
+ */
+export function showUnlockDialog(unlock, reset) {
+    return new Promise((resolve) => {
+        const dialogId = 'unlockDialog';
+        const input = document.getElementById('unlockPassphraseInput');
+        const errorEl = document.getElementById('unlockError');
+        const okBtn = document.getElementById('unlockOkBtn');
+        const resetBtn = document.getElementById('unlockResetBtn');
+
+        errorEl.textContent = '';
+        input.value = '';
+
+        const handleOk = async () => {
+            if (!input.value) return;
+            okBtn.disabled = true;
+            errorEl.textContent = '解錠中...';
+            try {
+                await unlock(input.value);
+                okBtn.onclick = null;
+                resetBtn.onclick = null;
+                input.onkeypress = null;
+                input.value = '';
+                input.blur();
+                toggleVisibility(dialogId, false);
+                resolve();
+            } catch (error) {
+                errorEl.textContent = error.message;
+                input.select();
+            } finally {
+                okBtn.disabled = false;
+            }
+        };
+
+        const handleReset = async () => {
+            if (!confirm('端末内のルート・写真・外部データ・オフライン地図・設定をすべて削除して、初期状態に戻しますか？\n暗号化したデータは復元できません。')) return;
+            okBtn.disabled = true;
+            resetBtn.disabled = true;
+            errorEl.textContent = '削除中...';
+            try {
+                await reset();
+            } catch (error) {
+                errorEl.textContent = error.message;
+                okBtn.disabled = false;
+                resetBtn.disabled = false;
+            }
+        };
+
+        okBtn.onclick = handleOk;
+        resetBtn.onclick = handleReset;
+        input.onkeypress = (e) => {
+            if (e.key === 'Enter') handleOk();
+        };
+
+        toggleVisibility(dialogId, true);
+        input.focus();
+    });
+}
@@ -0,0 +1,110 @@
+// RouteLogger - データの暗号化UI（起動時の解錠・設定ダイアログ内の有効化・変更・解除）
+
+import * as state from './state.js';
+import { OFFLINE_TILE_CACHE_NAME } from './config.js';
+import { loadEncryptionSettings, unlockEncryption, enableEncryption, disableEncryption, changeEncryptionPassphrase, deleteDatabase } from './db.js';
+import { isEncryptionSupported, isEncryptionEnabled } from './encryption.js';
+import { updateStatus, showPassphraseDialog, showUnlockDialog } from './ui.js';
+
+/**
+ * 起動時、データが暗号化されていればパスフレーズで解錠する（解錠するまで先に進まない）
+ * initIndexedDB()の直後、データを読み込む前に呼び出す
+ */
+export async function unlockStoredData() {
+    if (!await loadEncryptionSettings()) return;
+
+    if (!isEncryptionSupported()) {
+        alert('データは暗号化されていますが、このブラウザ（またはHTTPS以外の接続）では復号できません。');
+    }
+    await showUnlockDialog(unlockEncryption, resetStoredData);
+}
+
+/**
+ * パスフレーズを忘れた場合に、端末内のデータ（データベース・設定・オフライン地図）をすべて削除して起動し直す
+ */
+async function resetStoredData() {
+    await deleteDatabase();
+    Object.keys(localStorage)
+        .filter(key => key.startsWith('routeLogger_'))
+        .forEach(key => localStorage.removeItem(key));
+    if ('caches' in window) {
+        await caches.delete(OFFLINE_TILE_CACHE_NAME);
+    }
+    location.reload();
+}
+
+/**
+ * 暗号化の状態を設定ダイアログに表示
+ */
+export function updateEncryptionStatus() {
+    const enabled = isEncryptionEnabled();
+    const statusEl = document.getElementById('encryptionStatus');
+    if (statusEl) {
+        statusEl.textContent = enabled
+            ? '有効（トラック・写真・ウェイポイント・外部データ・オフライン地図の範囲。ルート名と設定は暗号化しません）'
+            : 'トラック・写真・外部データをパスフレーズで暗号化して保存';
+    }
+    document.getElementById('encryptionEnableBtn')?.classList.toggle('hidden', enabled);
+    document.getElementById('encryptionChangeBtn')?.classList.toggle('hidden', !enabled);
+    document.getElementById('encryptionDisableBtn')?.classList.toggle('hidden', !enabled);
+}
+
+/**
+ * 暗号化UIのイベントリスナーを初期化
+ */
+export function initEncryptionUI() {
+    updateEncryptionStatus();
+
+    const showProgress = label => (done, total) => updateStatus(`${label}... (${done}/${total})`);
+
+    document.getElementById('encryptionEnableBtn')?.addEventListener('click', async () => {
+        if (!isEncryptionSupported()) {
+            alert('このブラウザ（またはHTTPS以外の接続）では暗号化を使用できません。');
+            return;
+        }
+        if (state.isTracking) {
+            alert('GPS記録中は暗号化を有効にできません。記録を停止してから実行してください。');
+            return;
+        }
+
+        const done = await showPassphraseDialog({
+            title: 'データの暗号化',
+            message: '保存済みと今後保存するトラック・写真・ウェイポイント・外部データを暗号化します。起動するたびにパスフレーズの入力が必要になります。',
+            askNew: true,
+            onSubmit: (current, next) => enableEncryption(next, showProgress('暗号化中'))
+        });
+        if (done) updateStatus('データの暗号化を有効にしました');
+        updateEncryptionStatus();
+    });
+
+    document.getElementById('encryptionChangeBtn')?.addEventListener('click', async () => {
+        const done = await showPassphraseDialog({
+            title: 'パスフレーズの変更',
+            message: 'データは暗号化し直さず、鍵を新しいパスフレーズで保護し直します。',
+            askCurrent: true,
+            askNew: true,
+            onSubmit: changeEncryptionPassphrase
+        });
+        if (done) updateStatus('パスフレーズを変更しました');
+    });
+
+    document.getElementById('encryptionDisableBtn')?.addEventListener('click', async () => {
+        if (state.isTracking) {
+            alert('GPS記録中は暗号化を解除できません。記録を停止してから実行してください。');
+            return;
+        }
+
+        const done = await showPassphraseDialog({
+            title: '暗号化の解除',
+            message: 'すべてのデータを復号して、暗号化せずに保存します。',
+            askCurrent: true,
+            onSubmit: async (current) => {
+                // パスフレーズを確認してから解除する
+                await unlockEncryption(current);
+                await disableEncryption(showProgress('復号中'));
+            }
+        });
+        if (done) updateStatus('データの暗号化を解除しました');
+        updateEncryptionStatus();
+    });
+}
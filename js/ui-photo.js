@@ -1,14 +1,17 @@
 // RouteLogger - 写真関連UI
 
 import * as state from './state.js';
-import { getAllPhotos, updatePhoto, deletePhoto, getAllExternalPhotos, getAllExternalData, saveExternalPhoto, getExternalPhoto } from './db.js';
+import { getRoutePhotos, getRouteTracks, updatePhoto, deletePhoto, getAllExternalPhotos, getAllExternalData, saveExternalPhoto, getExternalPhoto } from './db.js';
 import { removePhotoMarker } from './map.js';
+import { sortPhotosAlongRoute } from './photo-track.js';
 import { toggleVisibility, updateStatus } from './ui-common.js';
 
 let currentPhotoList = [];
 let currentPhotoIndex = -1;
 let currentDisplayedPhoto = null;
 let zoomController = null;
+// ビューアに表示中の写真のオブジェクトURL（切り替え・終了時に解放）
+let viewerObjectUrl = null;
 let _kbWatchHandler = null;
 let _doSave = null;
 let _doCancel = null;
@@ -58,14 +61,26 @@ async function _handlePendingEdit() {
     }
 }
 
+/**
+ * 開いているルートの写真をルート上の順に取得
+ * @returns {Promise<Array>}
+ */
+async function getRoutePhotosAlongRoute() {
+    const [photos, tracks] = await Promise.all([
+        getRoutePhotos(state.currentRouteId),
+        getRouteTracks(state.currentRouteId)
+    ]);
+    return sortPhotosAlongRoute(photos, tracks);
+}
+
 /**
  * マーカークリックから写真を表示
  * @param {Object} photo - 写真データ
  */
 export async function showPhotoFromMarker(photo) {
     try {
-        // ナビゲーションを有効にするために全写真リストを取得
-        const allPhotos = await getAllPhotos();
+        // ナビゲーションを有効にするために開いているルートの写真リストを取得
+        const allPhotos = await getRoutePhotosAlongRoute();
 
         let index = -1;
         if (allPhotos.length > 0) {
@@ -106,7 +121,9 @@ function renderPhotoGrid(photos, grid) {
         thumbDiv.className = 'photo-thumb';
 
         const img = document.createElement('img');
-        img.src = photo.data;
+        const objectUrl = URL.createObjectURL(photo.thumbBlob || photo.blob);
+        img.src = objectUrl;
+        img.onload = () => URL.revokeObjectURL(objectUrl);
         img.alt = '写真';
         thumbDiv.appendChild(img);
 
@@ -338,7 +355,7 @@ export async function showPhotoList() {
     const externalPhotoTabBtn = document.getElementById('externalPhotoTabBtn');
 
     try {
-        const [photos, extPhotoList] = await Promise.all([getAllPhotos(), buildExternalPhotoList()]);
+        const [photos, extPhotoList] = await Promise.all([getRoutePhotosAlongRoute(), buildExternalPhotoList()]);
 
         // カウント更新
         if (photoTabCount) photoTabCount.textContent = photos.length;
@@ -588,6 +605,16 @@ export function showPhotoViewer(photo, allPhotos = [], index = -1) {
     }
 }
 
+/**
+ * ビューアの写真のオブジェクトURLを解放
+ */
+function releaseViewerObjectUrl() {
+    if (viewerObjectUrl) {
+        URL.revokeObjectURL(viewerObjectUrl);
+        viewerObjectUrl = null;
+    }
+}
+
 /**
  * 写真ビューアのUIを更新
  * @param {Object} photo 
@@ -605,7 +632,9 @@ function updatePhotoViewerUI(photo, index, total) {
 
     if (!photo) return;
 
-    viewerImage.src = photo.data;
+    releaseViewerObjectUrl();
+    viewerObjectUrl = URL.createObjectURL(photo.blob);
+    viewerImage.src = viewerObjectUrl;
 
     let infoHTML = `撮影日時: ${new Date(photo.timestamp).toLocaleString('ja-JP')}`;
     if (photo.location) {
@@ -672,6 +701,7 @@ export async function closePhotoViewer() {
     if (fwdBtn) fwdBtn.style.display = '';
     if (bwdBtn) bwdBtn.style.display = '';
     toggleVisibility('photoViewer', false);
+    releaseViewerObjectUrl();
     if (state.isTracking) {
         const totalPoints = state.previousTotalPoints + state.trackingData.length;
         updateStatus(`GPS記録中 (${totalPoints}点記録)`);
@@ -837,7 +867,7 @@ export function initPhotoViewerControls() {
     const deleteBtn = document.getElementById('viewerDeleteBtn');
     if (deleteBtn) {
         deleteBtn.onclick = async () => {
-            if (!confirm('この写真を削除しますか？')) return;
+            if (!confirm('この写真をごみ箱に移しますか？')) return;
             // 編集中なら破棄（削除するので保存不要）
             if (_doCancel) _doCancel();
             const photo = currentPhotoList[currentPhotoIndex];
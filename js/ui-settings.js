@@ -1,9 +1,15 @@
 // RouteLogger - Settings & Clock UI
 
 import * as state from './state.js';
-import { DEFAULT_PHOTO_RESOLUTION_LEVEL, DEFAULT_PHOTO_QUALITY, DEFAULT_THUMBNAIL_SIZE } from './config.js';
-import { toggleVisibility } from './ui-common.js';
+import { DEFAULT_PHOTO_RESOLUTION_LEVEL, DEFAULT_PHOTO_QUALITY, DEFAULT_THUMBNAIL_SIZE, RECORDING_PROFILES, DEFAULT_OFF_ROUTE_THRESHOLD_M, TRACK_COLOR_MODES, OFFLINE_TILE_CACHE_NAME } from './config.js';
+import { toggleVisibility, updateStatus } from './ui-common.js';
 import { checkAndUpdateUserStatus } from './ui-auth.js';
+import { getAllTracks, getRouteTracks, getAllExternalData } from './db.js';
+import { listReferenceCandidates, setReferenceRoute, getReferenceRoute } from './route-guide.js';
+import { parseTrackFile, createSyntheticPath, buildSimulatedFixes, createSimulatedGeolocation } from './simulator.js';
+import { estimateBatteryImpact } from './battery-saver.js';
+import { calculateTripStats } from './trip-stats.js';
+import { setOverlayOpacity, setTrackColorMode } from './map.js';
 
 
 /**
@@ -50,6 +56,38 @@ function updateClock() {
     clockDisplay.textContent = `${hours}:${minutes}`;
 }
 
+/**
+ * 選択中のGPS記録プロファイルの記録条件を入力欄に反映
+ */
+function fillRecordingProfileInputs() {
+    const policy = state.getRecordingPolicy();
+    const select = document.getElementById('recordingProfileSelect');
+    if (select) select.value = policy.profile;
+
+    const fields = {
+        profileIntervalInput: policy.intervalSec,
+        profileDistanceInput: policy.distanceM,
+        profileMinIntervalInput: policy.minIntervalSec,
+        profileAccuracyInput: policy.maxAccuracyM,
+        profileMaxSpeedInput: policy.maxSpeedKmh
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value;
+    });
+
+    const msg = document.getElementById('recordingProfileMsg');
+    if (msg) msg.textContent = state.recordingProfileOverrides[policy.profile] ? '編集済み' : '';
+}
+
+/**
+ * GPS記録プロファイルの編集値をlocalStorageに保存
+ */
+function saveRecordingProfileSettings() {
+    localStorage.setItem('routeLogger_recordingProfile', state.recordingProfile);
+    localStorage.setItem('routeLogger_recordingProfiles', JSON.stringify(state.recordingProfileOverrides));
+}
+
 /**
  * ユーザー接続UIを更新（ui-auth.jsに委譲）
  */
@@ -92,13 +130,49 @@ export function showSettingsDialog() {
         minooEmergencyToggle.checked = state.isMinooEmergencyEnabled;
     }
 
-    // アプリバージョン（ブラウザに存在するキャッシュ名）を表示
+    const overlayOpacitySlider = document.getElementById('overlayOpacitySlider');
+    if (overlayOpacitySlider) {
+        overlayOpacitySlider.value = Math.round(state.mapOverlayOpacity * 100);
+        document.getElementById('overlayOpacityValue').textContent = `${overlayOpacitySlider.value}%`;
+    }
+
+    const trackColorModeSelect = document.getElementById('trackColorModeSelect');
+    if (trackColorModeSelect) {
+        trackColorModeSelect.value = state.trackColorMode;
+    }
+
+    fillRecordingProfileInputs();
+    fillReferenceRouteSelect();
+    fillSimulationTrackSelect();
+
+    const gpsSmoothingToggle = document.getElementById('gpsSmoothingToggle');
+    if (gpsSmoothingToggle) {
+        gpsSmoothingToggle.checked = state.isGpsSmoothingEnabled;
+    }
+
+    const autoPauseToggle = document.getElementById('autoPauseToggle');
+    if (autoPauseToggle) {
+        autoPauseToggle.checked = state.isAutoPauseEnabled;
+    }
+
+    const batterySaverToggle = document.getElementById('batterySaverToggle');
+    if (batterySaverToggle) {
+        batterySaverToggle.checked = state.isBatterySaverEnabled;
+    }
+    const batterySaverWakeLockToggle = document.getElementById('batterySaverWakeLockToggle');
+    if (batterySaverWakeLockToggle) {
+        batterySaverWakeLockToggle.checked = state.isBatterySaverWakeLockSkipped;
+    }
+    updateBatterySaverEstimate();
+
+    // アプリバージョン（ブラウザに存在するキャッシュ名。オフライン地図のキャッシュは除く）を表示
     const appVersionDisplay = document.getElementById('appVersionDisplay');
     if (appVersionDisplay) {
         if ('caches' in window) {
             caches.keys()
                 .then(keys => {
-                    appVersionDisplay.textContent = keys.length > 0 ? keys.join(', ') : '不明';
+                    const versions = keys.filter(key => key !== OFFLINE_TILE_CACHE_NAME);
+                    appVersionDisplay.textContent = versions.length > 0 ? versions.join(', ') : '不明';
                 })
                 .catch(() => {
                     appVersionDisplay.textContent = '取得失敗';
@@ -118,6 +192,197 @@ export function closeSettingsDialog() {
     toggleVisibility('settingsDialog', false);
 }
 
+// 移動割合の既定値（記録がないときの見積もり用）
+const DEFAULT_MOVING_RATIO = 0.7;
+
+/**
+ * 省電力モードの効果の目安を表示
+ * 記録済みトラックの移動時間の割合から、通常モードに対する消費電力を見積もる
+ */
+async function updateBatterySaverEstimate() {
+    const estimateEl = document.getElementById('batterySaverEstimate');
+    if (!estimateEl) return;
+
+    if (!state.isBatterySaverEnabled) {
+        estimateEl.textContent = '';
+        return;
+    }
+
+    let movingRatio = DEFAULT_MOVING_RATIO;
+    try {
+        const stats = calculateTripStats(await getAllTracks());
+        if (stats.elapsedTimeSec > 0) {
+            movingRatio = stats.movingTimeSec / stats.elapsedTimeSec;
+        }
+    } catch (e) {
+        console.warn('省電力モードの見積もりに失敗しました:', e);
+    }
+
+    const percent = estimateBatteryImpact(movingRatio, state.isBatterySaverWakeLockSkipped);
+    estimateEl.textContent = `消費電力の目安: 通常の約${percent}%（移動${Math.round(movingRatio * 100)}%として）`;
+}
+
+// 参照ルート候補（設定ダイアログを開くたびに外部データから作り直す）
+let referenceCandidates = [];
+
+/**
+ * 参照ルートの選択肢を外部データから作成
+ */
+async function fillReferenceRouteSelect() {
+    const select = document.getElementById('referenceRouteSelect');
+    if (!select) return;
+
+    referenceCandidates = listReferenceCandidates(await getAllExternalData());
+    select.innerHTML = '';
+
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = 'なし';
+    select.appendChild(noneOption);
+
+    referenceCandidates.forEach((candidate, index) => {
+        const option = document.createElement('option');
+        option.value = String(index);
+        option.textContent = candidate.name;
+        select.appendChild(option);
+    });
+
+    const current = getReferenceRoute();
+    const currentIndex = current
+        ? referenceCandidates.findIndex(c => c.externalId === current.externalId && c.featureIndex === current.featureIndex)
+        : -1;
+    select.value = currentIndex >= 0 ? String(currentIndex) : '';
+
+    const thresholdInput = document.getElementById('offRouteThresholdInput');
+    if (thresholdInput) thresholdInput.value = state.offRouteThresholdM;
+}
+
+/**
+ * 再生元が記録済みのときだけトラックの選択を表示
+ */
+function updateSimulationTrackItem() {
+    const source = document.getElementById('simulationSourceSelect');
+    const item = document.getElementById('simulationTrackItem');
+    if (!source || !item) return;
+    item.style.display = source.value === 'track' ? '' : 'none';
+}
+
+/**
+ * シミュレーションで再生するトラックの選択肢を現在のルートから作成（既定は最新のトラック）
+ */
+async function fillSimulationTrackSelect() {
+    const select = document.getElementById('simulationTrackSelect');
+    if (!select) return;
+
+    select.innerHTML = '';
+    try {
+        const tracks = (await getRouteTracks(state.currentRouteId))
+            .filter(track => (track.points || []).length >= 2);
+        tracks.forEach((track, index) => {
+            const option = document.createElement('option');
+            option.value = String(track.id);
+            option.textContent = `${index + 1}. ${track.timestamp || ''}（${track.points.length}点）`;
+            select.appendChild(option);
+        });
+        if (tracks.length > 0) {
+            select.value = String(tracks[tracks.length - 1].id);
+        }
+    } catch (e) {
+        console.warn('シミュレーション用トラックの取得に失敗しました:', e);
+    }
+    updateSimulationTrackItem();
+}
+
+/**
+ * シミュレーションの再生元の点列を取得
+ * @param {string} source - 'track' | 'file' | 'synthetic'
+ * @param {number|null} [trackId] - source='track'のとき再生するトラックのID
+ * @returns {Promise<Array|null>} キャンセル時はnull
+ */
+async function loadSimulationPoints(source, trackId = null) {
+    if (source === 'track') {
+        const tracks = await getRouteTracks(state.currentRouteId);
+        const track = tracks.find(t => t.id === trackId);
+        const points = track ? track.points || [] : [];
+        if (points.length < 2) throw new Error('再生できる記録済みトラックがありません');
+        return points;
+    }
+
+    if (source === 'synthetic') {
+        const center = state.map ? state.map.getCenter() : null;
+        if (!center) throw new Error('地図が初期化されていません');
+        return createSyntheticPath({ lat: center.lat, lng: center.lng });
+    }
+
+    // ファイル選択
+    const file = await new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.gpx,.kml,.kmz,.zip,application/gpx+xml,application/vnd.google-earth.kmz,application/vnd.google-earth.kml+xml';
+        input.addEventListener('change', () => resolve(input.files[0] || null));
+        input.click();
+    });
+    if (!file) return null;
+    return parseTrackFile(file);
+}
+
+/**
+ * GPSシミュレーション設定のイベント初期化
+ */
+function initSimulationSettings() {
+    const setBtn = document.getElementById('simulationSetBtn');
+    const clearBtn = document.getElementById('simulationClearBtn');
+    const msg = document.getElementById('simulationMsg');
+    if (!setBtn || !clearBtn) return;
+
+    const sourceSelect = document.getElementById('simulationSourceSelect');
+    if (sourceSelect) {
+        sourceSelect.addEventListener('change', updateSimulationTrackItem);
+    }
+
+    setBtn.addEventListener('click', async () => {
+        if (state.isTracking) {
+            if (msg) msg.textContent = '記録中は変更できません';
+            return;
+        }
+        const source = document.getElementById('simulationSourceSelect').value;
+        const trackId = parseInt(document.getElementById('simulationTrackSelect').value, 10);
+        const speed = parseFloat(document.getElementById('simulationSpeedSelect').value) || 1;
+        const noiseM = Math.max(0, parseFloat(document.getElementById('simulationNoiseInput').value) || 0);
+
+        try {
+            const points = await loadSimulationPoints(source, Number.isNaN(trackId) ? null : trackId);
+            if (!points) return;
+
+            const fixes = buildSimulatedFixes(points, { speed, noiseM });
+            state.setSimulatedGeolocation(createSimulatedGeolocation(fixes, () => {
+                updateStatus('シミュレーションの再生が終了しました');
+            }));
+            // 地図を再生の開始位置に移す（起動時の現在位置ではなく）
+            if (state.map && fixes.length > 0) {
+                state.map.panTo([fixes[0].coords.latitude, fixes[0].coords.longitude]);
+            }
+
+            const minutes = Math.ceil(fixes.length > 0 ? fixes[fixes.length - 1].offsetMs / speed / 60000 : 0);
+            if (msg) msg.textContent = `準備完了: ${points.length}点 / 約${minutes}分`;
+            updateStatus('GPSシミュレーション準備完了（Startで再生）');
+        } catch (e) {
+            console.error('シミュレーション準備エラー:', e);
+            if (msg) msg.textContent = e.message;
+        }
+    });
+
+    clearBtn.addEventListener('click', () => {
+        if (state.isTracking) {
+            if (msg) msg.textContent = '記録中は変更できません';
+            return;
+        }
+        state.setSimulatedGeolocation(null);
+        if (msg) msg.textContent = '';
+        updateStatus('GPSシミュレーションを解除しました');
+    });
+}
+
 /**
  * 設定関連のイベント初期化
  */
@@ -194,6 +459,147 @@ export function initSettings() {
         state.setIsMinooEmergencyEnabled(savedMinooEmergency === 'true');
     }
 
+    // Overlay Opacity Slider（読み込みは地図の初期化時にmap.jsで行う）
+    const overlayOpacitySlider = document.getElementById('overlayOpacitySlider');
+    if (overlayOpacitySlider) {
+        overlayOpacitySlider.addEventListener('input', (e) => {
+            document.getElementById('overlayOpacityValue').textContent = `${e.target.value}%`;
+            setOverlayOpacity(parseInt(e.target.value) / 100);
+        });
+    }
+
+    // Track Color Mode Select（読み込みは地図の初期化時にmap.jsで行う）
+    const trackColorModeSelect = document.getElementById('trackColorModeSelect');
+    if (trackColorModeSelect) {
+        trackColorModeSelect.innerHTML = Object.entries(TRACK_COLOR_MODES)
+            .map(([key, mode]) => `<option value="${key}">${mode.label}</option>`)
+            .join('');
+        trackColorModeSelect.addEventListener('change', (e) => {
+            setTrackColorMode(e.target.value);
+        });
+    }
+
+    // GPS Smoothing Toggle
+    const gpsSmoothingToggle = document.getElementById('gpsSmoothingToggle');
+    if (gpsSmoothingToggle) {
+        gpsSmoothingToggle.addEventListener('change', (e) => {
+            state.setIsGpsSmoothingEnabled(e.target.checked);
+            localStorage.setItem('routeLogger_gpsSmoothing', e.target.checked);
+        });
+    }
+    const savedGpsSmoothing = localStorage.getItem('routeLogger_gpsSmoothing');
+    if (savedGpsSmoothing !== null) {
+        state.setIsGpsSmoothingEnabled(savedGpsSmoothing === 'true');
+    }
+
+    // Auto Pause Toggle
+    const autoPauseToggle = document.getElementById('autoPauseToggle');
+    if (autoPauseToggle) {
+        autoPauseToggle.addEventListener('change', (e) => {
+            state.setIsAutoPauseEnabled(e.target.checked);
+            localStorage.setItem('routeLogger_autoPause', e.target.checked);
+        });
+    }
+    const savedAutoPause = localStorage.getItem('routeLogger_autoPause');
+    if (savedAutoPause !== null) {
+        state.setIsAutoPauseEnabled(savedAutoPause === 'true');
+    }
+
+    // Battery Saver Toggle
+    const batterySaverToggle = document.getElementById('batterySaverToggle');
+    if (batterySaverToggle) {
+        batterySaverToggle.addEventListener('change', (e) => {
+            state.setIsBatterySaverEnabled(e.target.checked);
+            localStorage.setItem('routeLogger_batterySaver', e.target.checked);
+            updateBatterySaverEstimate();
+        });
+    }
+    const savedBatterySaver = localStorage.getItem('routeLogger_batterySaver');
+    if (savedBatterySaver !== null) {
+        state.setIsBatterySaverEnabled(savedBatterySaver === 'true');
+    }
+    const batterySaverWakeLockToggle = document.getElementById('batterySaverWakeLockToggle');
+    if (batterySaverWakeLockToggle) {
+        batterySaverWakeLockToggle.addEventListener('change', (e) => {
+            state.setIsBatterySaverWakeLockSkipped(e.target.checked);
+            localStorage.setItem('routeLogger_batterySaverSkipWakeLock', e.target.checked);
+            updateBatterySaverEstimate();
+        });
+    }
+    const savedBatterySaverWakeLock = localStorage.getItem('routeLogger_batterySaverSkipWakeLock');
+    if (savedBatterySaverWakeLock !== null) {
+        state.setIsBatterySaverWakeLockSkipped(savedBatterySaverWakeLock === 'true');
+    }
+
+    // ── GPS記録プロファイル ─────────────────────────────────────────────────────
+    const savedProfile = localStorage.getItem('routeLogger_recordingProfile');
+    if (savedProfile !== null && RECORDING_PROFILES[savedProfile]) {
+        state.setRecordingProfile(savedProfile);
+    }
+    const savedProfileOverrides = localStorage.getItem('routeLogger_recordingProfiles');
+    if (savedProfileOverrides !== null) {
+        try {
+            state.setRecordingProfileOverrides(JSON.parse(savedProfileOverrides) || {});
+        } catch (e) {
+            console.warn('記録プロファイル設定の読み込みに失敗しました:', e);
+        }
+    }
+
+    const recordingProfileSelect = document.getElementById('recordingProfileSelect');
+    if (recordingProfileSelect) {
+        recordingProfileSelect.innerHTML = Object.entries(RECORDING_PROFILES)
+            .map(([key, profile]) => `<option value="${key}">${profile.label}</option>`)
+            .join('');
+        recordingProfileSelect.addEventListener('change', (e) => {
+            state.setRecordingProfile(e.target.value);
+            saveRecordingProfileSettings();
+            fillRecordingProfileInputs();
+        });
+    }
+
+    const recordingProfileSaveBtn = document.getElementById('recordingProfileSaveBtn');
+    if (recordingProfileSaveBtn) {
+        recordingProfileSaveBtn.addEventListener('click', () => {
+            const readValue = (id, min) => {
+                const v = parseFloat(document.getElementById(id)?.value);
+                return (isNaN(v) || v < min) ? null : v;
+            };
+            const values = {
+                intervalSec: readValue('profileIntervalInput', 1),
+                distanceM: readValue('profileDistanceInput', 1),
+                minIntervalSec: readValue('profileMinIntervalInput', 0),
+                maxAccuracyM: readValue('profileAccuracyInput', 1),
+                maxSpeedKmh: readValue('profileMaxSpeedInput', 1)
+            };
+            const msg = document.getElementById('recordingProfileMsg');
+            if (Object.values(values).some(v => v === null)) {
+                if (msg) msg.textContent = '数値を正しく入力してください';
+                return;
+            }
+            if (values.minIntervalSec > values.intervalSec) {
+                if (msg) msg.textContent = '最低記録間隔は記録間隔以下にしてください';
+                return;
+            }
+            state.setRecordingProfileOverrides({
+                ...state.recordingProfileOverrides,
+                [state.recordingProfile]: values
+            });
+            saveRecordingProfileSettings();
+            fillRecordingProfileInputs();
+        });
+    }
+
+    const recordingProfileDefaultBtn = document.getElementById('recordingProfileDefaultBtn');
+    if (recordingProfileDefaultBtn) {
+        recordingProfileDefaultBtn.addEventListener('click', () => {
+            const overrides = { ...state.recordingProfileOverrides };
+            delete overrides[state.recordingProfile];
+            state.setRecordingProfileOverrides(overrides);
+            saveRecordingProfileSettings();
+            fillRecordingProfileInputs();
+        });
+    }
+
     // ── 画像設定パネル ──────────────────────────────────────────────────────────
     const resolutionLabels = ['720×1280px（高）', '360×640px（中）', '180×320px（低）'];
     const photoResolutionSlider = document.getElementById('photoResolutionSlider');
@@ -413,6 +819,40 @@ export function initSettings() {
         });
     }
 
+    // 参照ルート
+    const referenceRouteSelect = document.getElementById('referenceRouteSelect');
+    if (referenceRouteSelect) {
+        referenceRouteSelect.addEventListener('change', (e) => {
+            const candidate = e.target.value !== '' ? referenceCandidates[parseInt(e.target.value)] : null;
+            setReferenceRoute(candidate || null);
+            if (candidate) {
+                localStorage.setItem('routeLogger_referenceRoute', JSON.stringify({
+                    externalId: candidate.externalId,
+                    featureIndex: candidate.featureIndex
+                }));
+            } else {
+                localStorage.removeItem('routeLogger_referenceRoute');
+            }
+        });
+    }
+    const offRouteThresholdInput = document.getElementById('offRouteThresholdInput');
+    if (offRouteThresholdInput) {
+        offRouteThresholdInput.addEventListener('change', (e) => {
+            const value = parseInt(e.target.value);
+            const threshold = value >= 10 ? value : DEFAULT_OFF_ROUTE_THRESHOLD_M;
+            e.target.value = threshold;
+            state.setOffRouteThresholdM(threshold);
+            localStorage.setItem('routeLogger_offRouteThreshold', threshold);
+        });
+    }
+    const savedOffRouteThreshold = localStorage.getItem('routeLogger_offRouteThreshold');
+    if (savedOffRouteThreshold !== null) {
+        state.setOffRouteThresholdM(parseInt(savedOffRouteThreshold));
+    }
+
+    // GPSシミュレーション
+    initSimulationSettings();
+
     // 起動時: localStorageの保存値をstateに反映
     const savedResolution = localStorage.getItem('routeLogger_photoResolution');
     if (savedResolution !== null) state.setPhotoResolutionLevel(parseInt(savedResolution));
@@ -1,5 +1,7 @@
 // RouteLogger - ユーティリティ関数
 
+import { DEFAULT_POINT_SOURCE, POINT_SOURCE_CODES } from './config.js';
+
 /**
  * データ精度を調整する
  * @param {Object} data - 位置データ
@@ -28,17 +30,68 @@ export function formatPositionData(data) {
         formatted.altitude = parseFloat(formatted.altitude.toFixed(1));
     }
 
+    // 速度・進行方向（値のない項目は省略）
+    Object.assign(formatted, encodePointMeta({
+        speed: formatted.speed,
+        heading: formatted.heading,
+        source: getPointSource(formatted)
+    }));
+    ['speed', 'heading', 'source'].forEach(key => {
+        if (formatted[key] === null || formatted[key] === undefined) delete formatted[key];
+    });
+
     return formatted;
 }
 
+/**
+ * トラック点の速度・進行方向・測位元を保存用の形にする
+ * 値のない項目と通常のGPS測位の測位元は含めない（点の数が多いため、記録を小さく保つ）
+ * @param {Object} meta
+ * @param {number|null} [meta.speed] - 速度（m/s）
+ * @param {number|null} [meta.heading] - 進行方向（度、北=0・時計回り）
+ * @param {string} [meta.source] - 測位元（'gps' | 'filtered' | 'simulated'）
+ * @returns {{speed?: number, heading?: number, source?: string}}
+ */
+export function encodePointMeta({ speed = null, heading = null, source = DEFAULT_POINT_SOURCE } = {}) {
+    const meta = {};
+    if (typeof speed === 'number' && isFinite(speed)) {
+        meta.speed = parseFloat(Math.max(0, speed).toFixed(1));
+    }
+    // 停止中の進行方向は不定（NaN）
+    if (typeof heading === 'number' && isFinite(heading)) {
+        meta.heading = Math.round(((heading % 360) + 360) % 360) % 360;
+    }
+    if (POINT_SOURCE_CODES[source]) {
+        meta.source = POINT_SOURCE_CODES[source];
+    }
+    return meta;
+}
+
+/**
+ * トラック点の測位元を取得（保存時のコードから戻す）
+ * @param {Object} point
+ * @returns {string} 'gps' | 'filtered' | 'simulated'
+ */
+export function getPointSource(point) {
+    if (!point || !point.source) return DEFAULT_POINT_SOURCE;
+    if (POINT_SOURCE_CODES[point.source]) return point.source;
+    const entry = Object.entries(POINT_SOURCE_CODES).find(([, code]) => code === point.source);
+    return entry ? entry[0] : DEFAULT_POINT_SOURCE;
+}
+
 /**
  * Base64をBlobに変換
- * @param {string} base64 - Base64文字列
- * @param {string} contentType - MIMEタイプ
+ * @param {string} base64 - Base64文字列（data URL）
+ * @param {string} [contentType] - MIMEタイプ（省略時はdata URLのMIMEタイプ、なければimage/jpeg）
  * @returns {Blob}
  */
-export function base64ToBlob(base64, contentType = 'image/jpeg') {
-    const byteCharacters = atob(base64.split(',')[1]);
+export function base64ToBlob(base64, contentType) {
+    const [header, body] = base64.includes(',') ? base64.split(',') : ['', base64];
+    if (!contentType) {
+        const match = header.match(/^data:([^;,]+)/);
+        contentType = match ? match[1] : 'image/jpeg';
+    }
+    const byteCharacters = atob(body);
     const byteNumbers = new Array(byteCharacters.length);
     for (let i = 0; i < byteCharacters.length; i++) {
         byteNumbers[i] = byteCharacters.charCodeAt(i);
@@ -47,6 +100,46 @@ export function base64ToBlob(base64, contentType = 'image/jpeg') {
     return new Blob([byteArray], { type: contentType });
 }
 
+/**
+ * canvasの内容をBlobに変換
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type='image/jpeg']
+ * @param {number} [quality] - 0〜1
+ * @returns {Promise<Blob>}
+ */
+export function canvasToBlob(canvas, type = 'image/jpeg', quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('画像の変換に失敗しました'));
+            }
+        }, type, quality);
+    });
+}
+
+/**
+ * Blob画像を読み込む（読み込み後にオブジェクトURLは解放する）
+ * @param {Blob} blob
+ * @returns {Promise<HTMLImageElement>}
+ */
+export function loadImageFromBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
+        };
+        img.onerror = (error) => {
+            URL.revokeObjectURL(url);
+            reject(error);
+        };
+        img.src = url;
+    });
+}
+
 /**
  * トラック統計を計算
  * @param {Array} tracks - トラック配列
@@ -69,6 +162,32 @@ export function calculateTrackStats(tracks) {
     return { trackCount, totalPoints };
 }
 
+/**
+ * トラックの点列を区間（セグメント）ごとに分割
+ * 一時停止→再開で生じた区間の間は線で結ばない
+ * @param {Array} points - 位置データ配列
+ * @param {Array<number>} [segmentStarts] - 各区間の開始インデックス（省略時は1区間）
+ * @returns {Array<Array>} 区間ごとの点列
+ */
+export function splitTrackSegments(points, segmentStarts) {
+    if (!points || points.length === 0) return [];
+
+    const starts = (segmentStarts || [])
+        .filter(i => i > 0 && i < points.length)
+        .sort((a, b) => a - b);
+
+    const segments = [];
+    let from = 0;
+    starts.forEach(start => {
+        if (start > from) {
+            segments.push(points.slice(from, start));
+            from = start;
+        }
+    });
+    segments.push(points.slice(from));
+    return segments;
+}
+
 /**
  * 2地点間の距離を計算（メートル）- Haversine公式
  * @param {number} lat1 - 地点1の緯度
@@ -126,6 +245,24 @@ export function formatDataSize(bytes) {
     const sizeGB = bytes / (1024 * 1024 * 1024);
     return parseFloat(sizeGB.toPrecision(4)) + ' GB';
 }
+
+/**
+ * XML・HTMLの特殊文字をエスケープ
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+/**
+ * CDATAセクションに入れる文字列の「]]>」を分割する（CDATAが途中で閉じないように）
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeCdata(text) {
+    return String(text).replace(/]]>/g, ']]]]><![CDATA[>');
+}
 /**
  * 直近のポイントから進行方向を計算
  * @param {Object} currentPoint - 現在地 {lat, lng}
@@ -0,0 +1,47 @@
+// RouteLogger - ウェイポイント（名前・種類付きの地点記録）
+
+import * as state from './state.js';
+import { saveWaypoint } from './db.js';
+import { addWaypointMarker } from './map.js';
+import { updateStatus, updateDataSizeIfOpen, showWaypointDialog } from './ui.js';
+
+/**
+ * 現在地にウェイポイントを記録
+ * ダイアログを開いた時点の現在地を使う（入力中に移動しても位置がずれない）
+ */
+export async function markWaypoint() {
+    if (!state.currentMarker) {
+        alert('現在地が取得できていません');
+        return;
+    }
+
+    const location = state.currentMarker.getLatLng();
+    const timestamp = new Date().toISOString();
+    const defaultName = `Waypoint ${new Date(timestamp).toLocaleTimeString('ja-JP', { hour: '2-digit', minute: '2-digit' })}`;
+
+    const input = await showWaypointDialog(defaultName);
+    if (!input) return;
+
+    const waypoint = {
+        timestamp,
+        routeId: state.currentRouteId,
+        trackId: state.currentTrackId,
+        name: input.name,
+        category: input.category,
+        note: input.note || null,
+        location: {
+            lat: parseFloat(location.lat.toFixed(5)),
+            lng: parseFloat(location.lng.toFixed(5))
+        }
+    };
+
+    try {
+        waypoint.id = await saveWaypoint(waypoint);
+        addWaypointMarker(waypoint);
+        updateStatus(`ウェイポイントを記録しました: ${waypoint.name}`);
+        updateDataSizeIfOpen();
+    } catch (error) {
+        console.error('ウェイポイント保存エラー:', error);
+        alert('ウェイポイントの保存に失敗しました: ' + error.message);
+    }
+}
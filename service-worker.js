@@ -1,7 +1,9 @@
 // RouteLogger Service Worker
 // PWA対応: オフライン機能とキャッシュ管理
 
-const CACHE_NAME = 'RLog-v10';
+const CACHE_NAME = 'RLog-v11';
+// オフライン地図のタイル（js/config.jsのOFFLINE_TILE_CACHE_NAMEと同じ名前。アプリ更新時も削除しない）
+const TILE_CACHE_NAME = 'RLog-tiles';
 const urlsToCache = [
   './',
   './index.html',
@@ -13,11 +15,31 @@ const urlsToCache = [
   './js/state.js',
   './js/utils.js',
   './js/db.js',
+  './js/db-migrations.js',
   './js/map.js',
   './js/tracking.js',
+  './js/gps-filter.js',
+  './js/trip-stats.js',
+  './js/auto-pause.js',
+  './js/point-recorder.js',
+  './js/simulator.js',
+  './js/waypoint.js',
+  './js/route-guide.js',
+  './js/battery-saver.js',
+  './js/route-library.js',
+  './js/backup.js',
+  './js/storage-quota.js',
+  './js/trash.js',
+  './js/photo-track.js',
+  './js/elevation-profile.js',
+  './js/external-layers.js',
+  './js/track-writer.js',
+  './js/offline-tiles.js',
+  './js/encryption.js',
   './js/camera.js',
   './js/firebase-ops.js',
   './js/ui.js',
+  './js/ui-encryption.js',
   './data/minoo-emergency-points.geojson',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
   'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
@@ -54,7 +76,7 @@ self.addEventListener('activate', function (event) {
 
       return Promise.all(
         cacheNames.map(function (cacheName) {
-          if (cacheName !== CACHE_NAME) {
+          if (cacheName !== CACHE_NAME && cacheName !== TILE_CACHE_NAME) {
             return caches.delete(cacheName);
           }
         })
@@ -79,13 +101,23 @@ self.addEventListener('activate', function (event) {
 
 // リクエストの処理
 self.addEventListener('fetch', function (event) {
-  // 国土地理院のタイルは常にネットワークから取得（リアルタイム性のため）
+  // 国土地理院のタイルは、ダウンロードしたタイル（オフライン地図）があればそれを返し、なければネットワークから取得
+  // （電波の弱い山中でも、ダウンロードした範囲はネットワークを待たずに表示する）
   if (event.request.url.includes('cyberjapandata.gsi.go.jp')) {
     event.respondWith(
-      fetch(event.request)
-        .catch(function () {
-          // オフライン時は何も返さない（地図が表示されないだけ）
-          return new Response('', { status: 200 });
+      caches.open(TILE_CACHE_NAME)
+        .then(function (cache) {
+          return cache.match(event.request.url);
+        })
+        .then(function (cached) {
+          if (cached) {
+            return cached;
+          }
+          // オフラインでダウンロードもしていなければ何も返さない（地図が表示されないだけ）
+          return fetch(event.request)
+            .catch(function () {
+              return new Response('', { status: 200 });
+            });
         })
     );
     return;
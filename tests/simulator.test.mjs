@@ -0,0 +1,202 @@
+// RouteLogger - GPSシミュレーションの再生を記録処理（測位フィルタ・自動一時停止・移動統計）に通すテスト
+// 実行: リポジトリのルートで node --test
+
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import * as state from '../js/state.js';
+import { buildSimulatedFixes, createSimulatedGeolocation, createSyntheticPath } from '../js/simulator.js';
+import { resetGpsFilter } from '../js/gps-filter.js';
+import { resetAutoPause } from '../js/auto-pause.js';
+import { createTripStats } from '../js/trip-stats.js';
+import { recordPosition } from '../js/point-recorder.js';
+import { calculateDistance, getPointSource } from '../js/utils.js';
+import { AUTO_PAUSE_RADIUS_M, ELEVATION_THRESHOLD_M } from '../js/config.js';
+
+const START = Date.parse('2026-04-01T09:00:00Z');
+const ORIGIN = { lat: 35.0, lng: 135.0 };
+
+/**
+ * 北へ distanceM 進んだ点
+ */
+function northOf(point, distanceM) {
+    return { lat: point.lat + distanceM / 111320, lng: point.lng };
+}
+
+/**
+ * 歩く → 立ち止まる → 歩く の記録済みトラック
+ * 1.2m/sで10分歩き、5分止まり、また10分歩く
+ */
+function walkStopWalkPoints() {
+    const at = (sec) => new Date(START + sec * 1000).toISOString();
+    const a = { ...ORIGIN, altitude: 100, timestamp: at(0) };
+    const b = { ...northOf(a, 720), altitude: 130, timestamp: at(600) };
+    const c = { ...b, timestamp: at(900) };
+    const d = { ...northOf(b, 720), altitude: 100, timestamp: at(1500) };
+    return [a, b, c, d];
+}
+
+/**
+ * モックした時計をstepMsずつ進める
+ * （tick中に登録されたタイマーは同じtickでは動かないため、再生の連鎖は小刻みに進める）
+ */
+function advance(timers, ms, stepMs = 100) {
+    for (let elapsed = 0; elapsed < ms; elapsed += stepMs) {
+        timers.tick(stepMs);
+    }
+}
+
+/**
+ * 測位値の列をシミュレーション用geolocationのwatchPositionで再生し、記録処理（recordPosition）に通す
+ * tracking.js の updatePosition と同じく、1つの測位値ごとに recordPosition を呼ぶ
+ * @returns {{points: Array, events: Array, stats: Object}}
+ */
+function replay(t, fixes, policy) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    state.setActiveRecordingPolicy(policy);
+
+    let ended = false;
+    const geolocation = createSimulatedGeolocation(fixes, () => { ended = true; });
+    state.setSimulatedGeolocation(geolocation);
+    geolocation.watchPosition(position => recordPosition(position));
+    advance(t.mock.timers, fixes[fixes.length - 1].offsetMs + 1000, 1000);
+    assert.ok(ended, '最後まで再生していない');
+
+    return { points: state.trackingData, events: state.trackingEvents, stats: state.tripStats };
+}
+
+/**
+ * 再生した測位値の時刻（watchPositionの開始時刻からルート上の時間で進む）
+ */
+function fixTime(fix) {
+    return START + fix.offsetMs;
+}
+
+beforeEach(() => {
+    resetGpsFilter();
+    resetAutoPause();
+    state.resetTrackingData();
+    state.setTripStats(createTripStats());
+    state.setLastRecordedPoint(null);
+    state.setIsAutoPaused(false);
+    state.setIsAutoPauseEnabled(false);
+    state.setIsGpsSmoothingEnabled(false);
+    state.setSimulatedGeolocation(null);
+});
+
+test('誤差なしの再生はすべてフィルタを通過し、距離と時間が元のトラックと一致する', (t) => {
+    const policy = state.getRecordingPolicy('hiking');
+    const fixes = buildSimulatedFixes(walkStopWalkPoints());
+    const { points, stats } = replay(t, fixes, policy);
+
+    assert.equal(state.rejectedFixes.length, 0);
+    assert.ok(points.length > 2);
+    assert.ok(points.every(p => getPointSource(p) === 'simulated'));
+    assert.ok(Math.abs(stats.distanceM - 1440) < 20, `distance ${stats.distanceM}`);
+    // 最後の点は記録間隔の途中で終わることがある
+    assert.ok(stats.elapsedTimeSec > 1500 - policy.intervalSec, `elapsed ${stats.elapsedTimeSec}`);
+    assert.ok(Math.abs(stats.movingTimeSec - 1200) <= 60, `moving ${stats.movingTimeSec}`);
+    // 累積標高は閾値未満の変化を捨てるので、上り・下りとも最大で閾値の2倍まで少なくなる
+    for (const climbM of [stats.ascentM, stats.descentM]) {
+        assert.ok(climbM > 30 - 2 * ELEVATION_THRESHOLD_M && climbM <= 30, `climb ${climbM}`);
+    }
+});
+
+test('立ち止まると自動一時停止し、歩き出すと再開する', (t) => {
+    state.setIsAutoPauseEnabled(true);
+    const fixes = buildSimulatedFixes(walkStopWalkPoints());
+    const { points, events, stats } = replay(t, fixes, state.getRecordingPolicy('hiking'));
+
+    assert.deepEqual(events.map(e => e.type), ['autoPause', 'autoResume']);
+    const [pause, resume] = events.map(e => ({ ...e, time: Date.parse(e.timestamp) }));
+    // 停止は立ち止まってからウィンドウ長のうちに、再開は歩き出してすぐに検出する
+    assert.ok(pause.time >= START + 600 * 1000 && pause.time <= START + 720 * 1000, `pause ${pause.time - START}`);
+    assert.ok(resume.time >= START + 900 * 1000 && resume.time <= START + 960 * 1000, `resume ${resume.time - START}`);
+    // 停止地点は窓の重心（歩いていた測位を少し含む）
+    assert.ok(calculateDistance(pause.lat, pause.lng, ORIGIN.lat + 720 / 111320, ORIGIN.lng) < AUTO_PAUSE_RADIUS_M);
+
+    // 停止中の点は記録せず、再開した測位は間隔に関係なく記録する
+    const resumed = points[resume.pointIndex];
+    assert.equal(Date.parse(resumed.timestamp), resume.time);
+    assert.equal(points.filter(p => Date.parse(p.timestamp) > pause.time && Date.parse(p.timestamp) < resume.time).length, 0);
+    // 自動一時停止は区間を分けないので、止まっていた時間は経過時間に含み、移動時間には含まない
+    assert.ok(stats.elapsedTimeSec > 1500 - 60, `elapsed ${stats.elapsedTimeSec}`);
+    assert.ok(Math.abs(stats.movingTimeSec - 1200) <= 60, `moving ${stats.movingTimeSec}`);
+    assert.ok(Math.abs(stats.distanceM - 1440) < 60, `distance ${stats.distanceM}`);
+});
+
+test('飛び値は速度チェックで除外され、距離に含まれない', (t) => {
+    const fixes = buildSimulatedFixes(walkStopWalkPoints());
+    const spike = fixes[300];
+    spike.coords.latitude += 2000 / 111320;
+
+    const { points, stats } = replay(t, fixes, state.getRecordingPolicy('hiking'));
+
+    assert.deepEqual(state.rejectedFixCounts, { speed: 1 });
+    assert.equal(state.rejectedFixes[0].reason, 'speed');
+    assert.ok(points.every(p => p.timestamp !== new Date(fixTime(spike)).toISOString()));
+    assert.ok(Math.abs(stats.distanceM - 1440) < 20, `distance ${stats.distanceM}`);
+});
+
+test('精度が上限より悪い再生は精度ゲートですべて除外される', (t) => {
+    // 誤差60m → 報告精度120m（ハイキングの上限は100m）
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const fixes = buildSimulatedFixes(walkStopWalkPoints(), { noiseM: 60, random });
+    const { points } = replay(t, fixes, state.getRecordingPolicy('hiking'));
+
+    assert.equal(points.length, 0);
+    assert.deepEqual(state.rejectedFixCounts, { accuracy: fixes.length });
+});
+
+test('平滑化すると誤差のある再生の距離が真の距離に近づく', async (t) => {
+    const run = async (smoothing) => {
+        let distanceM;
+        await t.test(smoothing ? '平滑化あり' : '平滑化なし', (st) => {
+            resetGpsFilter();
+            state.resetTrackingData();
+            state.setTripStats(createTripStats());
+            state.setLastRecordedPoint(null);
+            state.setIsGpsSmoothingEnabled(smoothing);
+            let seed = 42;
+            const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+            const fixes = buildSimulatedFixes(walkStopWalkPoints(), { noiseM: 8, random });
+            const { points, stats } = replay(st, fixes, state.getRecordingPolicy('urban'));
+            // 平滑化した点も、シミュレーションの点として保存する
+            assert.ok(points.every(p => getPointSource(p) === 'simulated'));
+            distanceM = stats.distanceM;
+        });
+        return distanceM;
+    };
+    const raw = await run(false);
+    const smoothed = await run(true);
+
+    assert.ok(Math.abs(smoothed - 1440) < Math.abs(raw - 1440), `raw ${raw}, smoothed ${smoothed}`);
+});
+
+test('シミュレーション用geolocationは一時停止をはさんでも続きから時刻順に再生する', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    const fixes = buildSimulatedFixes(createSyntheticPath(ORIGIN, { lengthM: 300 }), { speed: 10 });
+    const onEnd = mock.fn();
+    const geolocation = createSimulatedGeolocation(fixes, onEnd);
+    const received = [];
+
+    geolocation.watchPosition(position => received.push(position));
+    advance(t.mock.timers, 10000);
+    const beforePause = received.length;
+    assert.ok(beforePause > 0 && beforePause < fixes.length);
+
+    geolocation.clearWatch();
+    advance(t.mock.timers, 60000);
+    assert.equal(received.length, beforePause);
+
+    geolocation.watchPosition(position => received.push(position));
+    advance(t.mock.timers, fixes[fixes.length - 1].offsetMs);
+
+    assert.equal(received.length, fixes.length);
+    assert.equal(onEnd.mock.callCount(), 1);
+    for (let i = 1; i < received.length; i++) {
+        assert.ok(received[i].timestamp > received[i - 1].timestamp);
+    }
+    assert.equal(received[received.length - 1].coords.latitude, fixes[fixes.length - 1].coords.latitude);
+});